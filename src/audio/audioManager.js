@@ -374,6 +374,44 @@ export default class AudioManager {
             console.warn("Error playing door locked sound:", e);
         }
     }
+    
+    /**
+     * Creates a rising warning screech when an ambush enemy is about to charge
+     */
+    playAmbushAlertSound() {
+        if (!this.initialized) return;
+        
+        try {
+            const oscillator = this.context.createOscillator();
+            const gainNode = this.context.createGain();
+            
+            // Configure oscillator - fast rising pitch so the charge is heard coming
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.setValueAtTime(220, this.context.currentTime);
+            oscillator.frequency.exponentialRampToValueAtTime(880, this.context.currentTime + 0.4);
+            
+            // Configure gain (volume) envelope - swell up, then cut off as the charge starts
+            gainNode.gain.setValueAtTime(0, this.context.currentTime);
+            gainNode.gain.linearRampToValueAtTime(0.2, this.context.currentTime + 0.35);
+            gainNode.gain.linearRampToValueAtTime(0, this.context.currentTime + 0.45);
+            
+            // Connect nodes
+            oscillator.connect(gainNode);
+            gainNode.connect(this.masterGain);
+            
+            // Play and clean up
+            oscillator.start();
+            oscillator.stop(this.context.currentTime + 0.45);
+            
+            // Auto cleanup
+            setTimeout(() => {
+                oscillator.disconnect();
+                gainNode.disconnect();
+            }, 550);
+        } catch (e) {
+            console.warn("Error playing ambush alert sound:", e);
+        }
+    }
 
     /**
      * Creates an impact sound when dash damages an enemy
@@ -430,8 +468,10 @@ export default class AudioManager {
 
     /**
      * Creates a neon laser sound for player shooting
+     * @param {string} weaponType - Optional type of weapon being fired
+     * @param {number} power - Charge level from 0 to 1 (only used by the charged weapon)
      */
-    playShootSound() {
+    playShootSound(weaponType = 'blaster', power = 1) {
         if (!this.initialized) return;
         
         try {
@@ -440,20 +480,78 @@ export default class AudioManager {
             const oscillator2 = this.context.createOscillator();
             const gainNode = this.context.createGain();
             
+            // Blaster defaults: a quick falling zap
+            let startFreq = 1200;
+            let endFreq = 800;
+            let harmonicEndFreq = 1400;
+            let type1 = 'sine';
+            let type2 = 'sawtooth';
+            let volume = 0.2;
+            let duration = 0.15;
+            
+            // Customize sound based on weapon type
+            switch(weaponType) {
+                case 'spread':
+                    // Low, noisy blast
+                    startFreq = 500;
+                    endFreq = 150;
+                    harmonicEndFreq = 300;
+                    type1 = 'square';
+                    volume = 0.18;
+                    duration = 0.2;
+                    break;
+                case 'laser':
+                    // High, thin beam
+                    startFreq = 2200;
+                    endFreq = 1800;
+                    harmonicEndFreq = 2600;
+                    type2 = 'triangle';
+                    volume = 0.12;
+                    duration = 0.12;
+                    break;
+                case 'charged':
+                    // Deeper and longer the more it was charged
+                    startFreq = 600 - 300 * power;
+                    endFreq = 120;
+                    harmonicEndFreq = 400;
+                    type1 = 'triangle';
+                    volume = 0.15 + 0.15 * power;
+                    duration = 0.2 + 0.3 * power;
+                    break;
+                case 'burst':
+                    // Short clipped pop per round
+                    startFreq = 1000;
+                    endFreq = 600;
+                    harmonicEndFreq = 900;
+                    type1 = 'square';
+                    volume = 0.12;
+                    duration = 0.07;
+                    break;
+                case 'homing':
+                    // Rising whoosh as the missile launches
+                    startFreq = 300;
+                    endFreq = 900;
+                    harmonicEndFreq = 600;
+                    type2 = 'triangle';
+                    volume = 0.15;
+                    duration = 0.25;
+                    break;
+            }
+            
             // Configure oscillator for the laser tone
-            oscillator1.type = 'sine';
-            oscillator1.frequency.setValueAtTime(1200, this.context.currentTime);
-            oscillator1.frequency.exponentialRampToValueAtTime(800, this.context.currentTime + 0.1);
+            oscillator1.type = type1;
+            oscillator1.frequency.setValueAtTime(startFreq, this.context.currentTime);
+            oscillator1.frequency.exponentialRampToValueAtTime(endFreq, this.context.currentTime + duration * 0.66);
             
             // Second oscillator for a harmonic
-            oscillator2.type = 'sawtooth';
-            oscillator2.frequency.setValueAtTime(1200, this.context.currentTime);
-            oscillator2.frequency.exponentialRampToValueAtTime(1400, this.context.currentTime + 0.05);
+            oscillator2.type = type2;
+            oscillator2.frequency.setValueAtTime(startFreq, this.context.currentTime);
+            oscillator2.frequency.exponentialRampToValueAtTime(harmonicEndFreq, this.context.currentTime + duration * 0.33);
             
             // Configure gain (volume) envelope
             gainNode.gain.setValueAtTime(0, this.context.currentTime);
-            gainNode.gain.linearRampToValueAtTime(0.2, this.context.currentTime + 0.01);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, this.context.currentTime + 0.15);
+            gainNode.gain.linearRampToValueAtTime(volume, this.context.currentTime + 0.01);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, this.context.currentTime + duration);
             
             // Connect nodes
             oscillator1.connect(gainNode);
@@ -463,15 +561,15 @@ export default class AudioManager {
             // Play and clean up
             oscillator1.start();
             oscillator2.start();
-            oscillator1.stop(this.context.currentTime + 0.15);
-            oscillator2.stop(this.context.currentTime + 0.15);
+            oscillator1.stop(this.context.currentTime + duration);
+            oscillator2.stop(this.context.currentTime + duration);
             
             // Auto cleanup
             setTimeout(() => {
                 oscillator1.disconnect();
                 oscillator2.disconnect();
                 gainNode.disconnect();
-            }, 300);
+            }, duration * 1000 + 150);
         } catch (e) {
             console.warn("Error playing shoot sound:", e);
         }
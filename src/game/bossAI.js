@@ -0,0 +1,205 @@
+// bossAI.js - Boss encounter behaviour for Neon Requiem: attack phases driven by health thresholds
+import EnemyAI from './enemyAI.js';
+import BulletPatterns from './bulletPatterns.js';
+
+// Health fractions where the boss moves to its next phase (phase 1 above the first, phase 3 below the last)
+export const BOSS_PHASE_THRESHOLDS = [0.66, 0.33];
+
+// Most minions the boss keeps alive at once
+const MAX_MINIONS = 4;
+
+export default class BossAI {
+    /**
+     * Get the phase for a health fraction
+     * @param {number} healthPercent - Current health / max health (0 to 1)
+     * @returns {number} Phase number (1-3)
+     */
+    static getPhaseForHealth(healthPercent) {
+        let phase = 1;
+        for (const threshold of BOSS_PHASE_THRESHOLDS) {
+            if (healthPercent <= threshold) {
+                phase++;
+            }
+        }
+        return phase;
+    }
+    
+    /**
+     * Update the boss for one simulation step
+     * Phase 1: slow chase with radial bullet rings, alternating with delayed bursts
+     * Phase 2: spiral bullet streams and minion summons
+     * Phase 3: telegraphed charge attacks with aimed spreads between them
+     * @param {Object} enemy - The boss enemy (must have bossData)
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static update(enemy, player, room, deltaTime, effects = null) {
+        const data = enemy.bossData;
+        
+        // Health thresholds decide the phase, so a resumed save lands in the right one
+        const phase = BossAI.getPhaseForHealth(enemy.health / enemy.maxHealth);
+        if (phase !== data.phase) {
+            BossAI.enterPhase(enemy, phase, effects);
+        }
+        
+        // Brief pause while the boss "powers up" into a new phase
+        if (data.phaseTransitionTimer > 0) {
+            data.phaseTransitionTimer -= deltaTime;
+            return;
+        }
+        
+        switch (data.phase) {
+            case 1:
+                EnemyAI.chase(player, enemy, deltaTime, 0.6, room);
+                
+                data.attackTimer -= deltaTime;
+                if (data.attackTimer <= 0) {
+                    BulletPatterns.start(enemy, data.patternCount % 2 === 0 ? 'ring' : 'burst', player);
+                    data.patternCount++;
+                    data.attackTimer = 2200;
+                }
+                break;
+            
+            case 2:
+                EnemyAI.chase(player, enemy, deltaTime, 0.5, room);
+                
+                // Two opposite streams rotating around the boss, picking up where the last spiral stopped
+                data.attackTimer -= deltaTime;
+                if (data.attackTimer <= 0 && !BulletPatterns.isBusy(enemy)) {
+                    BulletPatterns.start(enemy, 'spiral', player, { angle: data.spiralAngle });
+                    const spiral = enemy.pattern.config;
+                    data.spiralAngle += spiral.volleys * spiral.turn;
+                    data.attackTimer = 300;
+                }
+                
+                data.summonTimer -= deltaTime;
+                if (data.summonTimer <= 0) {
+                    const minionCount = room.enemies.filter(e => e.isMinion && e.active && !e.dying).length;
+                    if (minionCount < MAX_MINIONS && typeof room.spawnBossMinions === 'function') {
+                        room.spawnBossMinions(enemy, Math.min(2, MAX_MINIONS - minionCount));
+                    }
+                    data.summonTimer = 8000;
+                }
+                break;
+            
+            case 3:
+                BossAI.updateCharge(enemy, player, room, deltaTime, effects);
+                break;
+        }
+        
+        BossAI.keepInsideRoom(enemy, room);
+    }
+    
+    /**
+     * Switch the boss to a new phase and reset its attack timers
+     * @param {Object} enemy - The boss enemy
+     * @param {number} phase - Phase to enter
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static enterPhase(enemy, phase, effects = null) {
+        const data = enemy.bossData;
+        console.log(`Boss entering phase ${phase} at ${Math.round(enemy.health)}/${enemy.maxHealth} health`);
+        
+        data.phase = phase;
+        data.phaseTransitionTimer = 1000;
+        data.attackTimer = 600;
+        data.summonTimer = 1500;
+        data.chargeTimer = 1200;
+        data.charge = null;
+        enemy.pattern = null; // Drop the old phase's pattern
+        enemy.contactDamage = 10;
+        
+        if (effects) {
+            effects.createGlowEffect(enemy.x, enemy.y, 40, enemy.color, 1.5);
+            effects.createScreenFlash(enemy.color, 0.4);
+        }
+    }
+    
+    /**
+     * Phase 3 charge attack: wind up aimed at the player, dash in a straight line, then burst on impact
+     * @param {Object} enemy - The boss enemy
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static updateCharge(enemy, player, room, deltaTime, effects = null) {
+        const data = enemy.bossData;
+        
+        if (!data.charge) {
+            // Close in and fire aimed spreads until the next charge
+            EnemyAI.chase(player, enemy, deltaTime, 0.7, room);
+            
+            data.attackTimer -= deltaTime;
+            if (data.attackTimer <= 0) {
+                BulletPatterns.start(enemy, 'spread', player);
+                data.attackTimer = 1400;
+            }
+            
+            data.chargeTimer -= deltaTime;
+            if (data.chargeTimer <= 0) {
+                data.charge = { state: 'windup', timer: 700, dirX: 0, dirY: 0 };
+            }
+            return;
+        }
+        
+        const charge = data.charge;
+        charge.timer -= deltaTime;
+        
+        if (charge.state === 'windup') {
+            // Keep tracking the player until the dash starts (the telegraph line follows this direction)
+            const dx = player.x - enemy.x;
+            const dy = player.y - enemy.y;
+            const length = Math.sqrt(dx * dx + dy * dy) || 1;
+            charge.dirX = dx / length;
+            charge.dirY = dy / length;
+            
+            if (charge.timer <= 0) {
+                enemy.pattern = null; // No spread mid-dash
+                charge.state = 'dash';
+                charge.timer = 600;
+                enemy.contactDamage = 25; // A charge hits harder than touching the boss
+            }
+            return;
+        }
+        
+        // Dashing
+        const moveDistance = 520 * (deltaTime / 1000);
+        enemy.x += charge.dirX * moveDistance;
+        enemy.y += charge.dirY * moveDistance;
+        const hitWall = BossAI.keepInsideRoom(enemy, room);
+        
+        if (effects && Math.random() < 0.5) {
+            effects.createGlowEffect(enemy.x, enemy.y, 4, enemy.color, 0.4);
+        }
+        
+        if (charge.timer <= 0 || hitWall) {
+            // Impact shockwave (the charge itself was the warning)
+            BulletPatterns.start(enemy, 'ring', player, { count: 8, angle: Math.atan2(charge.dirY, charge.dirX), telegraph: 0 });
+            data.charge = null;
+            data.chargeTimer = 2500;
+            data.attackTimer = 800;
+            enemy.contactDamage = 10;
+        }
+    }
+    
+    /**
+     * Clamp the boss inside the room walls. Bosses don't get the regular enemy boundary pass,
+     * and a charge would otherwise carry them straight through a wall.
+     * @param {Object} enemy - The boss enemy
+     * @param {Object} room - The current room
+     * @returns {boolean} True if the boss had to be pushed back inside
+     */
+    static keepInsideRoom(enemy, room) {
+        const margin = (room.wallThickness || 20) + enemy.width / 2;
+        const clampedX = Math.max(margin, Math.min(room.width - margin, enemy.x));
+        const clampedY = Math.max(margin, Math.min(room.height - margin, enemy.y));
+        
+        const hitWall = clampedX !== enemy.x || clampedY !== enemy.y;
+        enemy.x = clampedX;
+        enemy.y = clampedY;
+        return hitWall;
+    }
+}
@@ -0,0 +1,265 @@
+// bulletPatterns.js - Enemy bullet patterns (aimed shots, spreads, rings, spirals, waves, delayed bursts) and the projectile pool
+
+// Every bullet pattern. A pattern fires `volleys` volleys, `interval` ms apart, after a `telegraph` ms warning.
+// Each volley fires `count` projectiles around a base angle: fanned `spread` radians apart when spread is set,
+// otherwise spaced evenly around a full circle. The base angle turns by `turn` radians after every volley.
+//   aimed          - Base angle points at the target (tracked through the telegraph); otherwise it's options.angle
+//   speed          - Projectile speed in pixels per second (null for the enemy's projectileSpeed)
+//   delay          - Time (ms) projectiles hang in place before they move
+//   waveAmplitude  - Sideways sway in pixels (0 for a straight line), waveFrequency - sways per second
+//   telegraphStyle - Warning drawn during the telegraph: 'lines' (aim lines) or 'ring' (a closing ring)
+// Any of these can be overridden per call to BulletPatterns.start.
+export const BULLET_PATTERNS = {
+    aimed: { aimed: true, count: 1, telegraph: 0, telegraphStyle: 'lines' },
+    spread: { aimed: true, count: 5, spread: 0.2, speed: 240, telegraph: 350, telegraphStyle: 'lines' },
+    ring: { aimed: false, count: 12, speed: 160, telegraph: 500, telegraphStyle: 'ring' },
+    spiral: { aimed: false, count: 2, volleys: 16, interval: 140, turn: 0.35, speed: 180, telegraph: 400, telegraphStyle: 'ring' },
+    wave: { aimed: true, count: 3, spread: 0.35, speed: 150, waveAmplitude: 40, waveFrequency: 1.5, telegraph: 350, telegraphStyle: 'lines' },
+    burst: { aimed: false, count: 8, volleys: 3, interval: 200, turn: Math.PI / 8, speed: 220, delay: 600, telegraph: 400, telegraphStyle: 'ring' }
+};
+
+// Defaults for fields a pattern leaves out
+const PATTERN_DEFAULTS = {
+    aimed: false,
+    count: 1,
+    spread: null,
+    volleys: 1,
+    interval: 0,
+    turn: 0,
+    speed: null,
+    delay: 0,
+    waveAmplitude: 0,
+    waveFrequency: 0,
+    lifespan: 4000, // ms - patterns cross the whole room
+    telegraph: 0,
+    telegraphStyle: 'lines'
+};
+
+// Spent projectiles kept for reuse, so dense patterns don't churn garbage
+const projectilePool = [];
+const MAX_POOLED_PROJECTILES = 400;
+
+export default class BulletPatterns {
+    /**
+     * Start a pattern, replacing any the enemy is already firing
+     * @param {Object} enemy - The enemy firing (needs projectiles and projectile stats)
+     * @param {string} type - Pattern key from BULLET_PATTERNS
+     * @param {Object} target - What aimed patterns point at (anything with x, y)
+     * @param {Object} options - Overrides for the pattern's fields, plus angle (base angle for unaimed patterns)
+     */
+    static start(enemy, type, target, options = {}) {
+        const config = { ...PATTERN_DEFAULTS, ...(BULLET_PATTERNS[type] || BULLET_PATTERNS.aimed), ...options };
+        
+        enemy.pattern = {
+            type,
+            config,
+            target,
+            angle: options.angle !== undefined ? options.angle : enemy.random() * Math.PI * 2,
+            telegraphTimer: config.telegraph,
+            volleyTimer: 0,
+            volleysLeft: config.volleys
+        };
+        
+        if (config.aimed) {
+            BulletPatterns.aim(enemy);
+        }
+        
+        // Patterns without a warning go off straight away
+        if (config.telegraph <= 0) {
+            BulletPatterns.update(enemy, 0);
+        }
+    }
+    
+    /**
+     * Advance the enemy's pattern: count down the telegraph, then fire volleys as they come due
+     * @param {Object} enemy - The enemy firing
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    static update(enemy, deltaTime) {
+        const pattern = enemy.pattern;
+        if (!pattern) return;
+        
+        const config = pattern.config;
+        
+        if (pattern.telegraphTimer > 0) {
+            // Aimed patterns keep tracking the target until they fire
+            if (config.aimed) {
+                BulletPatterns.aim(enemy);
+            }
+            pattern.telegraphTimer -= deltaTime;
+            if (pattern.telegraphTimer > 0) return;
+        }
+        
+        pattern.volleyTimer -= deltaTime;
+        while (pattern.volleysLeft > 0 && pattern.volleyTimer <= 0) {
+            BulletPatterns.fireVolley(enemy, pattern);
+            pattern.volleysLeft--;
+            pattern.volleyTimer += config.interval;
+            pattern.angle += config.turn;
+        }
+        
+        if (pattern.volleysLeft <= 0) {
+            enemy.pattern = null;
+        }
+    }
+    
+    /**
+     * @param {Object} enemy - The enemy
+     * @returns {boolean} True while the enemy is telegraphing or firing a pattern
+     */
+    static isBusy(enemy) {
+        return !!enemy.pattern;
+    }
+    
+    /**
+     * Point an aimed pattern's base angle at its target
+     * @param {Object} enemy - The enemy firing
+     */
+    static aim(enemy) {
+        const pattern = enemy.pattern;
+        if (pattern.target) {
+            pattern.angle = Math.atan2(pattern.target.y - enemy.y, pattern.target.x - enemy.x);
+        }
+    }
+    
+    /**
+     * @param {Object} config - Pattern fields
+     * @param {number} baseAngle - Base angle of the volley in radians
+     * @returns {Array} Direction (radians) of each projectile in one volley
+     */
+    static getVolleyAngles(config, baseAngle) {
+        const angles = [];
+        for (let i = 0; i < config.count; i++) {
+            if (config.spread !== null) {
+                angles.push(baseAngle + (i - (config.count - 1) / 2) * config.spread);
+            } else {
+                angles.push(baseAngle + (i / config.count) * Math.PI * 2);
+            }
+        }
+        return angles;
+    }
+    
+    /**
+     * Fire one volley of a pattern
+     * @param {Object} enemy - The enemy firing
+     * @param {Object} pattern - The enemy's active pattern state
+     */
+    static fireVolley(enemy, pattern) {
+        const config = pattern.config;
+        
+        for (const angle of BulletPatterns.getVolleyAngles(config, pattern.angle)) {
+            enemy.fireProjectileAtAngle(angle, config.speed === null ? enemy.projectileSpeed : config.speed, {
+                delay: config.delay,
+                waveAmplitude: config.waveAmplitude,
+                waveFrequency: config.waveFrequency,
+                lifespan: config.lifespan
+            });
+        }
+    }
+    
+    /**
+     * Take a projectile from the pool (or make a new one) and set all of its fields
+     * @param {Object} fields - Projectile fields (x, y, dirX, dirY, speed, radius, damage, color, lifespan, ...)
+     * @returns {Object} Active projectile
+     */
+    static createProjectile(fields) {
+        const projectile = projectilePool.pop() || {};
+        
+        // Reset everything a previous use might have left behind
+        return Object.assign(projectile, {
+            active: true,
+            age: 0,
+            lifespan: 3000,
+            delay: 0,
+            waveAmplitude: 0,
+            waveFrequency: 0,
+            damageType: 'kinetic',
+            isDebug: false
+        }, fields);
+    }
+    
+    /**
+     * Return a spent projectile to the pool
+     * @param {Object} projectile - Projectile no longer referenced anywhere else
+     */
+    static recycleProjectile(projectile) {
+        if (projectilePool.length < MAX_POOLED_PROJECTILES) {
+            projectile.active = false;
+            projectilePool.push(projectile);
+        }
+    }
+    
+    /**
+     * Move a projectile for one step: hold it while delayed, then fly straight or sway along its path
+     * @param {Object} projectile - Enemy projectile
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    static moveProjectile(projectile, deltaTime) {
+        if (projectile.delay > 0) {
+            projectile.delay -= deltaTime;
+            return;
+        }
+        
+        const seconds = deltaTime / 1000;
+        const moveDist = projectile.speed * seconds;
+        projectile.x += projectile.dirX * moveDist;
+        projectile.y += projectile.dirY * moveDist;
+        
+        // Sway sideways: the sine wave's rate of change, applied across the direction of travel
+        if (projectile.waveAmplitude > 0) {
+            const omega = projectile.waveFrequency * Math.PI * 2;
+            const sway = projectile.waveAmplitude * omega * Math.cos(omega * projectile.age / 1000) * seconds;
+            projectile.x -= projectile.dirY * sway;
+            projectile.y += projectile.dirX * sway;
+        }
+    }
+    
+    /**
+     * Draw the warning for a pattern that is about to fire
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     * @param {Object} enemy - The enemy telegraphing
+     */
+    static renderTelegraph(ctx, enemy) {
+        const pattern = enemy.pattern;
+        if (!pattern || pattern.telegraphTimer <= 0) return;
+        
+        const config = pattern.config;
+        const progress = 1 - pattern.telegraphTimer / config.telegraph;
+        const color = enemy.projectileColor || enemy.color;
+        
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.shadowBlur = 8;
+        ctx.shadowColor = color;
+        
+        if (config.telegraphStyle === 'ring') {
+            // A ring closing in on the enemy, with ticks where the first volley will fly
+            const radius = enemy.width / 2 + 40 * (1 - progress);
+            ctx.globalAlpha = 0.3 + 0.5 * progress;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            for (const angle of BulletPatterns.getVolleyAngles(config, pattern.angle)) {
+                ctx.beginPath();
+                ctx.moveTo(enemy.x + Math.cos(angle) * radius, enemy.y + Math.sin(angle) * radius);
+                ctx.lineTo(enemy.x + Math.cos(angle) * (radius + 8), enemy.y + Math.sin(angle) * (radius + 8));
+                ctx.stroke();
+            }
+        } else {
+            // Faint aim lines that firm up as the shot gets close
+            const length = 60 + 120 * progress;
+            ctx.globalAlpha = 0.15 + 0.45 * progress;
+            ctx.lineWidth = 1 + progress * 2;
+            for (const angle of BulletPatterns.getVolleyAngles(config, pattern.angle)) {
+                ctx.beginPath();
+                ctx.moveTo(enemy.x, enemy.y);
+                ctx.lineTo(enemy.x + Math.cos(angle) * length, enemy.y + Math.sin(angle) * length);
+                ctx.stroke();
+            }
+        }
+        
+        ctx.restore();
+    }
+}
@@ -213,6 +213,20 @@ export class Camera {
         };
     }
     
+    /**
+     * Convert a canvas position (e.g. the mouse) to world coordinates, undoing the camera offset and zoom.
+     * Screen shake is left out so the result doesn't jitter.
+     * @param {number} x - Canvas X position
+     * @param {number} y - Canvas Y position
+     * @returns {Object} World position {x, y}
+     */
+    screenToWorld(x, y) {
+        return {
+            x: (x - this.zoomOriginX) / this.zoomLevel + this.zoomOriginX + this.x,
+            y: (y - this.zoomOriginY) / this.zoomLevel + this.zoomOriginY + this.y
+        };
+    }
+    
     /**
      * Immediately jump the camera to a specific position without smoothing
      * @param {number} x - Target X position
@@ -0,0 +1,153 @@
+// elements.js - Damage types: resistances, the ailments elemental hits cause and chain lightning
+
+// Every damage type. Weapons, enemy projectiles, dashes and explosions each carry one.
+//   colorScheme - EffectsManager.colorSchemes palette for the type's particles
+//   ailment     - Status effect an enemy or the player hit by it gets (see STATUS_EFFECTS)
+//   potency     - Ailment tick damage as a share of the hit's damage
+//   chain       - Shock arcs from an enemy it hits to up to `targets` others within `range`, each taking
+//                 `falloff` of the hit's damage
+export const DAMAGE_TYPES = {
+    kinetic: { name: 'Kinetic', colorScheme: 'neutral' },
+    fire: { name: 'Fire', colorScheme: 'fire', ailment: 'burning', potency: 0.1 },
+    cryo: { name: 'Cryo', colorScheme: 'ice', ailment: 'chilled' },
+    shock: { name: 'Shock', colorScheme: 'electricity', chain: { targets: 2, range: 140, falloff: 0.5 } },
+    toxin: { name: 'Toxin', colorScheme: 'toxin', ailment: 'poisoned', potency: 0.05 }
+};
+
+export default class Elements {
+    /**
+     * @param {string} type - Damage type key
+     * @returns {Object} Damage type definition, falling back to kinetic
+     */
+    static getType(type) {
+        return DAMAGE_TYPES[type] || DAMAGE_TYPES.kinetic;
+    }
+    
+    /**
+     * @param {Object} target - Enemy or player
+     * @param {string} type - Damage type key
+     * @returns {number} Share of the damage resisted: 0 none, 1 immune, negative for a weakness
+     */
+    static getResistance(target, type) {
+        const resistances = target.archetype ? target.archetype.resistances : target.resistances;
+        return resistances && resistances[type] ? resistances[type] : 0;
+    }
+    
+    /**
+     * Scale incoming damage by the target's resistance to its type
+     * @param {Object} target - Enemy or player
+     * @param {number} amount - Damage before resistances
+     * @param {string} type - Damage type key
+     * @returns {number} Damage after resistances
+     */
+    static resist(target, amount, type) {
+        return Math.max(0, amount * (1 - Elements.getResistance(target, type)));
+    }
+    
+    /**
+     * Hit an enemy with the player's damage, arcing shock damage on to its neighbours
+     * @param {Object} enemy - Enemy hit
+     * @param {number} amount - Damage before resistances
+     * @param {string} type - Damage type key
+     * @param {Object} room - The current room, for finding chain targets
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @param {Object} attacker - Optional player landing the hit, for their relics
+     */
+    static hit(enemy, amount, type, room, effects = null, attacker = null) {
+        enemy.takeDamage(amount, effects, { damageType: type, attacker });
+        
+        const chain = Elements.getType(type).chain;
+        if (chain && room) {
+            Elements.chainLightning(enemy, amount * chain.falloff, chain, room, effects, attacker);
+        }
+    }
+    
+    /**
+     * Arc shock damage from an enemy to the closest others in range
+     * @param {Object} source - Enemy the arcs start from
+     * @param {number} amount - Damage each arc deals before resistances
+     * @param {Object} chain - Chain settings from DAMAGE_TYPES
+     * @param {Object} room - The current room
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @param {Object} attacker - Optional player the arcs came from, for their relics
+     */
+    static chainLightning(source, amount, chain, room, effects = null, attacker = null) {
+        const targets = room.enemies
+            .filter(enemy => enemy !== source && enemy.active && !enemy.dying)
+            .map(enemy => ({ enemy, distance: Math.hypot(enemy.x - source.x, enemy.y - source.y) }))
+            .filter(entry => entry.distance <= chain.range)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, chain.targets);
+        
+        for (const { enemy } of targets) {
+            enemy.takeDamage(amount, effects, { damageType: 'shock', attacker });
+            if (effects && typeof effects.createLightningArc === 'function') {
+                effects.createLightningArc(source.x, source.y, enemy.x, enemy.y);
+            }
+        }
+    }
+    
+    /**
+     * Set off the particles and ailment a hit of this type causes
+     * @param {Object} target - Enemy or player that was hit
+     * @param {number} amount - Damage dealt, after resistances
+     * @param {string} type - Damage type key
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @param {Object} attacker - Optional player who landed the hit, credited with the ailment's tick damage
+     */
+    static applyAilment(target, amount, type, effects = null, attacker = null) {
+        const damageType = Elements.getType(type);
+        Elements.createParticles(target, type, 6, effects);
+        if (!damageType.ailment || !target.statusEffects || Elements.getResistance(target, type) >= 1) return;
+        
+        const potency = amount * (damageType.potency || 0);
+        target.statusEffects.apply(damageType.ailment, { potency, source: attacker }, effects);
+        
+        // A full stack of chill freezes an enemy solid (bosses only ever slow down)
+        if (damageType.ailment === 'chilled' && target.archetype && target.type !== 'boss' &&
+            target.statusEffects.isAtMaxStacks('chilled')) {
+            target.statusEffects.remove('chilled');
+            target.statusEffects.apply('frozen', {}, effects);
+        }
+    }
+    
+    /**
+     * Deal an ailment's damage over time: no new ailment and no invulnerability after the hit
+     * @param {Object} target - Enemy or player with the ailment
+     * @param {number} amount - Tick damage before resistances
+     * @param {string} type - Damage type key
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @param {Object} attacker - Optional player who applied the ailment, for their relics
+     */
+    static dealTickDamage(target, amount, type, effects = null, attacker = null) {
+        if (amount <= 0) return;
+        
+        if (target.archetype) {
+            if (target.dying || !target.active) return;
+            target.takeDamage(amount, effects, { damageType: type, isTick: true, attacker });
+        } else {
+            target.takeDamage(amount, type, true);
+        }
+        
+        Elements.createParticles(target, type, 4, effects);
+    }
+    
+    /**
+     * Burst of the damage type's colors around a target
+     * @param {Object} target - Enemy or player
+     * @param {string} type - Damage type key
+     * @param {number} count - Number of particles
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static createParticles(target, type, count, effects = null) {
+        if (!effects || type === 'kinetic') return;
+        
+        effects.createParticleBurst(target.x, target.y, count, {
+            color: effects.colorSchemes[Elements.getType(type).colorScheme],
+            minSpeed: 20,
+            maxSpeed: 70,
+            minLifetime: 0.3,
+            maxLifetime: 0.7
+        });
+    }
+}
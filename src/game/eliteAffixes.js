@@ -0,0 +1,393 @@
+// eliteAffixes.js - Elite enemy modifiers: affix definitions, rolling them for a room, and what each one does
+import EnemyPerception, { ALERT_STATES } from './enemyPerception.js';
+import Obstacles from './obstacles.js';
+
+// Every elite affix. Add one by adding an entry here and its behavior to EliteAffixes below.
+//   name       - Prefix for the elite's name tag
+//   color      - Aura ring and name tag color
+//   bonusScore - Extra points for killing an elite with this affix
+export const ELITE_AFFIXES = {
+    shielded: { name: 'Shielded', color: '#66ccff', bonusScore: 150 },  // Energy shield that soaks damage and recharges
+    splitting: { name: 'Splitting', color: '#88ff44', bonusScore: 100 }, // Bursts into smaller copies on death
+    explosive: { name: 'Explosive', color: '#ff6600', bonusScore: 100 }, // Detonates when it dies
+    teleporting: { name: 'Teleporting', color: '#cc66ff', bonusScore: 150 }, // Blinks to a new spot near the player
+    vampiric: { name: 'Vampiric', color: '#cc0033', bonusScore: 150 },  // Heals when it hurts the player
+    haste: { name: 'Hastening', color: '#ffee55', bonusScore: 100 }     // Speeds up nearby allies
+};
+
+// Chance of an enemy rolling as an elite: grows with difficulty up to a cap
+const ELITE_CHANCE_PER_DIFFICULTY = 0.03;
+const MAX_ELITE_CHANCE = 0.3;
+
+// From this difficulty an elite can roll a second affix
+const SECOND_AFFIX_DIFFICULTY = 5;
+const SECOND_AFFIX_CHANCE = 0.35;
+
+// Elites are tougher and a little bigger than their archetype
+const ELITE_HEALTH_MULTIPLIER = 1.5;
+const ELITE_SIZE_MULTIPLIER = 1.2;
+
+// Shield size as a fraction of max health, the pause (ms) after a hit before it recharges,
+// and how much of it comes back per second
+const SHIELD_FRACTION = 0.5;
+const SHIELD_RECHARGE_DELAY = 2500;
+const SHIELD_RECHARGE_RATE = 0.25;
+
+// Copies a splitting elite bursts into, with their share of its max health and size
+const SPLIT_COUNT = 2;
+const SPLIT_HEALTH_FRACTION = 0.35;
+const SPLIT_SIZE_FACTOR = 0.7;
+
+// Explosion on death, and how long (ms) the dying elite glows before it goes off
+const EXPLOSION_RADIUS = 110;
+const EXPLOSION_DAMAGE = 25;
+const EXPLOSION_FUSE = 700;
+
+// Time (ms) between blinks, how long the blink is telegraphed, and how far from the player it lands
+const BLINK_INTERVAL = 3500;
+const BLINK_WARNING_TIME = 400;
+const BLINK_MIN_DISTANCE = 120;
+const BLINK_MAX_DISTANCE = 220;
+
+// Health a vampiric elite regains per point of damage dealt to the player
+const VAMPIRIC_HEAL_RATIO = 2;
+
+// Haste aura reach, and how long (ms) the boost lasts after leaving it (the speed-up is STATUS_EFFECTS.haste)
+const HASTE_RADIUS = 160;
+const HASTE_LINGER_TIME = 250;
+
+export default class EliteAffixes {
+    /**
+     * Roll whether a room enemy is an elite, and with which affixes
+     * @param {number} difficulty - Room difficulty
+     * @param {Function} random - Random source (0 to 1); rooms pass their seeded generator
+     * @returns {Array} Affix keys from ELITE_AFFIXES (empty for a regular enemy)
+     */
+    static roll(difficulty, random) {
+        const eliteChance = Math.min(MAX_ELITE_CHANCE, difficulty * ELITE_CHANCE_PER_DIFFICULTY);
+        if (random() >= eliteChance) return [];
+        
+        const count = difficulty >= SECOND_AFFIX_DIFFICULTY && random() < SECOND_AFFIX_CHANCE ? 2 : 1;
+        const pool = Object.keys(ELITE_AFFIXES);
+        const affixes = [];
+        while (affixes.length < count) {
+            affixes.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+        }
+        return affixes;
+    }
+    
+    /**
+     * Turn an enemy into an elite: boost its stats and set up the state its affixes need
+     * @param {Object} enemy - The enemy
+     * @param {Array} affixes - Affix keys from ELITE_AFFIXES (unknown keys are ignored)
+     */
+    static apply(enemy, affixes) {
+        const valid = (affixes || []).filter(affix => ELITE_AFFIXES[affix]);
+        if (valid.length === 0) return;
+        
+        enemy.affixes = valid;
+        enemy.health *= ELITE_HEALTH_MULTIPLIER;
+        enemy.maxHealth = enemy.health;
+        enemy.width *= ELITE_SIZE_MULTIPLIER;
+        enemy.height = enemy.width;
+        
+        const maxShield = valid.includes('shielded') ? enemy.maxHealth * SHIELD_FRACTION : 0;
+        enemy.elite = {
+            name: `${valid.map(affix => ELITE_AFFIXES[affix].name).join(' ')} ${enemy.archetype.name}`,
+            bonusScore: valid.reduce((total, affix) => total + ELITE_AFFIXES[affix].bonusScore, 0),
+            shield: maxShield,
+            maxShield: maxShield,
+            shieldDelay: 0, // Time (ms) until the shield starts recharging
+            blinkTimer: BLINK_INTERVAL * (0.5 + enemy.random()), // Stagger the first blink
+            auraTime: 0 // Drives the aura animation
+        };
+        
+        // Give the player a moment to get clear before the blast
+        if (valid.includes('explosive')) {
+            enemy.deathDuration = EXPLOSION_FUSE;
+        }
+    }
+    
+    /**
+     * @param {Object} enemy - The enemy
+     * @param {string} affix - Affix key
+     * @returns {boolean} True if the enemy is an elite with this affix
+     */
+    static has(enemy, affix) {
+        return !!enemy.elite && enemy.affixes.includes(affix);
+    }
+    
+    /**
+     * Run an elite's affixes for one simulation step
+     * @param {Object} enemy - The elite enemy
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {string} alertState - The enemy's alert state this step
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static update(enemy, player, room, deltaTime, alertState, effects = null) {
+        const elite = enemy.elite;
+        elite.auraTime += deltaTime;
+        
+        // Recharge the shield once the enemy hasn't been hit for a while
+        if (elite.maxShield > 0) {
+            elite.shieldDelay -= deltaTime;
+            if (elite.shieldDelay <= 0) {
+                elite.shield = Math.min(elite.maxShield, elite.shield + elite.maxShield * SHIELD_RECHARGE_RATE * (deltaTime / 1000));
+            }
+        }
+        
+        // Blink around the player while fighting (hidden ambushers stay put)
+        if (EliteAffixes.has(enemy, 'teleporting') && alertState === ALERT_STATES.ALERTED && !enemy.isHidden()) {
+            elite.blinkTimer -= deltaTime;
+            if (elite.blinkTimer <= 0) {
+                EliteAffixes.blink(enemy, player, room, effects);
+                elite.blinkTimer = BLINK_INTERVAL * (0.75 + enemy.random() * 0.5);
+            }
+        }
+        
+        // Hasten every ally inside the aura
+        if (EliteAffixes.has(enemy, 'haste') && room) {
+            for (const ally of room.enemies) {
+                if (ally === enemy || !ally.active || ally.dying || ally.type === 'boss') continue;
+                if (Math.hypot(ally.x - enemy.x, ally.y - enemy.y) <= HASTE_RADIUS) {
+                    ally.statusEffects.apply('haste', { duration: HASTE_LINGER_TIME });
+                }
+            }
+        }
+    }
+    
+    /**
+     * Move a teleporting elite to a random walkable spot around the player
+     * @param {Object} enemy - The elite enemy
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @returns {boolean} True if the enemy found somewhere to land
+     */
+    static blink(enemy, player, room, effects = null) {
+        if (!room || typeof room.getNavigationGrid !== 'function') return false;
+        const grid = room.getNavigationGrid();
+        
+        for (let attempt = 0; attempt < 8; attempt++) {
+            const angle = enemy.random() * Math.PI * 2;
+            const distance = BLINK_MIN_DISTANCE + enemy.random() * (BLINK_MAX_DISTANCE - BLINK_MIN_DISTANCE);
+            const x = player.x + Math.cos(angle) * distance;
+            const y = player.y + Math.sin(angle) * distance;
+            if (!grid.isWalkable(x, y)) continue;
+            
+            if (effects) {
+                effects.createGlowEffect(enemy.x, enemy.y, 12, ELITE_AFFIXES.teleporting.color, 0.6);
+                effects.createGlowEffect(x, y, 12, ELITE_AFFIXES.teleporting.color, 0.6);
+            }
+            
+            enemy.x = x;
+            enemy.y = y;
+            enemy.prevX = x;
+            enemy.prevY = y;
+            enemy.navigation = null;
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Let a shield soak up incoming damage
+     * @param {Object} enemy - The elite enemy
+     * @param {number} amount - Incoming damage
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @returns {number} Damage left over for the enemy's health
+     */
+    static absorbDamage(enemy, amount, effects = null) {
+        const elite = enemy.elite;
+        if (elite.maxShield === 0) return amount;
+        
+        elite.shieldDelay = SHIELD_RECHARGE_DELAY;
+        if (elite.shield <= 0) return amount;
+        
+        const absorbed = Math.min(elite.shield, amount);
+        elite.shield -= absorbed;
+        
+        if (effects) {
+            effects.createGlowEffect(enemy.x, enemy.y, elite.shield > 0 ? 4 : 12, ELITE_AFFIXES.shielded.color, 0.4);
+        }
+        
+        return amount - absorbed;
+    }
+    
+    /**
+     * React to the elite hurting the player (vampiric elites heal)
+     * @param {Object} enemy - The elite enemy
+     * @param {number} amount - Damage dealt to the player
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static onDealtDamage(enemy, amount, effects = null) {
+        if (!EliteAffixes.has(enemy, 'vampiric') || enemy.dying) return;
+        
+        enemy.health = Math.min(enemy.maxHealth, enemy.health + amount * VAMPIRIC_HEAL_RATIO);
+        if (effects) {
+            effects.createGlowEffect(enemy.x, enemy.y, 10, ELITE_AFFIXES.vampiric.color, 0.8);
+        }
+    }
+    
+    /**
+     * Trigger an elite's death affixes once its death animation ends, and drop its loot
+     * @param {Object} enemy - The elite enemy
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static onDeath(enemy, player, room, effects = null) {
+        if (EliteAffixes.has(enemy, 'explosive')) {
+            if (effects) {
+                effects.createParticleBurst(enemy.x, enemy.y, 40, {
+                    color: [ELITE_AFFIXES.explosive.color, '#ffcc00', '#ffffff'],
+                    minSpeed: 100,
+                    maxSpeed: 300,
+                    minLifetime: 0.3,
+                    maxLifetime: 0.7
+                });
+            }
+            
+            if (player && !player.isDead && Math.hypot(player.x - enemy.x, player.y - enemy.y) <= EXPLOSION_RADIUS) {
+                player.takeDamage(EXPLOSION_DAMAGE, 'fire');
+            }
+            
+            // The blast breaks crates and sets off barrels too
+            if (room && room.obstacles) {
+                Obstacles.damageInRadius(room, enemy.x, enemy.y, EXPLOSION_RADIUS, EXPLOSION_DAMAGE, effects);
+            }
+        }
+        
+        if (!room) return;
+        
+        if (EliteAffixes.has(enemy, 'splitting') && typeof room.spawnEnemy === 'function') {
+            for (let i = 0; i < SPLIT_COUNT; i++) {
+                // Fly apart in opposite directions
+                const angle = enemy.random() * Math.PI * 2 / SPLIT_COUNT + (i / SPLIT_COUNT) * Math.PI * 2;
+                const offset = enemy.width / 2;
+                const child = room.spawnEnemy(enemy.type, enemy.x + Math.cos(angle) * offset, enemy.y + Math.sin(angle) * offset,
+                    Math.ceil(enemy.maxHealth * SPLIT_HEALTH_FRACTION));
+                child.width = enemy.width * SPLIT_SIZE_FACTOR;
+                child.height = child.width;
+                EnemyPerception.alert(child, player ? player.x : null, player ? player.y : null);
+            }
+            
+            if (effects) {
+                effects.createGlowEffect(enemy.x, enemy.y, 15, ELITE_AFFIXES.splitting.color, 0.8);
+            }
+        }
+        
+        // Every elite leaves a bonus pickup behind
+        if (typeof room.dropLoot === 'function') {
+            room.dropLoot(enemy.x, enemy.y);
+        }
+    }
+    
+    /**
+     * Draw an elite's aura rings, shield, blink warning and name tag
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     * @param {Object} enemy - The elite enemy
+     */
+    static render(ctx, enemy) {
+        const elite = enemy.elite;
+        const radius = enemy.width / 2;
+        const pulse = 0.5 + 0.5 * Math.sin(elite.auraTime / 200);
+        
+        ctx.save();
+        
+        // One rotating dashed ring per affix
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        enemy.affixes.forEach((affix, index) => {
+            const color = ELITE_AFFIXES[affix].color;
+            ctx.globalAlpha = 0.5 + 0.4 * pulse;
+            ctx.strokeStyle = color;
+            ctx.shadowBlur = 10;
+            ctx.shadowColor = color;
+            ctx.lineDashOffset = (index % 2 === 0 ? -1 : 1) * elite.auraTime / 40;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, radius + 6 + index * 5, 0, Math.PI * 2);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        ctx.shadowBlur = 0;
+        
+        // Show how far the haste aura reaches
+        if (EliteAffixes.has(enemy, 'haste')) {
+            ctx.globalAlpha = 0.06 + 0.04 * pulse;
+            ctx.fillStyle = ELITE_AFFIXES.haste.color;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, HASTE_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Shield bubble, brighter the more shield is left
+        if (elite.shield > 0) {
+            ctx.globalAlpha = 0.15 + 0.35 * (elite.shield / elite.maxShield);
+            ctx.fillStyle = ELITE_AFFIXES.shielded.color;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, radius + 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        
+        // Flicker just before a blink
+        if (EliteAffixes.has(enemy, 'teleporting') && elite.blinkTimer < BLINK_WARNING_TIME) {
+            ctx.globalAlpha = Math.floor(elite.blinkTimer / 60) % 2 === 0 ? 0.8 : 0.2;
+            ctx.strokeStyle = ELITE_AFFIXES.teleporting.color;
+            ctx.beginPath();
+            ctx.arc(enemy.x, enemy.y, radius * (1 + elite.blinkTimer / BLINK_WARNING_TIME), 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        ctx.globalAlpha = 1.0;
+        
+        // Shield bar just above the health bar
+        if (elite.maxShield > 0) {
+            const barWidth = enemy.width * 1.2;
+            ctx.fillStyle = '#222222';
+            ctx.fillRect(enemy.x - barWidth / 2, enemy.y - enemy.height / 2 - 14, barWidth, 2);
+            ctx.fillStyle = ELITE_AFFIXES.shielded.color;
+            ctx.fillRect(enemy.x - barWidth / 2, enemy.y - enemy.height / 2 - 14, barWidth * (elite.shield / elite.maxShield), 2);
+        }
+        
+        // Name tag under the enemy, in the first affix's color
+        const tagColor = ELITE_AFFIXES[enemy.affixes[0]].color;
+        ctx.font = 'bold 10px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = tagColor;
+        ctx.shadowBlur = 6;
+        ctx.shadowColor = tagColor;
+        ctx.fillText(elite.name.toUpperCase(), enemy.x, enemy.y + enemy.height / 2 + 16);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the blast radius growing while an explosive elite's death fuse burns
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     * @param {Object} enemy - The dying elite enemy
+     */
+    static renderDeath(ctx, enemy) {
+        if (!EliteAffixes.has(enemy, 'explosive')) return;
+        
+        const progress = 1 - enemy.deathTimer / enemy.deathDuration;
+        
+        ctx.save();
+        ctx.globalAlpha = 0.2 + 0.4 * progress;
+        ctx.strokeStyle = ELITE_AFFIXES.explosive.color;
+        ctx.lineWidth = 3;
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = ELITE_AFFIXES.explosive.color;
+        ctx.beginPath();
+        ctx.arc(enemy.x, enemy.y, EXPLOSION_RADIUS * progress, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 0.1;
+        ctx.fillStyle = ELITE_AFFIXES.explosive.color;
+        ctx.beginPath();
+        ctx.arc(enemy.x, enemy.y, EXPLOSION_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.restore();
+    }
+}
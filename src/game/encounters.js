@@ -0,0 +1,311 @@
+// encounters.js - Wave-based room encounters: encounter definitions and the per-room wave runner
+import EnemyPerception from './enemyPerception.js';
+import { getArchetype } from './enemyArchetypes.js';
+import EliteAffixes from './eliteAffixes.js';
+
+// Every encounter shape. A room's rolled enemies are shared out between the waves by `share`; the first wave
+// is in the room from the start. Each later wave comes in on its trigger:
+//   cleared - Once the previous wave is dead, after `delay` ms
+//   timer   - `delay` ms after the previous wave arrived, or as soon as it's dead if that's sooner
+// spawn works like archetype spawn weights: zero below minDifficulty, then base + perDifficulty per level above it.
+export const ENCOUNTERS = {
+    skirmish: {
+        waves: [{ share: 1 }],
+        spawn: { minDifficulty: 1, base: 4, perDifficulty: -0.4 }
+    },
+    reinforced: {
+        waves: [
+            { share: 0.6 },
+            { share: 0.4, trigger: 'cleared', delay: 1000 }
+        ],
+        spawn: { minDifficulty: 2, base: 2, perDifficulty: 0.2 }
+    },
+    onslaught: {
+        waves: [
+            { share: 0.4 },
+            { share: 0.3, trigger: 'timer', delay: 12000 },
+            { share: 0.3, trigger: 'cleared', delay: 1500 }
+        ],
+        spawn: { minDifficulty: 4, base: 1, perDifficulty: 0.4 }
+    },
+    siege: {
+        waves: [
+            { share: 0.3 },
+            { share: 0.25, trigger: 'timer', delay: 8000 },
+            { share: 0.25, trigger: 'timer', delay: 8000 },
+            { share: 0.2, trigger: 'cleared', delay: 1500 }
+        ],
+        spawn: { minDifficulty: 6, base: 0.5, perDifficulty: 0.3 }
+    }
+};
+
+// Time (ms) a spawn portal is telegraphed before its enemy steps out, and the stagger between portals in a wave
+const SPAWN_TELEGRAPH_TIME = 1200;
+const SPAWN_STAGGER = 150;
+
+// A wave enemy whose planned spot is closer than this to the player is moved out to this distance
+const SPAWN_SAFE_DISTANCE = 150;
+
+/**
+ * Roll an encounter shape for a room, weighted by difficulty
+ * @param {number} difficulty - Room difficulty
+ * @param {Function} random - Random source (0 to 1)
+ * @returns {string} Encounter key from ENCOUNTERS
+ */
+export function pickEncounter(difficulty, random) {
+    const weights = Object.entries(ENCOUNTERS).map(([key, encounter]) => {
+        const spawn = encounter.spawn;
+        const weight = difficulty < spawn.minDifficulty ? 0 :
+            spawn.base + spawn.perDifficulty * (difficulty - spawn.minDifficulty);
+        return [key, Math.max(0, weight)];
+    });
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    
+    let roll = random() * total;
+    for (const [key, weight] of weights) {
+        if (weight <= 0) continue;
+        roll -= weight;
+        if (roll < 0) return key;
+    }
+    return 'skirmish';
+}
+
+/**
+ * Share a room's enemies out between an encounter's waves
+ * @param {string} key - Encounter key from ENCOUNTERS
+ * @param {Array} enemies - Enemy configs rolled for the room
+ * @returns {Array} One entry per wave: {trigger, delay, enemies}; waves that would be empty are dropped
+ */
+export function splitIntoWaves(key, enemies) {
+    const encounter = ENCOUNTERS[key] || ENCOUNTERS.skirmish;
+    const waves = [];
+    let start = 0;
+    let share = 0;
+    
+    encounter.waves.forEach((wave, index) => {
+        share += wave.share;
+        const end = index === encounter.waves.length - 1 ? enemies.length : Math.round(enemies.length * share);
+        if (end > start) {
+            waves.push({ trigger: wave.trigger || 'cleared', delay: wave.delay || 0, enemies: enemies.slice(start, end) });
+        }
+        start = Math.max(start, end);
+    });
+    
+    return waves;
+}
+
+export default class Encounter {
+    /**
+     * @param {Object} room - The room the waves spawn into
+     * @param {Array} waves - Waves still to come after the enemies already in the room ({trigger, delay, enemies})
+     * @param {number} waveNumber - Waves already started (the room's starting enemies count as the first)
+     */
+    constructor(room, waves = [], waveNumber = 1) {
+        this.room = room;
+        this.waves = waves.map(wave => ({ ...wave, enemies: wave.enemies.slice() }));
+        this.waveNumber = waveNumber;
+        this.totalWaves = waveNumber + this.waves.length;
+        this.spawning = []; // Portals telegraphing an enemy: {config, x, y, timer, duration, color}
+        this.timer = this.getWaveTimer();
+    }
+    
+    /**
+     * @returns {number} Time (ms) until the next wave comes in without the current one being cleared
+     */
+    getWaveTimer() {
+        const next = this.waves[0];
+        return next && next.trigger === 'timer' ? next.delay : Infinity;
+    }
+    
+    /**
+     * @returns {boolean} True while waves are still to come or enemies are still stepping out of portals
+     */
+    hasPendingWaves() {
+        return this.waves.length > 0 || this.spawning.length > 0;
+    }
+    
+    /**
+     * @returns {boolean} True if the current wave and everything before it is dead
+     */
+    isWaveCleared() {
+        return this.spawning.length === 0 && !this.room.enemies.some(enemy => enemy.active && !enemy.dying);
+    }
+    
+    /**
+     * Count down to the next wave and bring in enemies whose portals have finished telegraphing
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    update(deltaTime, player, effects = null) {
+        for (const portal of this.spawning) {
+            portal.timer -= deltaTime;
+            if (portal.timer <= 0) {
+                this.spawnFromPortal(portal, player, effects);
+            }
+        }
+        this.spawning = this.spawning.filter(portal => portal.timer > 0);
+        
+        if (this.waves.length === 0) return;
+        
+        // A cleared room doesn't wait out a timer - the next wave follows after its short delay
+        if (this.isWaveCleared()) {
+            const next = this.waves[0];
+            this.timer = Math.min(this.timer, next.trigger === 'cleared' ? next.delay : 0);
+        }
+        
+        this.timer -= deltaTime;
+        if (this.timer <= 0) {
+            this.startNextWave(player, effects);
+        }
+    }
+    
+    /**
+     * Open a spawn portal for every enemy in the next wave
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    startNextWave(player, effects = null) {
+        const wave = this.waves.shift();
+        this.waveNumber++;
+        this.timer = this.getWaveTimer();
+        
+        wave.enemies.forEach((config, index) => {
+            const spot = this.getSpawnPoint(config, player);
+            const color = getArchetype(config.type).color;
+            const duration = SPAWN_TELEGRAPH_TIME + index * SPAWN_STAGGER;
+            this.spawning.push({ config, x: spot.x, y: spot.y, timer: duration, duration, color });
+            
+            if (effects && typeof effects.createSpawnPortalEffect === 'function') {
+                effects.createSpawnPortalEffect(spot.x, spot.y, color, duration / 1000);
+            }
+        });
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(this.waves.length === 0 ? 'Final wave!' : `Wave ${this.waveNumber}/${this.totalWaves}`);
+        }
+        
+        console.log(`Wave ${this.waveNumber}/${this.totalWaves}: ${wave.enemies.length} enemies incoming`);
+    }
+    
+    /**
+     * Where an enemy of the coming wave steps out: its planned spot, moved across the room if the player
+     * is standing there, and out of any cover
+     * @param {Object} config - Enemy config from the wave
+     * @param {Object} player - The player object
+     * @returns {Object} Position {x, y}
+     */
+    getSpawnPoint(config, player) {
+        const room = this.room;
+        let x = config.x;
+        let y = config.y;
+        
+        if (player && Math.hypot(x - player.x, y - player.y) < SPAWN_SAFE_DISTANCE) {
+            // Step out to a safe distance, on whichever side of the player still fits in the room
+            const dx = x - player.x;
+            const dy = y - player.y;
+            const length = Math.sqrt(dx * dx + dy * dy);
+            const dirX = length > 0 ? dx / length : 1;
+            const dirY = length > 0 ? dy / length : 0;
+            const margin = room.wallThickness + 20;
+            
+            for (const side of [1, -1]) {
+                const candidateX = player.x + dirX * side * SPAWN_SAFE_DISTANCE;
+                const candidateY = player.y + dirY * side * SPAWN_SAFE_DISTANCE;
+                if (candidateX >= margin && candidateX <= room.width - margin &&
+                    candidateY >= margin && candidateY <= room.height - margin) {
+                    x = candidateX;
+                    y = candidateY;
+                    break;
+                }
+            }
+        }
+        
+        if (typeof room.getNavigationGrid === 'function') {
+            const grid = room.getNavigationGrid();
+            if (!grid.isWalkable(x, y)) {
+                const cell = grid.findNearestWalkable(grid.getCellIndex(x, y));
+                if (cell !== -1) {
+                    return grid.getCellCenter(cell);
+                }
+            }
+        }
+        
+        return { x, y };
+    }
+    
+    /**
+     * Bring a portal's enemy into the room, already aware of the player
+     * @param {Object} portal - Spawn portal that has finished telegraphing
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    spawnFromPortal(portal, player, effects = null) {
+        const config = portal.config;
+        const enemy = this.room.spawnEnemy(config.type || 'normal', portal.x, portal.y, config.health || null);
+        
+        if (config.affixes && config.affixes.length > 0) {
+            EliteAffixes.apply(enemy, config.affixes);
+        }
+        if (player) {
+            EnemyPerception.alert(enemy, player.x, player.y);
+        }
+        
+        if (effects) {
+            effects.createGlowEffect(enemy.x, enemy.y, 15, portal.color, 0.6);
+        }
+    }
+    
+    /**
+     * Waves still to come, for saving. Enemies halfway out of a portal are saved as a wave that
+     * comes in straight away.
+     * @returns {Object} Plain JSON-safe snapshot: {waveNumber, waves}
+     */
+    getSaveState() {
+        const waves = this.waves.map(wave => ({ ...wave, enemies: wave.enemies.slice() }));
+        let waveNumber = this.waveNumber;
+        
+        if (this.spawning.length > 0) {
+            waves.unshift({ trigger: 'timer', delay: 0, enemies: this.spawning.map(portal => portal.config) });
+            waveNumber--;
+        }
+        
+        return { waveNumber, waves };
+    }
+    
+    /**
+     * Draw spawn portals opening where the next enemies will appear
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     */
+    render(ctx) {
+        for (const portal of this.spawning) {
+            const progress = 1 - portal.timer / portal.duration;
+            const radius = 8 + 18 * progress;
+            
+            ctx.save();
+            ctx.strokeStyle = portal.color;
+            ctx.shadowColor = portal.color;
+            ctx.shadowBlur = 15;
+            
+            // Swirling rim that grows as the portal opens
+            ctx.lineWidth = 2;
+            ctx.globalAlpha = 0.4 + 0.6 * progress;
+            const spin = Date.now() / 150;
+            for (let i = 0; i < 3; i++) {
+                const start = spin + (i * Math.PI * 2) / 3;
+                ctx.beginPath();
+                ctx.arc(portal.x, portal.y, radius, start, start + Math.PI / 2);
+                ctx.stroke();
+            }
+            
+            // Dark core
+            ctx.globalAlpha = 0.6 * progress;
+            ctx.fillStyle = '#000000';
+            ctx.beginPath();
+            ctx.arc(portal.x, portal.y, radius * 0.7, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.restore();
+        }
+    }
+}
@@ -1,22 +1,42 @@
 // enemy.js - Enemy class
 import EnemyAI from './enemyAI.js';
+import BossAI from './bossAI.js';
+import EnemyPerception, { ALERT_STATES } from './enemyPerception.js';
+import { getArchetype } from './enemyArchetypes.js';
+import EliteAffixes from './eliteAffixes.js';
+import BulletPatterns from './bulletPatterns.js';
+import { SQUAD_ROLES } from './squadDirector.js';
+import StatusEffects from './statusEffects.js';
+import Elements from './elements.js';
 
 export default class Enemy {
-    constructor(x, y, speed = 100, health = 100, type = 'normal') {
+    /**
+     * @param {number} x - Spawn X position
+     * @param {number} y - Spawn Y position
+     * @param {number|null} speed - Speed in pixels per second, or null for the archetype's
+     * @param {number|null} health - Starting health, or null for the archetype's
+     * @param {string} type - Archetype key from ENEMY_ARCHETYPES
+     * @param {Function} random - Random source (0 to 1)
+     */
+    constructor(x, y, speed = null, health = null, type = 'normal', random = Math.random) {
+        const archetype = getArchetype(type);
+        
         this.x = x;
         this.y = y;
-        // CRITICAL FIX: Convert 'ambush' type to 'normal' to ensure enemies always move
-        this.type = type === 'ambush' ? 'normal' : type; // Prevent ambush behavior completely
-        this.width = type === 'fast' ? 20 : (type === 'strong' ? 40 : 25);
+        this.random = random; // Random source (0 to 1) - rooms pass their seeded generator
+        this.archetype = archetype; // Definition this enemy was built from
+        this.type = archetype.type;
+        this.width = archetype.size;
         this.height = this.width;
-        this.speed = speed; // pixels per second
-        this.color = this.getColorForType(type);
-        this.health = health;
-        this.maxHealth = health; // Store max health for effect scaling
+        this.speed = speed === null ? archetype.speed : speed; // pixels per second
+        this.color = archetype.color;
+        this.health = health === null ? archetype.health : health;
+        this.maxHealth = this.health; // Store max health for effect scaling
         this.active = true;
         this.dying = false;
         this.deathTimer = 0;
-        this.deathDuration = 300; // milliseconds
+        this.deathDuration = archetype.deathDuration; // milliseconds
+        this.contactDamage = 10; // Damage dealt when touching the player
         this.flashInterval = 50; // milliseconds
         
         // Knockback properties
@@ -30,50 +50,57 @@ export default class Enemy {
         this.prevX = x;
         this.prevY = y;
         this.trailCounter = 0;
-        this.trailInterval = type === 'fast' ? 1 : 3; // Fast enemies leave more frequent trails
+        this.trailInterval = archetype.trailInterval; // Frames between trail particles
         
-        // Projectile properties (for patrol type enemies)
+        // Projectile properties (fired at the player by ranged archetypes, and by boss attack patterns)
         this.projectiles = [];
-        this.projectileSpeed = 200; // pixels per second
-        this.projectileDamage = 10; 
-        this.projectileRadius = 8; 
-        this.projectileColor = type === 'patrol' ? '#00ff88' : this.color; // Greenish projectiles for patrol enemies
-        this.fireRate = 2000; // milliseconds between shots
-        this.fireTimer = 1000 + Math.random() * 1000; // Randomize initial fire time
-        this.fireRange = 350; // Only fire if player is within this range
+        this.projectileSpeed = archetype.projectile.speed; // pixels per second
+        this.projectileDamage = archetype.projectile.damage;
+        this.projectileDamageType = archetype.projectile.damageType; // See DAMAGE_TYPES
+        this.projectileRadius = archetype.projectile.radius;
+        this.projectileColor = archetype.projectile.color;
+        this.fireRate = archetype.projectile.fireRate; // milliseconds between shots
+        this.fireTimer = 1000 + this.random() * 1000; // Randomize initial fire time
+        this.fireRange = archetype.projectile.fireRange; // Only fire if player is within this range
+        this.pattern = null; // Bullet pattern being telegraphed or fired (see BulletPatterns)
         
         // Custom patrol data for gold enemies
         this.patrolData = null;
         
-        // Initialize ambush data for ambush type
-        if (type === 'ambush') {
-            this.ambushData = {
-                triggered: false,
-                chargeTimer: 0,
-                originalSpeed: speed,
-                failsafeTimer: 3000 + Math.random() * 2000, // 3-5s initial failsafe timer
-                patrolPoints: null,
-                currentPatrolPoint: 0,
-                waitTime: 0
-            };
+        // Elite modifiers (see EliteAffixes.apply) - regular enemies have none
+        this.affixes = [];
+        this.elite = null;
+        
+        // Timed buffs and ailments, such as an elite's haste aura (see STATUS_EFFECTS)
+        this.statusEffects = new StatusEffects(this);
+        
+        // Orders from the room's squad director (see SquadDirector) - null role means the archetype's own behavior
+        this.squad = null;
+        this.squadRole = null;
+        this.squadSlot = 0; // Direction (radians) from the player to come in from
+        
+        // What the enemy knows about the player (archetypes with their own detection start out alerted)
+        this.perception = EnemyPerception.createState(!archetype.usesPerception);
+        
+        // Ambush enemies hide, then charge when the player comes close (see EnemyAI.ambush)
+        if (archetype.behavior.type === 'ambush') {
+            this.ambushData = EnemyAI.createAmbushData(this.speed);
         }
-    }
-    
-    /**
-     * Get color based on enemy type
-     * @param {string} type - Enemy type
-     * @returns {string} - Color hex code
-     */
-    getColorForType(type) {
-        switch(type) {
-            case 'fast': return '#00ffff'; // Cyan
-            case 'strong': return '#ff0000'; // Red
-            case 'chaser': return '#ff00ff'; // Magenta
-            case 'patrol': return '#00ff00'; // Green
-            case 'flank': return '#ffaa00'; // Orange
-            case 'ambush': return '#ffff00'; // Yellow
-            case 'gold': return '#ffd700'; // Gold
-            default: return '#ff00ff'; // Default magenta
+        
+        // Initialize boss phase data for the boss room encounter
+        if (archetype.behavior.type === 'boss') {
+            this.radius = this.width / 2;
+            this.bossData = {
+                name: 'REQUIEM CORE',
+                phase: 1,
+                phaseTransitionTimer: 0,
+                attackTimer: 1500, // ms until the next bullet pattern
+                spiralAngle: 0,
+                patternCount: 0, // Alternates the phase 1 patterns
+                summonTimer: 4000,
+                chargeTimer: 3000,
+                charge: null // Active charge attack (windup or dash)
+            };
         }
     }
     
@@ -96,7 +123,7 @@ export default class Enemy {
         const normalizedDirY = dirY / length;
         
         // Create projectile
-        this.projectiles.push({
+        this.projectiles.push(BulletPatterns.createProjectile({
             x: this.x,
             y: this.y,
             dirX: normalizedDirX,
@@ -104,11 +131,10 @@ export default class Enemy {
             speed: this.projectileSpeed,
             radius: this.projectileRadius,
             damage: this.projectileDamage,
+            damageType: this.projectileDamageType,
             color: this.projectileColor,
-            active: true,
-            lifespan: 3000, // 3 seconds maximum lifespan
-            age: 0
-        });
+            lifespan: 3000 // 3 seconds maximum lifespan
+        }));
         
         console.log(`Enemy fired projectile: pos(${this.x.toFixed(1)},${this.y.toFixed(1)}), dir(${normalizedDirX.toFixed(2)},${normalizedDirY.toFixed(2)}), projectiles: ${this.projectiles.length}`);
         
@@ -116,9 +142,31 @@ export default class Enemy {
         this.fireTimer = this.fireRate;
     }
     
+    /**
+     * Fire a projectile in a fixed direction (used by bullet patterns)
+     * @param {number} angle - Direction in radians
+     * @param {number} speed - Projectile speed in pixels per second
+     * @param {Object} options - Optional delay, waveAmplitude, waveFrequency and lifespan (see BulletPatterns)
+     */
+    fireProjectileAtAngle(angle, speed = this.projectileSpeed, options = {}) {
+        this.projectiles.push(BulletPatterns.createProjectile({
+            x: this.x,
+            y: this.y,
+            dirX: Math.cos(angle),
+            dirY: Math.sin(angle),
+            speed: speed,
+            radius: this.projectileRadius,
+            damage: this.projectileDamage,
+            damageType: this.projectileDamageType,
+            color: this.projectileColor,
+            lifespan: 4000, // Patterns cross the whole room
+            ...options
+        }));
+    }
+    
     /**
      * Update projectiles
-     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} deltaTime - Time since last frame in milliseconds
      */
     updateProjectiles(deltaTime) {
         // Debug counter for how many projectiles we're updating
@@ -135,10 +183,8 @@ export default class Enemy {
                 const prevX = projectile.x;
                 const prevY = projectile.y;
                 
-                // Update position - ensure we're using proper time scaling
-                const moveDist = projectile.speed * (deltaTime / 1000);
-                projectile.x += projectile.dirX * moveDist;
-                projectile.y += projectile.dirY * moveDist;
+                // Update position (delayed projectiles hang in place, wave projectiles sway)
+                BulletPatterns.moveProjectile(projectile, deltaTime);
                 
                 // Log significant movement for debugging
                 if (i === 0 && this.projectiles.length > 0) { // Only log first projectile to avoid spam
@@ -148,7 +194,7 @@ export default class Enemy {
                 }
                 
                 // Update age
-                projectile.age += deltaTime * 1000;
+                projectile.age += deltaTime;
                 
                 // Check if projectile has reached its maximum lifespan
                 if (projectile.age >= projectile.lifespan) {
@@ -156,8 +202,9 @@ export default class Enemy {
                     projectile.active = false;
                 }
             } else {
-                // Remove inactive projectiles
+                // Remove inactive projectiles and keep them for reuse
                 this.projectiles.splice(i, 1);
+                BulletPatterns.recycleProjectile(projectile);
             }
         }
         
@@ -224,7 +271,7 @@ export default class Enemy {
     
     /**
      * Update enemy position and states
-     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} deltaTime - Time since last frame in milliseconds
      * @param {Object} player - The player object
      * @param {Object} room - The current room
      * @param {Object} effects - Optional effects manager for visual effects
@@ -246,9 +293,14 @@ export default class Enemy {
             if (this.deathTimer <= 0) {
                 // Create death effect if effects manager available
                 if (effects) {
-                    effects.createEnemyDeathEffect(this.x, this.y, this.type === 'strong' ? 'elite' : 'basic');
+                    effects.createEnemyDeathEffect(this.x, this.y, this.elite ? 'elite' : this.archetype.deathEffect);
                 }
                 this.active = false;
+                
+                // Elites explode, split and drop loot as they go
+                if (this.elite) {
+                    EliteAffixes.onDeath(this, player, room, effects || (room && room.effects));
+                }
             }
             return;
         }
@@ -282,20 +334,34 @@ export default class Enemy {
         // Update projectiles
         this.updateProjectiles(deltaTime);
         
-        // Update fire timer for patrol type enemies
-        if (this.type === 'patrol') {
-            this.fireTimer -= deltaTime * 1000;
+        // Count down buffs and ailments (burning and poison tick here); a frozen enemy does nothing else
+        this.statusEffects.update(deltaTime, effects);
+        const actionTime = deltaTime * this.statusEffects.getModifier('actionTime');
+        if (actionTime <= 0 || this.dying) {
+            return;
+        }
+        
+        // Telegraph or fire the current bullet pattern
+        BulletPatterns.update(this, deltaTime);
+        
+        // Look and listen for the player (bosses and ambushers handle this themselves)
+        const alertState = this.archetype.usesPerception ?
+            EnemyPerception.update(this, player, room, deltaTime) : ALERT_STATES.ALERTED;
+        
+        // Update fire timer for ranged enemies
+        if (this.archetype.ranged) {
+            this.fireTimer -= deltaTime;
             
-            // Check if it's time to fire and player is within range
-            if (this.fireTimer <= 0) {
+            // Check if it's time to fire: alerted, player within range and nothing in the way
+            if (this.fireTimer <= 0 && !BulletPatterns.isBusy(this)) {
                 const dx = player.x - this.x;
                 const dy = player.y - this.y;
                 const distanceToPlayer = Math.sqrt(dx * dx + dy * dy);
                 
-                console.log(`Patrol enemy at (${this.x.toFixed(1)},${this.y.toFixed(1)}): fire check - distance to player: ${distanceToPlayer.toFixed(1)}, range: ${this.fireRange}`);
-                
-                if (distanceToPlayer <= this.fireRange) {
-                    this.fireProjectile(player);
+                if (alertState === ALERT_STATES.ALERTED && distanceToPlayer <= this.fireRange &&
+                    EnemyPerception.hasLineOfSight(room, this.x, this.y, player.x, player.y)) {
+                    BulletPatterns.start(this, this.archetype.projectile.pattern, player);
+                    this.fireTimer = this.fireRate;
                     
                     // Add visual effects for firing
                     if (effects) {
@@ -321,76 +387,44 @@ export default class Enemy {
                         }
                     }
                 } else {
-                    // Reset timer if player not in range
+                    // Reset timer if player not in range or not in sight
                     this.fireTimer = this.fireRate / 2;
                 }
             }
         }
         
-        // Apply different AI behaviors based on enemy type
-        switch(this.type) {
-            case 'chaser':
-                // Aggressive chase with higher speed factor
-                EnemyAI.chase(player, this, deltaTime, 1.2);
-                break;
-                
-            case 'patrol':
-                // Patrol behavior
-                EnemyAI.patrol(this, room, deltaTime);
-                break;
-                
-            case 'flank':
-                // Flanking behavior
-                EnemyAI.flank(player, this, deltaTime);
-                break;
-                
-            case 'ambush':
-                // COMPLETELY CHANGED: Ambush enemies just chase the player directly
-                // This ensures they always move and don't get stuck
-                console.log(`Ambush enemy at (${this.x.toFixed(1)},${this.y.toFixed(1)}) chasing player at (${player.x.toFixed(1)},${player.y.toFixed(1)})`);
-                
-                // Always chase aggressively - no waiting or complex behavior
-                EnemyAI.chase(player, this, deltaTime, 1.0);
-                break;
-                
-            case 'gold':
-                // Gold enemies use an enhanced patrol behavior with wider movement range
-                // Initialize with custom patrol points if needed
-                if (!this.patrolData || !this.patrolData.patrolPoints) {
-                    const customPatrolPoints = this.generateGoldEnemyPatrolPoints(room);
-                    this.patrolData = {
-                        currentPoint: 0,
-                        waitTime: 0,
-                        patrolPoints: customPatrolPoints
-                    };
-                }
-                
-                // Patrol behavior with wider movement range
-                EnemyAI.patrol(this, room, deltaTime, this.patrolData.patrolPoints);
-                break;
-                
-            case 'fast':
-                // Fast enemies use chase with higher speed
-                EnemyAI.chase(player, this, deltaTime, 1.3);
-                break;
-                
-            case 'strong':
-                // Strong enemies use slower but more aggressive chase
-                EnemyAI.chase(player, this, deltaTime, 0.8);
-                break;
-                
-            default:
-                // Normal enemies use basic chase
-                EnemyAI.chase(player, this, deltaTime, 1.0);
-                break;
+        // Elite affixes: shield recharge, blinking, haste aura
+        if (this.elite) {
+            EliteAffixes.update(this, player, room, deltaTime, alertState, effects);
         }
         
-        // Create trail effect for fast enemies or occasionally for others
-        if (effects) {
+        // Status effects scale how fast the enemy moves and acts (a haste aura speeds it up, chill slows it)
+        const behavior = this.archetype.behavior;
+        
+        if (alertState === ALERT_STATES.ALERTED && this.squadRole) {
+            // Follow the squad director's orders
+            this.updateSquadRole(player, room, actionTime);
+        } else if (alertState === ALERT_STATES.ALERTED) {
+            // Run the archetype's AI behavior
+            this.updateBehavior(behavior, player, room, actionTime, effects);
+        } else if (alertState === ALERT_STATES.IDLE) {
+            // Unaware enemies walk a patrol route (wide-route patrollers keep theirs)
+            EnemyAI.patrol(this, room, actionTime, behavior.route === 'wide' ? this.getWidePatrolPoints(room) : null);
+        } else if (this.perception.lastKnown) {
+            // Suspicious enemies edge toward what they noticed; searching ones hurry to where the player was last seen
+            const speedFactor = alertState === ALERT_STATES.SEARCHING ? 0.9 : 0.5;
+            EnemyAI.investigate(this, this.perception.lastKnown, actionTime, speedFactor, room);
+        }
+        
+        // Face where we're heading so the vision cone follows the enemy
+        if (this.archetype.usesPerception) {
+            EnemyPerception.updateFacing(this, deltaTime);
+        }
+        
+        // Create trail effect every few frames (fast enemies leave denser trails, hidden ambushers none)
+        if (effects && !this.isHidden()) {
             this.trailCounter++;
-            const shouldCreateTrail = this.type === 'fast' ? 
-                this.trailCounter % 2 === 0 : // Every 2nd frame for fast enemies
-                this.trailCounter % 5 === 0;  // Every 5th frame for others
+            const shouldCreateTrail = this.trailCounter % this.trailInterval === 0;
             
             if (shouldCreateTrail) {
                 // Simple glow effect that works with any effects manager
@@ -418,6 +452,77 @@ export default class Enemy {
         }
     }
     
+    /**
+     * Run an archetype's combat behavior for one step
+     * @param {Object} behavior - Behavior entry from the archetype definition
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    updateBehavior(behavior, player, room, deltaTime, effects = null) {
+        switch (behavior.type) {
+            case 'patrol':
+                // Walk the patrol route (wide routes steer around obstacles across the whole room)
+                EnemyAI.patrol(this, room, deltaTime, behavior.route === 'wide' ? this.getWidePatrolPoints(room) : null);
+                break;
+                
+            case 'flank':
+                // Circle around to the player's side
+                EnemyAI.flank(player, this, deltaTime, behavior.flankDistance, room);
+                break;
+                
+            case 'ambush':
+                // Hide, telegraph, charge, recover
+                EnemyAI.ambush(player, this, deltaTime, behavior.triggerDistance, room, effects);
+                break;
+                
+            case 'boss':
+                // Bosses run their own phase-based attack patterns
+                BossAI.update(this, player, room, deltaTime, effects);
+                break;
+                
+            default:
+                // Chase, faster or slower depending on the archetype's aggression
+                EnemyAI.chase(player, this, deltaTime, behavior.aggression || 1.0, room);
+                break;
+        }
+    }
+    
+    /**
+     * Carry out the role the squad director gave this enemy for one step
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    updateSquadRole(player, room, deltaTime) {
+        const behavior = this.archetype.behavior;
+        
+        switch (this.squadRole) {
+            case SQUAD_ROLES.HOLD:
+                // Stand off at this enemy's slot and let the fire timer do the work
+                EnemyAI.holdRange(player, this, deltaTime, this.squadSlot, room);
+                break;
+                
+            case SQUAD_ROLES.FLANK:
+                EnemyAI.flank(player, this, deltaTime, behavior.flankDistance || 150, room);
+                break;
+                
+            case SQUAD_ROLES.RETREAT:
+                EnemyAI.retreat(player, this, deltaTime, room);
+                break;
+                
+            case SQUAD_ROLES.REGROUP:
+                EnemyAI.investigate(this, this.squad.rally, deltaTime, 0.9, room);
+                break;
+                
+            default:
+                // Rush in from this enemy's own side of the player
+                EnemyAI.approach(player, this, deltaTime, this.squadSlot, behavior.aggression || 1.0, room);
+                break;
+        }
+    }
+    
     /**
      * Check bullet collisions
      * @param {Array} bullets - Array of bullet objects
@@ -453,13 +558,43 @@ export default class Enemy {
      * Take damage from a source
      * @param {number} amount - Damage amount
      * @param {Object} effects - Optional effects manager for visual effects
-     * @param {Object} gameRef - Optional game reference for stats tracking
+     * @param {Object} options - Optional hit details
+     * @param {Object} options.gameRef - Game reference for stats tracking
+     * @param {string} options.damageType - Damage type key (see DAMAGE_TYPES), kinetic by default
+     * @param {boolean} options.isTick - Damage over time from an ailment, which doesn't set off another one
+     * @param {Object} options.attacker - Player who dealt the damage; their relics react to it
      */
-    takeDamage(amount, effects = null, gameRef = null) {
+    takeDamage(amount, effects = null, options = {}) {
+        const gameRef = options.gameRef || null;
+        const damageType = options.damageType || 'kinetic';
+        const isTick = options.isTick || false;
+        const attacker = options.attacker || null;
+        
+        // Resistances soften elemental damage, weaknesses sharpen it
+        amount = Elements.resist(this, amount, damageType);
+        
+        // A shielded elite's shield takes the hit first
+        if (this.elite && !this.dying) {
+            amount = EliteAffixes.absorbDamage(this, amount, effects);
+        }
+        
         this.health -= amount;
         
-        // Create damage effect if effects manager available
-        if (effects) {
+        // Elemental hits burn, chill or poison
+        if (!isTick && !this.dying && amount > 0) {
+            Elements.applyAilment(this, amount, damageType, effects, attacker);
+        }
+        
+        // Getting shot gives the player away (and springs a hidden ambusher early)
+        if (!this.dying) {
+            EnemyPerception.alert(this);
+            if (this.ambushData) {
+                EnemyAI.springAmbush(this, effects);
+            }
+        }
+        
+        // Create damage effect if effects manager available (ailment ticks make their own particles)
+        if (effects && !isTick) {
             // Calculate normal vector from enemy to the damage source
             // Since we don't have the source position, we'll use a random direction
             const angle = Math.random() * Math.PI * 2;
@@ -477,7 +612,8 @@ export default class Enemy {
             );
         }
         
-        if (this.health <= 0 && !this.dying) {
+        const killed = this.health <= 0 && !this.dying;
+        if (killed) {
             this.dying = true;
             this.deathTimer = this.deathDuration;
             
@@ -486,8 +622,7 @@ export default class Enemy {
                 gameRef.player.stats.totalKills = (gameRef.player.stats.totalKills || 0) + 1;
                 
                 // Add score based on enemy type
-                const scoreValue = this.type === 'fast' ? 150 : 
-                                  (this.type === 'strong' ? 250 : 100);
+                const scoreValue = this.archetype.scoreValue;
                 gameRef.player.stats.score = (gameRef.player.stats.score || 0) + scoreValue;
                 
                 // Update the game's main score counter
@@ -498,6 +633,22 @@ export default class Enemy {
                 console.log(`Enemy defeated! Total kills: ${gameRef.player.stats.totalKills}, Score: ${gameRef.player.stats.score}`);
             }
         }
+        
+        // Relics that feed on hits and kills (life steal, dash refills)
+        if (attacker && attacker.relics) {
+            attacker.relics.trigger('onDamageDealt', this, amount, killed, effects);
+        }
+    }
+    
+    /**
+     * Called when this enemy's contact or projectile damage lands on the player
+     * @param {number} amount - Damage dealt
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    onHitPlayer(amount, effects = null) {
+        if (this.elite) {
+            EliteAffixes.onDealtDamage(this, amount, effects);
+        }
     }
     
     /**
@@ -506,6 +657,9 @@ export default class Enemy {
      * @param {number} multiplier - Knockback speed multiplier
      */
     applyKnockback(direction, multiplier = 1.0) {
+        // Bosses hold their ground so their attack patterns stay readable
+        if (this.type === 'boss') return;
+        
         this.knockbackActive = true;
         this.knockbackDirection = { ...direction };
         this.knockbackTimer = this.knockbackDuration;
@@ -551,17 +705,30 @@ export default class Enemy {
             
             // Reset alpha
             ctx.globalAlpha = 1.0;
+            
+            // Explosive elites show their blast radius while the fuse burns
+            if (this.elite) {
+                EliteAffixes.renderDeath(ctx, this);
+            }
             return;
         }
         
-        // Flash effect while taking damage
-        const isFlashing = this.knockbackActive && (Math.floor(this.knockbackTimer / this.flashInterval) % 2 === 0);
+        // Flash effect while taking damage (or while an ambusher telegraphs its charge)
+        const isTelegraphing = this.ambushData && this.ambushData.state === 'telegraph';
+        const isFlashing = (this.knockbackActive && (Math.floor(this.knockbackTimer / this.flashInterval) % 2 === 0)) ||
+            (isTelegraphing && Math.floor(this.ambushData.timer / 100) % 2 === 0);
+        
+        // Hidden ambushers are only a faint shimmer
+        const hidden = this.isHidden();
+        if (hidden) {
+            ctx.globalAlpha = 0.2;
+        }
         
         // Fill color
         ctx.fillStyle = isFlashing ? '#ffffff' : this.color;
         
         // Draw the enemy with a glow effect
-        ctx.shadowBlur = 10;
+        ctx.shadowBlur = hidden ? 0 : 10;
         ctx.shadowColor = this.color;
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.width / 2, 0, Math.PI * 2);
@@ -573,9 +740,30 @@ export default class Enemy {
         ctx.beginPath();
         ctx.arc(this.x, this.y, this.width / 4, 0, Math.PI * 2);
         ctx.fill();
+        ctx.globalAlpha = 1.0;
+        
+        // Burning, chilled, frozen and poisoned rings
+        if (!hidden) {
+            this.renderAilments(ctx);
+        }
+        
+        // Elite aura, shield and name tag (hidden elites stay hidden)
+        if (this.elite && !hidden) {
+            EliteAffixes.render(ctx, this);
+        }
+        
+        // Warning before a bullet pattern fires
+        if (this.pattern) {
+            BulletPatterns.renderTelegraph(ctx, this);
+        }
+        
+        // Ambush telegraph line and recovery ring
+        if (this.ambushData) {
+            this.renderAmbushDetails(ctx);
+        }
         
         // Add directional indicator for ranged enemies
-        if (this.type === 'patrol') {
+        if (this.archetype.ranged) {
             // Draw a small line indicating the enemy's orientation
             const angle = Math.atan2(this.prevY - this.y, this.prevX - this.x);
             const indicatorLength = this.width * 0.8;
@@ -591,8 +779,18 @@ export default class Enemy {
             ctx.stroke();
         }
         
-        // Draw a health bar if not dying
-        if (!this.dying) {
+        // Vision cone and "?"/"!" alert marker (for enemies using the shared perception model)
+        if (this.archetype.usesPerception) {
+            EnemyPerception.render(ctx, this);
+        }
+        
+        // Boss details: rotating phase ring and the charge telegraph
+        if (this.type === 'boss' && this.bossData) {
+            this.renderBossDetails(ctx);
+        }
+        
+        // Draw a health bar if not dying (the boss uses the HUD health bar instead, and hidden ambushers show none)
+        if (!this.dying && this.type !== 'boss' && !hidden) {
             const barWidth = this.width * 1.2;
             const barHeight = 3;
             const barX = this.x - barWidth / 2;
@@ -610,6 +808,108 @@ export default class Enemy {
         }
     }
     
+    /**
+     * Render a ring per ailment on the enemy; a frozen enemy is iced over
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     */
+    renderAilments(ctx) {
+        const ailments = this.statusEffects.getActive().filter(effect => effect.definition.ailment);
+        
+        ailments.forEach((effect, index) => {
+            const radius = this.width / 2 + 3 + index * 3;
+            
+            if (effect.id === 'frozen') {
+                ctx.fillStyle = 'rgba(170, 221, 255, 0.45)';
+                ctx.beginPath();
+                ctx.arc(this.x, this.y, this.width / 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            
+            ctx.strokeStyle = effect.definition.color;
+            ctx.lineWidth = 1 + effect.stacks * 0.5;
+            ctx.globalAlpha = 0.4 + 0.6 * (effect.remaining / effect.duration);
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1.0;
+        });
+    }
+    
+    /**
+     * Render boss-only visuals on top of the base enemy shape
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     */
+    renderBossDetails(ctx) {
+        const data = this.bossData;
+        const ringRadius = this.width / 2 + 8;
+        const rotation = data.spiralAngle + this.trailCounter * 0.02;
+        
+        ctx.save();
+        
+        // One ring segment per remaining phase
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 3;
+        ctx.shadowBlur = 12;
+        ctx.shadowColor = this.color;
+        const segments = 4 - data.phase;
+        for (let i = 0; i < segments; i++) {
+            const start = rotation + (i / segments) * Math.PI * 2;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, ringRadius, start, start + (Math.PI * 2 / segments) * 0.7);
+            ctx.stroke();
+        }
+        
+        // Telegraph the charge direction while winding up
+        if (data.charge && data.charge.state === 'windup') {
+            ctx.globalAlpha = 0.3 + 0.4 * Math.abs(Math.sin(data.charge.timer / 60));
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = this.width * 0.5;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.x + data.charge.dirX * 400, this.y + data.charge.dirY * 400);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render ambush-only visuals: the charge direction while telegraphing and a dazed ring while recovering
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     */
+    renderAmbushDetails(ctx) {
+        const data = this.ambushData;
+        
+        ctx.save();
+        
+        if (data.state === 'telegraph') {
+            ctx.globalAlpha = 0.3 + 0.4 * Math.abs(Math.sin(data.timer / 60));
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = this.width * 0.4;
+            ctx.beginPath();
+            ctx.moveTo(this.x, this.y);
+            ctx.lineTo(this.x + data.dirX * 200, this.y + data.dirY * 200);
+            ctx.stroke();
+        } else if (data.state === 'recover') {
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.lineDashOffset = data.timer / 20;
+            ctx.beginPath();
+            ctx.arc(this.x, this.y, this.width / 2 + 6, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * @returns {boolean} True while an ambush enemy is lying in wait
+     */
+    isHidden() {
+        return !!this.ambushData && this.ambushData.state === 'hidden';
+    }
+    
     /**
      * Get the color for the health bar based on the health percentage
      * @param {number} healthPercentage - Health percentage (0 to 1)
@@ -625,6 +925,22 @@ export default class Enemy {
         }
     }
     
+    /**
+     * Get the wide patrol route (gold enemies walk one), generating it on first use
+     * @param {Object} room - The current room object
+     * @returns {Array} - Array of patrol point objects with x,y coordinates
+     */
+    getWidePatrolPoints(room) {
+        if (!this.patrolData || !this.patrolData.patrolPoints) {
+            this.patrolData = {
+                currentPoint: 0,
+                waitTime: 0,
+                patrolPoints: this.generateGoldEnemyPatrolPoints(room)
+            };
+        }
+        return this.patrolData.patrolPoints;
+    }
+    
     /**
      * Generate custom patrol points for gold enemies that avoid obstacles
      * @param {Object} room - The current room object
@@ -632,7 +948,7 @@ export default class Enemy {
      */
     generateGoldEnemyPatrolPoints(room) {
         const points = [];
-        const numPoints = 5 + Math.floor(Math.random() * 3); // 5-7 points for wider coverage
+        const numPoints = 5 + Math.floor(this.random() * 3); // 5-7 points for wider coverage
         const safePadding = 60; // Keep away from walls
         
         // Get the valid areas of the room that don't have obstacles
@@ -674,8 +990,8 @@ export default class Enemy {
                 
                 if (isValid) {
                     // Add some randomness within the grid cell
-                    const jitterX = (Math.random() - 0.5) * gridSize * 0.5;
-                    const jitterY = (Math.random() - 0.5) * gridSize * 0.5;
+                    const jitterX = (this.random() - 0.5) * gridSize * 0.5;
+                    const jitterY = (this.random() - 0.5) * gridSize * 0.5;
                     validPositions.push({
                         x: x + jitterX,
                         y: y + jitterY
@@ -689,7 +1005,7 @@ export default class Enemy {
             // Shuffle the array to get random positions
             const shuffled = [...validPositions];
             for (let i = shuffled.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
+                const j = Math.floor(this.random() * (i + 1));
                 [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
             }
             
@@ -1,16 +1,49 @@
 // enemyAI.js - Advanced Enemy AI behaviors for Neon Requiem
+import EnemyPerception from './enemyPerception.js';
+
+// How often (ms) an enemy may recompute its path while its target keeps moving
+const REPATH_INTERVAL = 250;
+
+// Waypoints checked ahead for a straight shortcut, so paths don't zigzag along grid cells
+const PATH_LOOKAHEAD = 6;
+
+// Ambush timings (ms): the warning before a charge, the charge itself, and the recovery after it
+const AMBUSH_TELEGRAPH_TIME = 600;
+const AMBUSH_CHARGE_TIME = 700;
+const AMBUSH_RECOVER_TIME = 1000;
+
+// Longest an ambusher hides (ms) before it gives up waiting and stalks the player
+const AMBUSH_MAX_HIDE_TIME = 6000;
+
+// Ambusher speed multipliers while charging and while stalking
+const AMBUSH_CHARGE_SPEED = 3.5;
+const AMBUSH_STALK_SPEED = 0.5;
+
+// Squad rushers further than this from the player come in from their own side instead of straight at them
+const APPROACH_SPREAD_DISTANCE = 150;
+
+// How far from the player squad shooters stand
+const HOLD_DISTANCE = 250;
+
+// How far ahead a retreating enemy aims to back off
+const RETREAT_STEP = 150;
+
 export default class EnemyAI {
     /**
-     * Chase behavior - enemy moves directly toward the player
+     * Chase behavior - enemy moves toward the player, following the room's shared flow field around obstacles
      * @param {Object} player - The player object with x, y coordinates
      * @param {Object} enemy - The enemy object to move
-     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} deltaTime - Time since last frame in milliseconds
      * @param {number} aggressionFactor - How aggressively the enemy chases (1.0 = normal)
+     * @param {Object} room - Optional current room, used for pathfinding
      */
-    static chase(player, enemy, deltaTime, aggressionFactor = 1.0) {
-        // Calculate direction vector to player
-        const dirX = player.x - enemy.x;
-        const dirY = player.y - enemy.y;
+    static chase(player, enemy, deltaTime, aggressionFactor = 1.0, room = null) {
+        // Head for the next cell on the way to the player
+        const target = EnemyAI.getPursuitTarget(enemy, player, room);
+        
+        // Calculate direction vector to the target
+        const dirX = target.x - enemy.x;
+        const dirY = target.y - enemy.y;
         
         // Normalize direction
         const length = Math.sqrt(dirX * dirX + dirY * dirY);
@@ -29,7 +62,7 @@ export default class EnemyAI {
      * Patrol behavior - enemy moves along predefined patrol points or a random path
      * @param {Object} enemy - The enemy object to move
      * @param {Object} room - The room object containing boundaries
-     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} deltaTime - Time since last frame in milliseconds
      * @param {Array} patrolPoints - Optional array of {x, y} patrol points
      */
     static patrol(enemy, room, deltaTime, patrolPoints = null) {
@@ -44,19 +77,27 @@ export default class EnemyAI {
         
         // If we're waiting at a point, count down the wait time
         if (enemy.patrolData.waitTime > 0) {
-            enemy.patrolData.waitTime -= deltaTime * 1000; // Convert to milliseconds
+            enemy.patrolData.waitTime -= deltaTime;
             return;
         }
         
         // Get the current target point
-        const currentPoint = enemy.patrolData.patrolPoints[enemy.patrolData.currentPoint];
+        const points = enemy.patrolData.patrolPoints;
+        let currentPoint = points[enemy.patrolData.currentPoint];
         
-        // Calculate direction to the target point
-        const dirX = currentPoint.x - enemy.x;
-        const dirY = currentPoint.y - enemy.y;
+        // Move points that landed inside cover to the nearest open spot, so the enemy can actually reach them
+        if (room && typeof room.getNavigationGrid === 'function') {
+            const grid = room.getNavigationGrid();
+            if (!grid.isWalkable(currentPoint.x, currentPoint.y)) {
+                const cell = grid.findNearestWalkable(grid.getCellIndex(currentPoint.x, currentPoint.y));
+                if (cell !== -1) {
+                    currentPoint = points[enemy.patrolData.currentPoint] = grid.getCellCenter(cell);
+                }
+            }
+        }
         
         // Calculate distance to the target
-        const distanceToTarget = Math.sqrt(dirX * dirX + dirY * dirY);
+        const distanceToTarget = Math.hypot(currentPoint.x - enemy.x, currentPoint.y - enemy.y);
         
         // If we're close enough to the target, move to the next patrol point
         if (distanceToTarget < 20) {
@@ -64,13 +105,20 @@ export default class EnemyAI {
             enemy.patrolData.currentPoint = (enemy.patrolData.currentPoint + 1) % enemy.patrolData.patrolPoints.length;
             
             // Add a small wait time at each point
-            enemy.patrolData.waitTime = 500 + Math.random() * 1000; // 0.5 to 1.5 seconds
+            enemy.patrolData.waitTime = 500 + enemy.random() * 1000; // 0.5 to 1.5 seconds
             return;
         }
         
+        // Head for the patrol point around any cover in the way
+        const waypoint = EnemyAI.getNavigationTarget(enemy, currentPoint.x, currentPoint.y, room, deltaTime);
+        const dirX = waypoint.x - enemy.x;
+        const dirY = waypoint.y - enemy.y;
+        const length = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (length === 0) return; // Avoid division by zero
+        
         // Normalize direction
-        const normalizedDirX = dirX / distanceToTarget;
-        const normalizedDirY = dirY / distanceToTarget;
+        const normalizedDirX = dirX / length;
+        const normalizedDirY = dirY / length;
         
         // Move toward the patrol point
         const patrolSpeed = enemy.speed * 0.6; // Patrol slower than chase
@@ -83,10 +131,11 @@ export default class EnemyAI {
      * Flanking behavior - enemy tries to move to the side of the player
      * @param {Object} player - The player object
      * @param {Object} enemy - The enemy object
-     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} deltaTime - Time since last frame in milliseconds
      * @param {number} flankDistance - How far to the side the enemy should move
+     * @param {Object} room - Optional current room, used for pathfinding
      */
-    static flank(player, enemy, deltaTime, flankDistance = 150) {
+    static flank(player, enemy, deltaTime, flankDistance = 150, room = null) {
         // Calculate vector from player to enemy
         const dx = enemy.x - player.x;
         const dy = enemy.y - player.y;
@@ -101,7 +150,7 @@ export default class EnemyAI {
         // Calculate perpendicular vector (rotated 90 degrees)
         // If enemy has a preferred side use it, otherwise randomly pick a side
         if (!enemy.preferredSide) {
-            enemy.preferredSide = Math.random() < 0.5 ? 1 : -1;
+            enemy.preferredSide = enemy.random() < 0.5 ? 1 : -1;
         }
         
         const perpX = -normalizedDy * enemy.preferredSide;
@@ -112,9 +161,12 @@ export default class EnemyAI {
         const targetX = player.x + normalizedDx * targetDistance + perpX * flankDistance;
         const targetY = player.y + normalizedDy * targetDistance + perpY * flankDistance;
         
+        // Route to the flanking position around any cover in the way
+        const waypoint = EnemyAI.getNavigationTarget(enemy, targetX, targetY, room, deltaTime);
+        
         // Move toward the flanking position
-        const dirX = targetX - enemy.x;
-        const dirY = targetY - enemy.y;
+        const dirX = waypoint.x - enemy.x;
+        const dirY = waypoint.y - enemy.y;
         
         // Normalize direction
         const moveDir = Math.sqrt(dirX * dirX + dirY * dirY);
@@ -129,6 +181,180 @@ export default class EnemyAI {
         enemy.y += normalizedMoveY * moveDistance;
     }
     
+    /**
+     * Investigate behavior - enemy heads for a point of interest, such as a noise or where the player was last seen
+     * @param {Object} enemy - The enemy object
+     * @param {Object} point - Point {x, y} to investigate
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {number} speedFactor - Fraction of the enemy's speed to move at
+     * @param {Object} room - Optional current room, used for pathfinding
+     * @returns {boolean} True once the enemy has reached the point
+     */
+    static investigate(enemy, point, deltaTime, speedFactor = 0.5, room = null) {
+        if (Math.hypot(point.x - enemy.x, point.y - enemy.y) < 20) return true;
+        
+        // Route to the point around any cover in the way
+        const waypoint = EnemyAI.getNavigationTarget(enemy, point.x, point.y, room, deltaTime);
+        const dirX = waypoint.x - enemy.x;
+        const dirY = waypoint.y - enemy.y;
+        const length = Math.sqrt(dirX * dirX + dirY * dirY);
+        if (length === 0) return true;
+        
+        const moveDistance = Math.min(length, enemy.speed * speedFactor * (deltaTime / 1000));
+        enemy.x += (dirX / length) * moveDistance;
+        enemy.y += (dirY / length) * moveDistance;
+        return false;
+    }
+    
+    /**
+     * Approach behavior - a squad rusher closes in from its own side of the player, so a group arrives spread
+     * out instead of in one line; up close, or with cover in the way, it chases like any other enemy
+     * @param {Object} player - The player object
+     * @param {Object} enemy - The enemy object
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {number} slotAngle - Direction (radians) from the player the enemy should come in from
+     * @param {number} aggressionFactor - How aggressively the enemy chases (1.0 = normal)
+     * @param {Object} room - Optional current room, used for pathfinding
+     */
+    static approach(player, enemy, deltaTime, slotAngle, aggressionFactor = 1.0, room = null) {
+        const distance = Math.hypot(player.x - enemy.x, player.y - enemy.y);
+        const inView = EnemyPerception.hasLineOfSight(room, enemy.x, enemy.y, player.x, player.y);
+        if (distance <= APPROACH_SPREAD_DISTANCE || !inView) {
+            EnemyAI.chase(player, enemy, deltaTime, aggressionFactor, room);
+            return;
+        }
+        
+        // Head for a point just off the player on this enemy's side
+        const slotX = player.x + Math.cos(slotAngle) * APPROACH_SPREAD_DISTANCE * 0.6;
+        const slotY = player.y + Math.sin(slotAngle) * APPROACH_SPREAD_DISTANCE * 0.6;
+        EnemyAI.investigate(enemy, { x: slotX, y: slotY }, deltaTime, aggressionFactor, room);
+    }
+    
+    /**
+     * Hold range behavior - a squad shooter keeps its distance at its own spot around the player
+     * @param {Object} player - The player object
+     * @param {Object} enemy - The enemy object
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {number} slotAngle - Direction (radians) from the player to hold at
+     * @param {Object} room - Optional current room, used for pathfinding
+     */
+    static holdRange(player, enemy, deltaTime, slotAngle, room = null) {
+        const spotX = player.x + Math.cos(slotAngle) * HOLD_DISTANCE;
+        const spotY = player.y + Math.sin(slotAngle) * HOLD_DISTANCE;
+        
+        // Spots that fall outside the walls or inside cover move to the nearest open cell
+        let spot = { x: spotX, y: spotY };
+        if (room && typeof room.getNavigationGrid === 'function') {
+            const grid = room.getNavigationGrid();
+            if (!grid.isWalkable(spotX, spotY)) {
+                const cell = grid.findNearestWalkable(grid.getCellIndex(spotX, spotY));
+                if (cell !== -1) {
+                    spot = grid.getCellCenter(cell);
+                }
+            }
+        }
+        
+        EnemyAI.investigate(enemy, spot, deltaTime, 0.8, room);
+    }
+    
+    /**
+     * Retreat behavior - enemy backs away from the player, around cover
+     * @param {Object} player - The player object
+     * @param {Object} enemy - The enemy object
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} room - Optional current room, used for pathfinding
+     */
+    static retreat(player, enemy, deltaTime, room = null) {
+        const dx = enemy.x - player.x;
+        const dy = enemy.y - player.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        
+        // Aim for a point further away, kept inside the room
+        const margin = (room && room.wallThickness ? room.wallThickness : 20) + enemy.width;
+        const roomWidth = room ? room.width : 800;
+        const roomHeight = room ? room.height : 600;
+        const targetX = Math.max(margin, Math.min(roomWidth - margin, enemy.x + (dx / length) * RETREAT_STEP));
+        const targetY = Math.max(margin, Math.min(roomHeight - margin, enemy.y + (dy / length) * RETREAT_STEP));
+        
+        EnemyAI.investigate(enemy, { x: targetX, y: targetY }, deltaTime, 0.9, room);
+    }
+    
+    /**
+     * Pick the point a pursuing enemy should steer toward to reach the player. With a clear line that's the
+     * player; otherwise it's a couple of cells down the room's flow field, which all pursuers share.
+     * @param {Object} enemy - The enemy object
+     * @param {Object} player - The player object
+     * @param {Object} room - Current room (straight-line steering without one)
+     * @returns {Object} Point {x, y} to move toward
+     */
+    static getPursuitTarget(enemy, player, room) {
+        const target = { x: player.x, y: player.y };
+        if (!room || typeof room.getFlowField !== 'function') return target;
+        
+        const grid = room.getNavigationGrid();
+        if (grid.hasLineOfSight(enemy.x, enemy.y, player.x, player.y)) return target;
+        
+        // Unreachable cells (sealed off by cover) fall back to a straight line
+        return grid.sampleFlowField(room.getFlowField(player.x, player.y), enemy.x, enemy.y) || target;
+    }
+    
+    /**
+     * Pick the point an enemy should steer toward to reach its own target, such as a flanking spot. With a
+     * clear line that's the target itself; otherwise it's the next waypoint of an A* path over the room's
+     * navigation grid. Paths are cached on the enemy and only recomputed when the target has moved to another cell.
+     * @param {Object} enemy - The enemy object
+     * @param {number} targetX - Target X position
+     * @param {number} targetY - Target Y position
+     * @param {Object} room - Current room (straight-line steering without one)
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @returns {Object} Point {x, y} to move toward
+     */
+    static getNavigationTarget(enemy, targetX, targetY, room, deltaTime) {
+        const target = { x: targetX, y: targetY };
+        if (!room || typeof room.getNavigationGrid !== 'function') return target;
+        
+        const grid = room.getNavigationGrid();
+        
+        // Nothing in the way - go straight there
+        if (grid.hasLineOfSight(enemy.x, enemy.y, targetX, targetY)) {
+            enemy.navigation = null;
+            return target;
+        }
+        
+        if (!enemy.navigation) {
+            enemy.navigation = { path: null, goalCell: -1, repathTimer: 0 };
+        }
+        const navigation = enemy.navigation;
+        navigation.repathTimer -= deltaTime;
+        
+        // Repath when the path has run out, or the target has changed cells and the cooldown allows it
+        const goalCell = grid.getCellIndex(targetX, targetY);
+        const targetMoved = goalCell !== navigation.goalCell && navigation.repathTimer <= 0;
+        if (!navigation.path || navigation.path.length === 0 || targetMoved) {
+            navigation.path = grid.findPath(enemy.x, enemy.y, targetX, targetY);
+            navigation.goalCell = goalCell;
+            navigation.repathTimer = REPATH_INTERVAL;
+        }
+        
+        const path = navigation.path;
+        if (!path || path.length === 0) return target; // Unreachable - fall back to a straight line
+        
+        // Drop waypoints already reached
+        while (path.length > 1 && Math.hypot(path[0].x - enemy.x, path[0].y - enemy.y) < grid.cellSize / 2) {
+            path.shift();
+        }
+        
+        // Skip ahead to the furthest waypoint in a straight line from here
+        for (let i = Math.min(PATH_LOOKAHEAD, path.length - 1); i > 0; i--) {
+            if (grid.hasLineOfSight(enemy.x, enemy.y, path[i].x, path[i].y)) {
+                path.splice(0, i);
+                break;
+            }
+        }
+        
+        return path[0];
+    }
+    
     /**
      * Generate random patrol points within the room
      * @param {Object} enemy - The enemy object
@@ -138,7 +364,7 @@ export default class EnemyAI {
     static generatePatrolPoints(enemy, room) {
         const points = [];
         const wallThickness = 40; // Estimate of wall thickness to avoid
-        const numPoints = 3 + Math.floor(Math.random() * 3); // 3-5 points
+        const numPoints = 3 + Math.floor(enemy.random() * 3); // 3-5 points
         
         const roomWidth = room.width || 800;
         const roomHeight = room.height || 600;
@@ -146,8 +372,8 @@ export default class EnemyAI {
         // Generate random points, keeping away from walls
         for (let i = 0; i < numPoints; i++) {
             points.push({
-                x: wallThickness + Math.random() * (roomWidth - wallThickness * 2),
-                y: wallThickness + Math.random() * (roomHeight - wallThickness * 2)
+                x: wallThickness + enemy.random() * (roomWidth - wallThickness * 2),
+                y: wallThickness + enemy.random() * (roomHeight - wallThickness * 2)
             });
         }
         
@@ -155,110 +381,142 @@ export default class EnemyAI {
     }
     
     /**
-     * Ambush behavior - enemy waits until player is close, then charges
+     * Fresh ambush state for an ambush enemy
+     * @param {number} speed - The enemy's normal speed (pixels per second)
+     * @returns {Object} Ambush data, stored on the enemy as enemy.ambushData
+     */
+    static createAmbushData(speed) {
+        return {
+            state: 'hidden', // 'hidden', 'telegraph', 'charge' or 'recover'
+            timer: 0, // Time left in the telegraph, charge or recovery (ms)
+            hideTimer: AMBUSH_MAX_HIDE_TIME, // Time left before a hidden ambusher starts stalking the player (ms)
+            dirX: 0,
+            dirY: 0,
+            originalSpeed: speed
+        };
+    }
+    
+    /**
+     * Ambush behavior - enemy hides until the player comes into view within its trigger radius,
+     * telegraphs, charges in a straight line, then recovers before hiding again.
+     * Safeguards: a hidden ambusher that waits too long starts stalking the player, every active
+     * state runs on a timer, and a charge stops short of walls and cover instead of grinding into them.
      * @param {Object} player - The player object
-     * @param {Object} enemy - The enemy object
-     * @param {number} deltaTime - Time since last frame in seconds
-     * @param {number} triggerDistance - Distance at which to trigger the charge
-     * @param {number} chargeDuration - How long the charge lasts in milliseconds
+     * @param {Object} enemy - The enemy object (must have ambushData)
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {number} triggerDistance - Distance at which to spring the ambush
+     * @param {Object} room - Optional current room, used for line of sight, stalking and stopping charges
+     * @param {Object} effects - Optional effects manager for the telegraph and charge visuals
      */
-    static ambush(player, enemy, deltaTime, triggerDistance = 300, chargeDuration = 1500) {
-        // Initialize ambush data if not set
-        if (!enemy.ambushData) {
-            enemy.ambushData = {
-                triggered: false,
-                chargeTimer: 0,
-                originalSpeed: enemy.speed,
-                failsafeTimer: 5000, // Failsafe to prevent enemies from being stuck forever
-                patrolPoints: null,
-                currentPatrolPoint: 0,
-                waitTime: 0
-            };
-        }
-        
-        // Calculate distance to player
+    static ambush(player, enemy, deltaTime, triggerDistance = 220, room = null, effects = null) {
+        const data = enemy.ambushData;
         const dx = player.x - enemy.x;
         const dy = player.y - enemy.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // If not triggered yet, check if player is close enough
-        if (!enemy.ambushData.triggered) {
-            // Reduce the failsafe timer (will eventually trigger movement even if player doesn't get close)
-            enemy.ambushData.failsafeTimer -= deltaTime * 1000;
-            
-            // Trigger if player is close enough OR if the failsafe timer expires
-            if (distance < triggerDistance || enemy.ambushData.failsafeTimer <= 0) {
-                // Trigger the ambush!
-                console.log(`Ambush enemy triggered! Distance: ${distance.toFixed(1)}, FailsafeTimer: ${enemy.ambushData.failsafeTimer.toFixed(1)}`);
-                enemy.ambushData.triggered = true;
-                enemy.ambushData.chargeTimer = chargeDuration;
-                enemy.speed = enemy.ambushData.originalSpeed * 2.5; // Charge at 2.5x speed
-                enemy.ambushData.failsafeTimer = 5000; // Reset failsafe timer
-            } else {
-                // When waiting, use slow patrol movement to prevent being stuck in one place
-                if (!enemy.ambushData.patrolPoints) {
-                    // Initialize patrol points if needed
-                    const room = { width: 800, height: 600 }; // Fallback room dimensions
-                    enemy.ambushData.patrolPoints = EnemyAI.generatePatrolPoints(enemy, room);
-                }
+        switch (data.state) {
+            case 'hidden': {
+                const inView = !player.isDead && distance <= triggerDistance &&
+                    EnemyPerception.hasLineOfSight(room, enemy.x, enemy.y, player.x, player.y);
                 
-                // If we're waiting at a point, count down the wait time
-                if (enemy.ambushData.waitTime > 0) {
-                    enemy.ambushData.waitTime -= deltaTime * 1000; // Convert to milliseconds
+                if (inView) {
+                    EnemyAI.springAmbush(enemy, effects);
                     return;
                 }
                 
-                // Slow patrol movement while waiting for player
-                const currentPoint = enemy.ambushData.patrolPoints[enemy.ambushData.currentPatrolPoint];
-                
-                // Calculate direction to the target point
-                const dirX = currentPoint.x - enemy.x;
-                const dirY = currentPoint.y - enemy.y;
+                // Waited too long without the player walking into the trap - go after them
+                data.hideTimer -= deltaTime;
+                if (data.hideTimer <= 0) {
+                    EnemyAI.chase(player, enemy, deltaTime, AMBUSH_STALK_SPEED, room);
+                }
+                return;
+            }
                 
-                // Calculate distance to the target
-                const distanceToTarget = Math.sqrt(dirX * dirX + dirY * dirY);
+            case 'telegraph':
+                // Track the player until the charge locks in (the telegraph line follows this direction)
+                if (distance > 0) {
+                    data.dirX = dx / distance;
+                    data.dirY = dy / distance;
+                }
                 
-                // If we're close enough to the target, move to the next patrol point
-                if (distanceToTarget < 20) {
-                    // Move to next patrol point
-                    enemy.ambushData.currentPatrolPoint = 
-                        (enemy.ambushData.currentPatrolPoint + 1) % enemy.ambushData.patrolPoints.length;
-                    
-                    // Add a small wait time at each point
-                    enemy.ambushData.waitTime = 1000 + Math.random() * 1000; // 1 to 2 seconds
-                    return;
+                data.timer -= deltaTime;
+                if (data.timer <= 0) {
+                    data.state = 'charge';
+                    data.timer = AMBUSH_CHARGE_TIME;
+                    enemy.speed = data.originalSpeed * AMBUSH_CHARGE_SPEED;
+                    enemy.contactDamage = 20; // A charge hits harder than a touch
                 }
+                return;
                 
-                // Normalize direction
-                const normalizedDirX = dirX / distanceToTarget;
-                const normalizedDirY = dirY / distanceToTarget;
+            case 'charge': {
+                const moveDistance = enemy.speed * (deltaTime / 1000);
+                const nextX = enemy.x + data.dirX * moveDistance;
+                const nextY = enemy.y + data.dirY * moveDistance;
                 
-                // Move toward the patrol point (very slowly)
-                const patrolSpeed = enemy.ambushData.originalSpeed * 0.3; // Very slow patrol
-                const moveDistance = patrolSpeed * (deltaTime / 1000);
-                enemy.x += normalizedDirX * moveDistance;
-                enemy.y += normalizedDirY * moveDistance;
+                // Slide along walls and cover, and stop short when there's no way on (an ambusher that
+                // started out tucked against cover may still charge out of it)
+                const grid = room && typeof room.getNavigationGrid === 'function' ? room.getNavigationGrid() : null;
+                const startedClear = grid && grid.isWalkable(enemy.x, enemy.y);
+                const canMoveTo = (x, y) => !startedClear || grid.isWalkable(x, y);
+                
+                let blocked = false;
+                if (canMoveTo(nextX, nextY)) {
+                    enemy.x = nextX;
+                    enemy.y = nextY;
+                } else if (canMoveTo(nextX, enemy.y)) {
+                    enemy.x = nextX;
+                } else if (canMoveTo(enemy.x, nextY)) {
+                    enemy.y = nextY;
+                } else {
+                    blocked = true;
+                }
                 
+                if (!blocked && effects && Math.random() < 0.5) {
+                    effects.createGlowEffect(enemy.x, enemy.y, 4, enemy.color, 0.4);
+                }
+                
+                data.timer -= deltaTime;
+                if (data.timer <= 0 || blocked) {
+                    data.state = 'recover';
+                    data.timer = AMBUSH_RECOVER_TIME;
+                    enemy.speed = data.originalSpeed;
+                    enemy.contactDamage = 10;
+                }
                 return;
             }
+                
+            case 'recover':
+                // Winded after the charge - an opening for the player
+                data.timer -= deltaTime;
+                if (data.timer <= 0) {
+                    data.state = 'hidden';
+                    data.hideTimer = AMBUSH_MAX_HIDE_TIME;
+                }
+                return;
+                
+            default:
+                // Unknown state (e.g. from an older build) - start over hidden
+                Object.assign(data, EnemyAI.createAmbushData(data.originalSpeed || enemy.speed));
         }
+    }
+    
+    /**
+     * Spring an ambush: start the telegraph, with a flash and a warning sound
+     * @param {Object} enemy - The ambush enemy (must have ambushData)
+     * @param {Object} effects - Optional effects manager for the telegraph flash
+     */
+    static springAmbush(enemy, effects = null) {
+        const data = enemy.ambushData;
+        if (data.state !== 'hidden') return;
         
-        // If currently charging
-        if (enemy.ambushData.triggered) {
-            // Update charge timer
-            enemy.ambushData.chargeTimer -= deltaTime * 1000;
-            
-            // If charge is over, reset to normal behavior
-            if (enemy.ambushData.chargeTimer <= 0) {
-                enemy.ambushData.triggered = false;
-                enemy.speed = enemy.ambushData.originalSpeed;
-                // Reset failsafe timer for next ambush
-                enemy.ambushData.failsafeTimer = 5000;
-                return;
-            }
-            
-            // During charge, use chase behavior with high aggression
-            EnemyAI.chase(player, enemy, deltaTime, 1.5);
+        data.state = 'telegraph';
+        data.timer = AMBUSH_TELEGRAPH_TIME;
+        
+        if (effects) {
+            effects.createGlowEffect(enemy.x, enemy.y, 25, enemy.color, 0.8);
+        }
+        if (window.audioManager) {
+            window.audioManager.playAmbushAlertSound();
         }
     }
 }
@@ -0,0 +1,200 @@
+// enemyArchetypes.js - Enemy archetype definitions: stats, looks, AI behavior, projectiles, spawn weights and rewards
+
+// Projectile stats shared by every archetype; an archetype's projectile entry overrides any of them.
+// speed is pixels per second, fireRate is ms between shots, fireRange is how close the player must be,
+// pattern is the BULLET_PATTERNS entry fired each time (see bulletPatterns.js), damageType is the
+// DAMAGE_TYPES entry it hits the player with (see elements.js).
+const DEFAULT_PROJECTILE = {
+    speed: 200,
+    damage: 10,
+    damageType: 'kinetic',
+    radius: 8,
+    color: null, // Defaults to the archetype color
+    fireRate: 2000,
+    fireRange: 350,
+    pattern: 'aimed'
+};
+
+// Every enemy type. Add an enemy by adding an entry here.
+//   speed/health     - Base stats (speed in pixels per second)
+//   size             - Diameter in pixels
+//   behavior         - AI run by Enemy.update once alerted: chase (aggression), patrol (route), flank (flankDistance),
+//                      ambush (triggerDistance) or boss
+//   ranged           - Fires its projectile at the player from Enemy.update (bosses fire from BossAI instead)
+//   usesPerception   - Has to notice the player first (see EnemyPerception); false for types with their own detection
+//   spawn            - Weight when rolling room enemies: zero below minDifficulty, then base + perDifficulty per level
+//                      above it. Types without one are only placed by hand (boss rooms, summons).
+//   deathEffect      - Effect created when the death animation ends ('basic', 'elite' or 'boss')
+//   scoreValue       - Points for a kill
+//   trailInterval    - Frames between movement trail particles
+//   marker           - Symbol drawn over the enemy by Renderer.renderEnemies ('bolt' or 'cross')
+//   resistances      - Share of each damage type's damage shrugged off (1 immune, negative for a weakness);
+//                      a type it's immune to can't inflict its ailment either
+export const ENEMY_ARCHETYPES = {
+    normal: {
+        name: 'Drone',
+        speed: 50,
+        health: 100,
+        size: 25,
+        color: '#ff00ff', // Magenta
+        behavior: { type: 'chase', aggression: 1.0 },
+        spawn: { minDifficulty: 1, base: 4, perDifficulty: 0 },
+        deathEffect: 'basic',
+        scoreValue: 100
+    },
+    fast: {
+        name: 'Runner',
+        speed: 75,
+        health: 50,
+        size: 20,
+        color: '#00ffff', // Cyan
+        behavior: { type: 'chase', aggression: 1.3 },
+        spawn: { minDifficulty: 1, base: 3, perDifficulty: 0 },
+        deathEffect: 'basic',
+        scoreValue: 150,
+        resistances: { cryo: 0.5, fire: -0.25 },
+        trailInterval: 2,
+        marker: 'bolt'
+    },
+    strong: {
+        name: 'Brute',
+        speed: 40,
+        health: 150,
+        size: 40,
+        color: '#ff0000', // Red
+        behavior: { type: 'chase', aggression: 0.8 },
+        spawn: { minDifficulty: 1, base: 3, perDifficulty: 0 },
+        deathEffect: 'elite',
+        scoreValue: 250,
+        resistances: { fire: 0.5, kinetic: 0.25, cryo: -0.25 },
+        marker: 'cross'
+    },
+    chaser: {
+        name: 'Hunter',
+        speed: 50,
+        health: 100,
+        size: 25,
+        color: '#ff00ff', // Magenta
+        behavior: { type: 'chase', aggression: 1.2 },
+        spawn: { minDifficulty: 3, base: 1, perDifficulty: 0.4 },
+        deathEffect: 'basic',
+        scoreValue: 100
+    },
+    patrol: {
+        name: 'Sentry',
+        speed: 40,
+        health: 100,
+        size: 25,
+        color: '#00ff00', // Green
+        behavior: { type: 'patrol' },
+        ranged: true,
+        projectile: { color: '#00ff88', pattern: 'wave', damageType: 'toxin' }, // Greenish, poisonous projectiles in a swaying fan
+        spawn: { minDifficulty: 3, base: 1, perDifficulty: 0.4 },
+        deathEffect: 'basic',
+        scoreValue: 100,
+        resistances: { toxin: 0.75, shock: -0.5 }
+    },
+    flank: {
+        name: 'Flanker',
+        speed: 50,
+        health: 100,
+        size: 25,
+        color: '#ffaa00', // Orange
+        behavior: { type: 'flank', flankDistance: 150 },
+        spawn: { minDifficulty: 5, base: 0.8, perDifficulty: 0.3 },
+        deathEffect: 'basic',
+        scoreValue: 100,
+        resistances: { fire: 0.25 }
+    },
+    ambush: {
+        name: 'Lurker',
+        speed: 50,
+        health: 100,
+        size: 25,
+        color: '#ffff00', // Yellow
+        behavior: { type: 'ambush', triggerDistance: 220 },
+        usesPerception: false, // Watches for the player itself while hidden
+        spawn: { minDifficulty: 5, base: 0.8, perDifficulty: 0.3 },
+        deathEffect: 'basic',
+        scoreValue: 100,
+        resistances: { shock: 0.5 }
+    },
+    gold: {
+        name: 'Gilded Drone',
+        speed: 50,
+        health: 100,
+        size: 25,
+        color: '#ffd700', // Gold
+        behavior: { type: 'patrol', route: 'wide' }, // Wide patrol route around obstacles
+        deathEffect: 'basic',
+        scoreValue: 100,
+        resistances: { kinetic: 0.25, shock: -0.5 }
+    },
+    boss: {
+        name: 'Requiem Core',
+        speed: 45,
+        health: 1500,
+        size: 60,
+        color: '#ff3366', // Hot pink
+        behavior: { type: 'boss' },
+        usesPerception: false, // Always in the fight
+        deathEffect: 'boss',
+        deathDuration: 1200,
+        scoreValue: 100,
+        resistances: { fire: 0.25, shock: 0.25, toxin: 0.25, cryo: 0.5 }
+    }
+};
+
+/**
+ * Look up an enemy archetype, with defaults filled in
+ * @param {string} type - Enemy type key
+ * @returns {Object} Archetype definition with its type, falling back to the normal enemy
+ */
+export function getArchetype(type) {
+    const key = ENEMY_ARCHETYPES[type] ? type : 'normal';
+    const archetype = ENEMY_ARCHETYPES[key];
+    
+    return {
+        ranged: false,
+        usesPerception: true,
+        spawn: null,
+        deathDuration: 300, // ms
+        trailInterval: 5,
+        marker: null,
+        resistances: {},
+        ...archetype,
+        type: key,
+        projectile: { ...DEFAULT_PROJECTILE, color: archetype.color, ...archetype.projectile }
+    };
+}
+
+/**
+ * Spawn weight of an archetype at a difficulty
+ * @param {Object} archetype - Archetype definition
+ * @param {number} difficulty - Room difficulty
+ * @returns {number} Relative chance of rolling this archetype (0 if it can't spawn)
+ */
+export function getSpawnWeight(archetype, difficulty) {
+    const spawn = archetype.spawn;
+    if (!spawn || difficulty < spawn.minDifficulty) return 0;
+    return Math.max(0, spawn.base + spawn.perDifficulty * (difficulty - spawn.minDifficulty));
+}
+
+/**
+ * Roll an enemy type for a room, weighted by difficulty
+ * @param {number} difficulty - Room difficulty
+ * @param {Function} random - Random source (0 to 1); rooms pass their seeded generator
+ * @returns {string} Enemy type key
+ */
+export function pickArchetype(difficulty, random) {
+    const weights = Object.entries(ENEMY_ARCHETYPES).map(([type, archetype]) => [type, getSpawnWeight(archetype, difficulty)]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    
+    let roll = random() * total;
+    for (const [type, weight] of weights) {
+        if (weight <= 0) continue;
+        roll -= weight;
+        if (roll < 0) return type;
+    }
+    return 'normal';
+}
@@ -0,0 +1,288 @@
+// enemyPerception.js - How enemies notice the player: a vision cone with line of sight, hearing noises, and alert states
+
+// Alert states an enemy moves through. Only alerted enemies run their combat behavior.
+export const ALERT_STATES = {
+    IDLE: 'idle',             // Unaware - walks its patrol route
+    SUSPICIOUS: 'suspicious', // Glimpsed the player or heard a noise - edges toward it
+    ALERTED: 'alerted',       // Knows where the player is - chases, flanks and shoots
+    SEARCHING: 'searching'    // Lost the player - checks the last known position
+};
+
+// How far enemies can see, and the full width of their vision cone in radians
+const VISION_RANGE = 400;
+const VISION_CONE = Math.PI * 2 / 3;
+
+// The player is noticed this close whichever way the enemy is facing
+const PROXIMITY_RADIUS = 90;
+
+// Time (ms) the player has to stay in view before a suspicious enemy becomes alerted
+const SUSPICION_TIME = 600;
+
+// Time (ms) an alerted enemy keeps up the chase after losing sight of the player
+const ALERT_MEMORY = 2000;
+
+// Time (ms) spent checking out a noise, or searching the last known position, before going back to idle
+const INVESTIGATE_TIME = 3000;
+const SEARCH_TIME = 4000;
+
+// How fast (radians per second) an enemy sweeps its gaze while looking around
+const LOOK_AROUND_SPEED = 2.5;
+
+// How long (ms) the "!" stays over an enemy that has just been alerted
+const ALERT_FLASH_TIME = 800;
+
+export default class EnemyPerception {
+    /**
+     * Fresh perception state for a new enemy
+     * @param {boolean} alerted - Start already alerted (bosses and summoned minions)
+     * @returns {Object} Perception state, stored on the enemy as enemy.perception
+     */
+    static createState(alerted = false) {
+        return {
+            state: alerted ? ALERT_STATES.ALERTED : ALERT_STATES.IDLE,
+            facing: null, // Radians; picked on the first update once the room is known
+            awareness: 0, // Time (ms) the player has been in view while not yet alerted
+            lastKnown: null, // Where the player was last seen or heard {x, y}
+            timer: alerted ? ALERT_MEMORY : 0, // Countdown for the current state
+            alertFlash: 0
+        };
+    }
+    
+    /**
+     * Update what an enemy knows for one simulation step
+     * @param {Object} enemy - The enemy (must have perception state)
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @returns {string} The enemy's alert state after the update
+     */
+    static update(enemy, player, room, deltaTime) {
+        const perception = enemy.perception;
+        
+        // Start out looking into the room
+        if (perception.facing === null) {
+            perception.facing = room ? Math.atan2(room.height / 2 - enemy.y, room.width / 2 - enemy.x) : 0;
+        }
+        perception.alertFlash = Math.max(0, perception.alertFlash - deltaTime);
+        
+        if (EnemyPerception.canSee(enemy, player, room)) {
+            perception.lastKnown = { x: player.x, y: player.y };
+            perception.facing = Math.atan2(player.y - enemy.y, player.x - enemy.x);
+            
+            if (perception.state === ALERT_STATES.ALERTED) {
+                perception.timer = ALERT_MEMORY;
+            } else {
+                perception.awareness += deltaTime;
+                
+                // Enemies already hunting the player, or with the player right on top of them, react at once
+                const distance = Math.hypot(player.x - enemy.x, player.y - enemy.y);
+                if (perception.state === ALERT_STATES.SEARCHING || distance <= PROXIMITY_RADIUS ||
+                    perception.awareness >= SUSPICION_TIME) {
+                    EnemyPerception.alert(enemy);
+                } else {
+                    EnemyPerception.setState(enemy, ALERT_STATES.SUSPICIOUS);
+                    perception.timer = INVESTIGATE_TIME;
+                }
+            }
+            return perception.state;
+        }
+        
+        const noise = EnemyPerception.getHeardNoise(enemy, room);
+        if (noise) {
+            perception.lastKnown = { x: noise.x, y: noise.y };
+            perception.facing = Math.atan2(noise.y - enemy.y, noise.x - enemy.x);
+            
+            if (perception.state === ALERT_STATES.ALERTED) {
+                perception.timer = ALERT_MEMORY;
+            } else if (perception.state === ALERT_STATES.SEARCHING) {
+                // Keep searching, but around the new noise
+                enemy.navigation = null;
+                perception.timer = SEARCH_TIME;
+            } else {
+                EnemyPerception.setState(enemy, ALERT_STATES.SUSPICIOUS);
+                perception.timer = INVESTIGATE_TIME;
+            }
+            return perception.state;
+        }
+        
+        // Nothing seen or heard - awareness fades and the current state runs down
+        perception.awareness = Math.max(0, perception.awareness - deltaTime / 2);
+        perception.timer -= deltaTime;
+        
+        if (perception.timer <= 0) {
+            if (perception.state === ALERT_STATES.ALERTED) {
+                EnemyPerception.setState(enemy, ALERT_STATES.SEARCHING);
+                perception.timer = SEARCH_TIME;
+            } else if (perception.state !== ALERT_STATES.IDLE) {
+                EnemyPerception.setState(enemy, ALERT_STATES.IDLE);
+                perception.awareness = 0;
+            }
+        }
+        
+        return perception.state;
+    }
+    
+    /**
+     * Alert an enemy straight away, e.g. when it's shot
+     * @param {Object} enemy - The enemy (must have perception state)
+     * @param {number} x - Optional X position the threat came from
+     * @param {number} y - Optional Y position the threat came from
+     */
+    static alert(enemy, x = null, y = null) {
+        const perception = enemy.perception;
+        if (x !== null && y !== null) {
+            perception.lastKnown = { x, y };
+        }
+        
+        EnemyPerception.setState(enemy, ALERT_STATES.ALERTED);
+        perception.awareness = SUSPICION_TIME;
+        perception.timer = ALERT_MEMORY;
+    }
+    
+    /**
+     * Switch alert state, dropping any path cached for the old state's target
+     * @param {Object} enemy - The enemy (must have perception state)
+     * @param {string} state - New alert state from ALERT_STATES
+     */
+    static setState(enemy, state) {
+        const perception = enemy.perception;
+        if (perception.state === state) return;
+        
+        perception.state = state;
+        enemy.navigation = null;
+        if (state === ALERT_STATES.ALERTED) {
+            perception.alertFlash = ALERT_FLASH_TIME;
+        }
+    }
+    
+    /**
+     * Check whether an enemy can see the player. Alerted enemies are tracking the player and
+     * ignore their vision cone, but nobody sees through walls or obstacles.
+     * @param {Object} enemy - The enemy (must have perception state)
+     * @param {Object} player - The player object
+     * @param {Object} room - The current room
+     * @returns {boolean} True if the player is in view
+     */
+    static canSee(enemy, player, room) {
+        if (player.isDead || player.visible === false) return false;
+        
+        const dx = player.x - enemy.x;
+        const dy = player.y - enemy.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > VISION_RANGE) return false;
+        
+        const perception = enemy.perception;
+        if (perception.state !== ALERT_STATES.ALERTED && distance > PROXIMITY_RADIUS) {
+            // Smallest angle between the facing and the direction to the player
+            const offset = Math.atan2(dy, dx) - perception.facing;
+            if (Math.abs(Math.atan2(Math.sin(offset), Math.cos(offset))) > VISION_CONE / 2) return false;
+        }
+        
+        return EnemyPerception.hasLineOfSight(room, enemy.x, enemy.y, player.x, player.y);
+    }
+    
+    /**
+     * Check for a clear line between two points by raycasting against the room's walls and obstacles
+     * @param {Object} room - The current room (anything without sight segments never blocks)
+     * @param {number} fromX - Start X position
+     * @param {number} fromY - Start Y position
+     * @param {number} toX - End X position
+     * @param {number} toY - End Y position
+     * @returns {boolean} True if nothing blocks the line
+     */
+    static hasLineOfSight(room, fromX, fromY, toX, toY) {
+        if (!room || typeof room.getSightSegments !== 'function') return true;
+        
+        const origin = { x: fromX, y: fromY };
+        const direction = { x: toX - fromX, y: toY - fromY };
+        const distance = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+        
+        for (const segment of room.getSightSegments()) {
+            // The ray runs on past the target, so only hits before it count
+            const hit = room.physics.raycast(origin, direction, segment.start, segment.end);
+            if (hit && hit.distance < distance) return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Find the nearest noise made this step that reaches the enemy. Sound carries through cover.
+     * @param {Object} enemy - The enemy
+     * @param {Object} room - The current room
+     * @returns {Object|null} The noise {x, y, radius}, or null if nothing was heard
+     */
+    static getHeardNoise(enemy, room) {
+        if (!room || !room.noises) return null;
+        
+        let heard = null;
+        let nearest = Infinity;
+        for (const noise of room.noises) {
+            const distance = Math.hypot(noise.x - enemy.x, noise.y - enemy.y);
+            if (distance <= noise.radius && distance < nearest) {
+                heard = noise;
+                nearest = distance;
+            }
+        }
+        return heard;
+    }
+    
+    /**
+     * Turn the enemy to face where it moved this step, or sweep its gaze while it stands looking for the player
+     * @param {Object} enemy - The enemy (must have perception state)
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    static updateFacing(enemy, deltaTime) {
+        const perception = enemy.perception;
+        const dx = enemy.x - enemy.prevX;
+        const dy = enemy.y - enemy.prevY;
+        
+        if (dx * dx + dy * dy > 0.0001) {
+            perception.facing = Math.atan2(dy, dx);
+        } else if (perception.state === ALERT_STATES.SUSPICIOUS || perception.state === ALERT_STATES.SEARCHING) {
+            perception.facing += LOOK_AROUND_SPEED * (deltaTime / 1000);
+        }
+    }
+    
+    /**
+     * Draw a short vision cone for enemies that haven't spotted the player, and a "?" or "!" over their head
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     * @param {Object} enemy - The enemy (must have perception state)
+     */
+    static render(ctx, enemy) {
+        const perception = enemy.perception;
+        if (perception.facing === null) return;
+        
+        ctx.save();
+        
+        if (perception.state !== ALERT_STATES.ALERTED) {
+            const coneLength = enemy.width * 2.5;
+            ctx.globalAlpha = perception.state === ALERT_STATES.IDLE ? 0.08 : 0.16;
+            ctx.fillStyle = perception.state === ALERT_STATES.IDLE ? '#ffffff' : '#ffff00';
+            ctx.beginPath();
+            ctx.moveTo(enemy.x, enemy.y);
+            ctx.arc(enemy.x, enemy.y, coneLength, perception.facing - VISION_CONE / 2, perception.facing + VISION_CONE / 2);
+            ctx.closePath();
+            ctx.fill();
+            ctx.globalAlpha = 1.0;
+        }
+        
+        let mark = null;
+        if (perception.state === ALERT_STATES.SUSPICIOUS || perception.state === ALERT_STATES.SEARCHING) {
+            mark = { text: '?', color: '#ffff00' };
+        } else if (perception.alertFlash > 0) {
+            mark = { text: '!', color: '#ff3366' };
+        }
+        
+        if (mark) {
+            ctx.font = 'bold 16px "Courier New", monospace';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = mark.color;
+            ctx.shadowBlur = 8;
+            ctx.shadowColor = mark.color;
+            ctx.fillText(mark.text, enemy.x, enemy.y - enemy.height / 2 - 16);
+        }
+        
+        ctx.restore();
+    }
+}
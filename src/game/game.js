@@ -6,8 +6,22 @@ import { Physics } from './physics.js';
 import { EffectsManager } from '../rendering/effects/effectsManager.js';
 import { ProceduralGenerator } from './proceduralGenerator.js';
 import { StartingRoom } from './startingRoom.js';
+import { SaveManager } from './saveManager.js';
+import { MetaProgression } from './metaProgression.js';
+import { RunHistory } from './runHistory.js';
+import { BOSS_PHASE_THRESHOLDS } from './bossAI.js';
+import Elements from './elements.js';
+import Relics, { RELIC_TYPES } from './relics.js';
+import { createItem } from './items.js';
 import AudioManager from '../audio/audioManager.js';
+import InputRecorder, { RECORDED_KEYS } from '../input/inputRecorder.js';
 import { PauseMenu } from '../ui/pauseMenu.js';
+import { DungeonMap } from '../ui/dungeonMap.js';
+import { UpgradeTerminal } from '../ui/upgradeTerminal.js';
+import { RunHistoryView } from '../ui/runHistoryView.js';
+
+// Floors to clear before the run ends in victory
+const FLOORS_TO_WIN = 3;
 
 export default class Game {
     constructor(width, height, renderer, inputHandler) {
@@ -17,12 +31,44 @@ export default class Game {
         this.inputHandler = inputHandler;
         this.running = false;
         this.lastTimestamp = 0;
+        
+        // Fixed-timestep simulation - update() always advances by exactly fixedTimeStep
+        this.fixedTimeStep = 1000 / 60; // 60 simulation ticks per second
+        this.maxFrameTime = 250; // Clamp long frames (tab switches) to avoid a catch-up spiral
+        this.accumulator = 0; // Real time not yet consumed by simulation steps
+        this.simulationTime = 0; // Total simulated (unpaused) time in ms
+        this.maxInterpolationDistance = 100; // Larger jumps (teleports, room changes) aren't interpolated
+        
+        // Gameplay timers driven by simulation time instead of setTimeout
+        this.scheduledEvents = [];
+        
+        // Input recording for replays - every run is recorded from its first tick
+        this.inputRecorder = new InputRecorder();
+        this.replayHold = false; // Freeze replay playback for frame-by-frame stepping
+        
+        this.floorsToWin = FLOORS_TO_WIN;
+        
+        // Saved run storage for Continue / Save & Quit
+        this.saveManager = new SaveManager();
+        
+        // Currency and permanent upgrades that carry over between runs
+        this.metaProgression = new MetaProgression();
+        this.runUnlocks = null; // Upgrades locked in at the start of the current run
+        this.replayUnlocks = null; // Upgrades a replay was recorded with, used by the next generateRun
+        this.kills = 0; // Enemies killed this run
+        this.lastRunReward = null; // Currency awarded when the last run ended
+        
+        // Local leaderboard and history of finished runs
+        this.runHistory = new RunHistory();
+        this.lastRunRecord = null; // Leaderboard entry for the run that just ended
+        this.pendingRestart = false; // Set by menus that need a restart outside the update step
         this.doorTransitionCooldown = 0;
         this._lastDashState = false;
         this.debugMode = false; // New debug mode flag
         this.lastFrameTime = 16; // Store last frame time for FPS calculation
         this._lastLockedDoorCheck = null; // Track last locked door check time
         this.roomsCleared = 0; // Track room progression
+        this.relicDropChance = 0.25; // Chance a cleared room drops a relic (the boss always does)
         this.score = 0; // Player's score
         this._lastScore = 0; // Track last score for glow effect
         this._scoreChangeTime = null; // Time when score last changed
@@ -33,6 +79,15 @@ export default class Game {
         // Initialize pause menu
         this.pauseMenu = new PauseMenu(this);
         
+        // Initialize dungeon minimap and full-screen map overlay
+        this.dungeonMap = new DungeonMap(this);
+        
+        // Initialize the starting room's upgrade terminal overlay
+        this.upgradeTerminal = new UpgradeTerminal(this);
+        
+        // Initialize the run history overlay (leaderboard and recent runs)
+        this.runHistoryView = new RunHistoryView(this);
+        
         // Add game state to track whether we're in the starting room or main game
         this.gameState = 'starting'; // 'starting' or 'playing'
         
@@ -45,11 +100,9 @@ export default class Game {
         // Initialize effects manager for visual effects
         this.effects = new EffectsManager(300); // Allow up to 300 particles
         
-        // Initialize procedural generator
-        this.generator = new ProceduralGenerator();
-        
-        // Enable the item-obstacle collision checking system
-        this.generator.addItemCollisionCheckToRoom(Room);
+        // Run seed from the URL (?seed=...) - when present, every restart replays the same dungeon
+        const urlSeed = this.getSeedFromUrl();
+        this.seedLocked = urlSeed !== null;
         
         // Initialize the player with effects manager
         this.player = new Player(width / 2, height / 2 - 20);
@@ -60,36 +113,13 @@ export default class Game {
         this.player.canvasWidth = width;
         this.player.canvasHeight = height;
         
-        // Create player stats object for initial dungeon generation
-        const initialPlayerStats = {
-            health: this.player.health,
-            maxHealth: this.player.maxHealth,
-            ammo: this.player.ammo,
-            maxAmmo: this.player.maxAmmo
-        };
-        
-        // Dungeon generation
-        const dungeonSize = 10; // Number of rooms in the dungeon
-        this.dungeon = this.generator.generateDungeon(dungeonSize, {
-            width: width,
-            height: height,
-            includeBossRoom: true
-        }, initialPlayerStats);
+        // Seed the generator and build the dungeon for this run
+        this.generateRun(urlSeed);
         
         // Initialize with starting room instead of first room of dungeon
         this.startingRoom = new StartingRoom(this);
         this.currentRoom = this.startingRoom;
         
-        // Store the main game start data for when we transition
-        this.currentRoomId = this.dungeon.startRoomId;
-        this.mainGameStartData = {
-            roomId: this.currentRoomId,
-            roomData: this.dungeon.rooms[this.currentRoomId]
-        };
-        
-        // Track the last door the player entered through
-        this.lastEntryDoorIndex = -1; // -1 means no entry door (first room)
-        
         // Initialize the camera
         this.camera = new Camera(width, height, this.currentRoom.width, this.currentRoom.height);
         
@@ -165,6 +195,8 @@ export default class Game {
      * This method is called each frame to ensure the grid accurately reflects
      * the current positions of all dynamic entities (enemies and projectiles).
      * Optimizes collision detection by only checking entities in the same or adjacent cells.
+     * Obstacles aren't tracked here - collision checks read room.obstacles directly, so destroying
+     * one needs no grid update.
      */
     updateCollisionGrid() {
         // Clear the grid
@@ -200,6 +232,621 @@ export default class Game {
         }
     }
     
+    /**
+     * Read the run seed from the ?seed= URL parameter
+     * @returns {string|null} Seed string, or null if none was given
+     */
+    getSeedFromUrl() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed && seed.trim() ? seed.trim() : null;
+    }
+    
+    /**
+     * Seed the procedural generator and generate the dungeon for a new run.
+     * Every room, enemy and item placement is derived from this seed.
+     * @param {string|null} seed - Run seed, or null to roll a random one
+     */
+    generateRun(seed = null) {
+        // Resolve the run seed (the generator picks a random one when none is given)
+        this.seed = new ProceduralGenerator(seed).seed;
+        
+        // Separate stream for combat rolls (critical hits) so they don't shift room generation
+        this.combatRandom = new Math.seedrandom(`${this.seed}:combat`);
+        
+        // Lock in the permanent upgrades for this run (a replay uses the ones it was recorded with)
+        this.runUnlocks = this.replayUnlocks || this.metaProgression.getRunUnlocks();
+        this.replayUnlocks = null;
+        MetaProgression.applyToPlayer(this.player, this.runUnlocks);
+        this.kills = 0;
+        this.lastRunReward = null;
+        this.lastRunRecord = null;
+        
+        // Every run starts on the first floor
+        this.floor = 1;
+        this.generateFloor(this.floor);
+        
+        // Start a new input recording for this run
+        this.inputRecorder.startRecording(this.seed, this.fixedTimeStep, this.runUnlocks, { x: this.player.x, y: this.player.y });
+        
+        console.log(`Generated run with seed: ${this.seed}`);
+    }
+    
+    /**
+     * Create the generator for a dungeon floor.
+     * The first floor uses the run seed directly; deeper floors derive their own stream from it.
+     * @param {number} floor - Floor number (1-based)
+     * @returns {ProceduralGenerator} Generator for the floor
+     */
+    createFloorGenerator(floor) {
+        const generator = new ProceduralGenerator(floor === 1 ? this.seed : `${this.seed}:floor-${floor}`);
+        generator.extraItemTypes = MetaProgression.getUnlockedItems(this.runUnlocks || {});
+        return generator;
+    }
+    
+    /**
+     * Rebuild the pending run after upgrades change in the starting room, so they apply straight away
+     */
+    applyMetaProgression() {
+        if (this.gameState !== 'starting') return;
+        
+        // Same dungeon, regenerated with the new item pool and player stats
+        this.generateRun(this.seed);
+        
+        if (this.startingRoom) {
+            this.startingRoom.hasSavedRun = this.saveManager.hasSave();
+        }
+    }
+    
+    /**
+     * Open the upgrade terminal (starting room only, never during a replay)
+     */
+    openUpgradeTerminal() {
+        if (this.gameState !== 'starting' || this.inputRecorder.isPlaying()) return;
+        
+        this.upgradeTerminal.open();
+    }
+    
+    /**
+     * Bank meta-progression currency for the run that just ended
+     * @param {boolean} victory - Whether the run beat the final boss
+     */
+    awardRunCurrency(victory) {
+        // Replays re-run someone's input and don't earn anything
+        if (this.lastRunReward !== null || this.inputRecorder.isPlaying()) return;
+        
+        this.lastRunReward = this.metaProgression.awardRun(this.score, this.kills, victory);
+    }
+    
+    /**
+     * Open the run history overlay (starting room only, never during a replay)
+     */
+    openRunHistory() {
+        if (this.gameState !== 'starting' || this.inputRecorder.isPlaying()) return;
+        
+        this.runHistoryView.open();
+    }
+    
+    /**
+     * Add the run that just ended to the leaderboard and run history
+     * @param {boolean} victory - Whether the run beat the final boss
+     */
+    recordRunHistory(victory) {
+        // Replays aren't new runs
+        if (this.lastRunRecord !== null || this.inputRecorder.isPlaying()) return;
+        
+        const stats = this.player.stats || {};
+        this.lastRunRecord = this.runHistory.recordRun({
+            score: this.score,
+            roomsCleared: this.roomsCleared,
+            floor: this.floor,
+            timeSurvived: this.simulationTime,
+            kills: stats.totalKills || 0,
+            damageTaken: stats.damageTaken || 0,
+            timeSpentInRooms: stats.timeSpentInRooms || 0,
+            weapon: this.player.weapon.type,
+            seed: this.seed,
+            victory
+        });
+    }
+    
+    /**
+     * Generate the dungeon for a floor. Each floor is harder than the one above it.
+     * @param {number} floor - Floor number (1-based)
+     */
+    generateFloor(floor) {
+        this.generator = this.createFloorGenerator(floor);
+        
+        // Enable the item-obstacle collision checking system
+        this.generator.addItemCollisionCheckToRoom(Room);
+        
+        // Create player stats object for dungeon generation
+        const initialPlayerStats = {
+            health: this.player.health,
+            maxHealth: this.player.maxHealth,
+            ammo: this.player.ammo,
+            maxAmmo: this.player.maxAmmo
+        };
+        
+        // Deeper floors raise every room's difficulty and toughen the boss
+        const depth = floor - 1;
+        
+        // Dungeon generation
+        const dungeonSize = 10; // Number of rooms in the dungeon
+        this.dungeon = this.generator.generateDungeon(dungeonSize, {
+            width: this.width,
+            height: this.height,
+            includeBossRoom: true,
+            minDifficulty: 1 + depth * 2,
+            maxDifficulty: 10 + depth * 2,
+            startRoomDifficulty: 1 + depth * 2,
+            bossRoomDifficulty: 8 + depth * 2,
+            bossHealth: Math.round(1500 * (1 + depth * 0.5))
+        }, initialPlayerStats);
+        
+        // Store the main game start data for when we transition
+        this.currentRoomId = this.dungeon.startRoomId;
+        this.mainGameStartData = {
+            roomId: this.currentRoomId,
+            roomData: this.dungeon.rooms[this.currentRoomId]
+        };
+        
+        // Track the last door the player entered through
+        this.lastEntryDoorIndex = -1; // -1 means no entry door (first room)
+        this.visitedRooms = new Set();
+        this.clearedRooms = new Set(); // Rooms whose enemies are all defeated, for the map
+        this.roomStates = {}; // Room id -> state the room was left in (see Room.getSaveState)
+        
+        // Set once this floor's boss falls
+        this.bossDefeated = false;
+        
+        console.log(`Generated floor ${floor} of run ${this.seed}`);
+    }
+    
+    /**
+     * Ask the player for a run seed (starting room only) and regenerate the dungeon from it
+     */
+    promptForSeed() {
+        if (this.gameState !== 'starting') return;
+        
+        const input = window.prompt('Enter a run seed (leave empty for a random run):', this.seedLocked ? this.seed : '');
+        
+        // The prompt swallows key releases, so clear held keys to avoid the player drifting
+        for (const key in this.inputHandler.keys) {
+            this.inputHandler.keys[key] = false;
+        }
+        
+        // Cancelled - keep the current run
+        if (input === null) return;
+        
+        const seed = input.trim() || null;
+        this.seedLocked = seed !== null;
+        this.generateRun(seed);
+        
+        // Keep the URL in sync so the run can be shared or reloaded
+        const url = new URL(window.location.href);
+        if (this.seedLocked) {
+            url.searchParams.set('seed', this.seed);
+        } else {
+            url.searchParams.delete('seed');
+        }
+        window.history.replaceState(null, '', url.toString());
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(`Run seed: ${this.seed}`);
+        }
+    }
+    
+    /**
+     * Get the input for the current simulation tick.
+     * Live input is passed through the recorder's frame encoding so a replay feeds back exactly what was simulated.
+     * @param {Object} liveInput - Live input state from the InputHandler
+     * @returns {Object|null} Input state for Game.update, or null if a replay has just ended
+     */
+    getSimulationInput(liveInput) {
+        if (this.inputRecorder.isPlaying()) {
+            const frame = this.inputRecorder.nextFrame();
+            if (!frame) {
+                this.finishReplay();
+                return null;
+            }
+            this.inputRecorder.recordFrame(frame);
+            return this.inputRecorder.decodeFrame(frame);
+        }
+        
+        // Aim at the world position under the cursor so the recording doesn't depend on the camera
+        const mouseWorld = this.camera.screenToWorld(liveInput.mouseX, liveInput.mouseY);
+        const frame = this.inputRecorder.encodeFrame({ ...liveInput, mouseX: mouseWorld.x, mouseY: mouseWorld.y });
+        this.inputRecorder.recordFrame(frame);
+        
+        // Recorded keys are single-press actions, so consume them once they're in a frame
+        RECORDED_KEYS.forEach(key => this.inputHandler.clearKey(key));
+        
+        return this.inputRecorder.decodeFrame(frame);
+    }
+    
+    /**
+     * Handle replay playback controls (Space holds playback, '.' steps a single tick while held)
+     * @returns {boolean} True if the simulation should advance this tick
+     */
+    handleReplayControls() {
+        const keys = this.inputHandler.keys;
+        
+        if (keys[' '] && !this._lastReplayHoldState) {
+            this.replayHold = !this.replayHold;
+            console.log(`Replay ${this.replayHold ? 'held' : 'resumed'} at tick ${this.inputRecorder.playback.tick}`);
+        }
+        this._lastReplayHoldState = keys[' '];
+        
+        if (!this.replayHold) {
+            return true;
+        }
+        
+        // Step a single tick per key press
+        if (keys['.']) {
+            this.inputHandler.clearKey('.');
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Restart the run from a recording's seed and play its input back
+     * @param {Object} recording - Recording from InputRecorder.parseRecording()
+     */
+    startReplay(recording) {
+        if (recording.tickDuration && Math.abs(recording.tickDuration - this.fixedTimeStep) > 0.001) {
+            console.warn(`Replay was recorded at ${recording.tickDuration}ms per tick, game runs at ${this.fixedTimeStep}ms - playback may desync`);
+        }
+        
+        // Replays always regenerate the recorded dungeon, with the upgrades the run had
+        this.seed = recording.seed;
+        this.seedLocked = true;
+        this.replayUnlocks = recording.unlocks || {}; // Older recordings predate upgrades
+        this.restartGame();
+        
+        // Recordings restarted in the starting room (new seed, upgrades bought) begin where the player stood
+        if (recording.startPosition) {
+            this.player.x = recording.startPosition.x;
+            this.player.y = recording.startPosition.y;
+            this.prevPlayerX = this.player.x;
+            this.prevPlayerY = this.player.y;
+        }
+        
+        this.inputRecorder.startPlayback(recording);
+        this.replayHold = false;
+        this._lastReplayHoldState = false;
+        
+        // Make sure '.' exists in the key map so clearKey can reset it between steps
+        this.inputHandler.keys['.'] = false;
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(`Replaying seed ${recording.seed} - SPACE to hold, . to step`);
+        }
+        console.log(`Started replay of ${recording.ticks} ticks (seed ${recording.seed})`);
+    }
+    
+    /**
+     * End replay playback and hand control back to the player
+     */
+    finishReplay() {
+        console.log("Replay finished");
+        this.inputRecorder.stopPlayback();
+        this.replayHold = false;
+        
+        // Pause so the final state can be inspected before taking over
+        if (!this.pauseMenu.isPaused) {
+            this.pauseMenu.toggle();
+        }
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification('Replay finished');
+        }
+    }
+    
+    /**
+     * Download the input recording of the current run
+     */
+    exportReplay() {
+        // Resumed runs have no recording since their first ticks were played in another session
+        if (!this.inputRecorder.recording) {
+            if (typeof window.showNotification === 'function') {
+                window.showNotification('No replay available for a resumed run');
+            }
+            return;
+        }
+        
+        const date = new Date().toISOString().slice(0, 10);
+        this.inputRecorder.downloadRecording(`neon-requiem-${this.seed}-${date}.json`);
+    }
+    
+    /**
+     * Pick a replay file and start playing it back
+     */
+    importReplay() {
+        InputRecorder.promptForRecording()
+            .then(recording => {
+                if (this.pauseMenu.isPaused) {
+                    this.pauseMenu.toggle();
+                }
+                this.startReplay(recording);
+            })
+            .catch(error => {
+                console.warn("Could not load replay:", error);
+                if (typeof window.showNotification === 'function') {
+                    window.showNotification(`Could not load replay: ${error.message}`);
+                }
+            });
+    }
+    
+    /**
+     * Collect everything needed to resume the current run.
+     * The dungeon layout is stored as generated, so resuming doesn't depend on regenerating it.
+     * @returns {Object} JSON-safe run data
+     */
+    createSaveData() {
+        return {
+            seed: this.seed,
+            seedLocked: this.seedLocked,
+            dungeon: this.dungeon,
+            currentRoomId: this.currentRoomId,
+            lastEntryDoorIndex: this.lastEntryDoorIndex,
+            floor: this.floor,
+            visitedRooms: Array.from(this.visitedRooms || []),
+            clearedRooms: Array.from(this.clearedRooms || []),
+            roomStates: this.roomStates,
+            runUnlocks: this.runUnlocks,
+            kills: this.kills,
+            currentRoomState: this.currentRoom.getSaveState(),
+            player: this.player.getSaveState(),
+            score: this.score,
+            roomsCleared: this.roomsCleared,
+            simulationTime: this.simulationTime
+        };
+    }
+    
+    /**
+     * Take the descent portal down to the next floor
+     */
+    descendToNextFloor() {
+        this.floor++;
+        console.log(`Descending to floor ${this.floor}`);
+        
+        this.generateFloor(this.floor);
+        
+        // Enter the new floor's first room the same way as entering the dungeon from the starting room
+        const roomData = this.mainGameStartData.roomData;
+        this.currentRoom = new Room(this.width, this.height, {
+            obstacles: roomData.obstacles,
+            template: roomData.template,
+            enemies: roomData.enemies,
+            waves: roomData.waves,
+            items: roomData.items,
+            difficulty: roomData.difficulty || 1,
+            physics: this.physics,
+            procGen: this.generator.createRoomGenerator(this.currentRoomId)
+        });
+        this.currentRoom.effects = this.effects;
+        
+        const entryPosition = this.currentRoom.getEntryPosition('west');
+        this.player.x = entryPosition.x;
+        this.player.y = entryPosition.y;
+        this.player.velocityX = 0;
+        this.player.velocityY = 0;
+        this.player.projectiles = [];
+        this.prevPlayerX = this.player.x;
+        this.prevPlayerY = this.player.y;
+        
+        this.doorTransitionCooldown = 1000;
+        this.collisionGrid = this.buildCollisionGrid();
+        
+        this.camera.jumpTo(this.player.x, this.player.y);
+        this.camera.shake(15, 600);
+        this.effects.createScreenFlash('#00FFFF', 0.7, 0.5);
+        if (window.audioManager) {
+            window.audioManager.playPortalSound('#00ffff');
+        }
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(`FLOOR ${this.floor} / ${this.floorsToWin}`);
+        }
+        
+        // Autosave at the start of the new floor
+        this.saveRun();
+    }
+    
+    /**
+     * Finish the boss encounter: silence the remaining minions, award the bonus, then open the
+     * descent portal (or end the run on the last floor)
+     * @param {Enemy} boss - The defeated boss
+     */
+    handleBossDefeated(boss) {
+        console.log("Boss defeated!");
+        this.bossDefeated = true;
+        
+        // The arena collapses with its boss
+        for (const enemy of this.currentRoom.enemies) {
+            if (enemy !== boss && enemy.active && !enemy.dying) {
+                enemy.takeDamage(enemy.health, this.effects);
+            }
+            enemy.projectiles = [];
+        }
+        
+        const bossBonus = 5000 + (this.roomsCleared * 200);
+        this.score += bossBonus;
+        
+        this.camera.shake(30, 1000);
+        this.effects.createScreenFlash('#FFFFFF', 0.8, 0.6);
+        
+        // Deeper floors remain - open the way down
+        if (this.floor < this.floorsToWin) {
+            this.currentRoom.openDescentPortal(this.floor + 1);
+            
+            if (typeof window.showNotification === 'function') {
+                window.showNotification(`${boss.bossData.name} DEFEATED! +${bossBonus.toLocaleString()} - the way down is open`);
+            }
+            return;
+        }
+        
+        // A finished run can't be continued
+        this.saveManager.clear();
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(`${boss.bossData.name} DEFEATED! +${bossBonus.toLocaleString()}`);
+        }
+        
+        // Let the death effect play out before the victory screen
+        this.scheduleEvent(2500, () => {
+            if (this.gameState === 'playing' && !this.player.isDead) {
+                this.gameState = 'victory';
+                this.awardRunCurrency(true);
+                this.recordRunHistory(true);
+            }
+        });
+    }
+    
+    /**
+     * Drop a relic the player doesn't have yet in the middle of the room just cleared
+     * @param {boolean} guaranteed - Always drop one (boss rooms)
+     */
+    dropRelic(guaranteed = false) {
+        if (!guaranteed && this.combatRandom() >= this.relicDropChance) return;
+        
+        // Relics left lying in this floor's rooms count as taken, so the same one never drops twice
+        const roomItems = [this.currentRoom.items, ...Object.values(this.roomStates).map(state => state.items || [])];
+        const lyingRelics = roomItems.flat()
+            .filter(item => item.type === 'relic' && !item.collected)
+            .map(item => item.relic);
+        
+        const relicId = Relics.pickRelic(this.combatRandom, [...this.player.relics.getSaveState(), ...lyingRelics]);
+        if (!relicId) return;
+        
+        const relic = RELIC_TYPES[relicId];
+        const x = this.currentRoom.width / 2;
+        const y = this.currentRoom.height / 2 + 80; // Clear of a descent portal
+        this.currentRoom.items.push(createItem('relic', x, y, { relic: relicId, color: relic.color, symbol: relic.symbol }));
+        this.effects.createGlowEffect(x, y, 20, relic.color, 1.0);
+    }
+    
+    /**
+     * Save the current run if it's in a resumable state
+     * @returns {boolean} True if the run was saved
+     */
+    saveRun() {
+        // Only live runs inside the dungeon are saved - not the starting room, a replay, a dead player or a finished run
+        const runComplete = this.bossDefeated && this.floor >= this.floorsToWin;
+        if (this.gameState !== 'playing' || this.inputRecorder.isPlaying() || this.player.isDead || runComplete) {
+            return false;
+        }
+        
+        return this.saveManager.save(this.createSaveData());
+    }
+    
+    /**
+     * Save the run and return to the starting room (from the pause menu)
+     */
+    saveAndQuit() {
+        if (!this.saveRun()) {
+            // Keep playing rather than throwing away a run that couldn't be saved
+            if (typeof window.showNotification === 'function') {
+                window.showNotification('Run could not be saved');
+            }
+            return;
+        }
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification('Run saved');
+        }
+        
+        // Restart on the next frame, outside the current update step
+        this.pendingRestart = true;
+    }
+    
+    /**
+     * Resume the saved run from the starting room
+     */
+    continueSavedRun() {
+        if (this.gameState !== 'starting') return;
+        
+        const save = this.saveManager.load();
+        if (!save) {
+            if (typeof window.showNotification === 'function') {
+                window.showNotification('No saved run to continue');
+            }
+            return;
+        }
+        
+        // Restore the run's seeded streams
+        this.seed = save.seed;
+        this.seedLocked = save.seedLocked;
+        this.floor = save.floor || 1;
+        this.runUnlocks = save.runUnlocks || {}; // Upgrades bought since don't change a run in progress
+        this.generator = this.createFloorGenerator(this.floor);
+        this.generator.addItemCollisionCheckToRoom(Room);
+        this.combatRandom = new Math.seedrandom(`${this.seed}:combat`);
+        
+        // Restore dungeon progress
+        this.dungeon = save.dungeon;
+        this.currentRoomId = save.currentRoomId;
+        this.lastEntryDoorIndex = save.lastEntryDoorIndex;
+        this.visitedRooms = new Set(save.visitedRooms);
+        this.kills = save.kills || 0;
+        this.clearedRooms = new Set(save.clearedRooms || []);
+        this.roomStates = save.roomStates || {};
+        this.mainGameStartData = {
+            roomId: this.dungeon.startRoomId,
+            roomData: this.dungeon.rooms[this.dungeon.startRoomId]
+        };
+        this.score = save.score;
+        this.roomsCleared = save.roomsCleared;
+        this.simulationTime = save.simulationTime || 0;
+        this.bossDefeated = false;
+        
+        // Replays have to start from a run's first tick, so a resumed run isn't recorded
+        this.inputRecorder.stopRecording();
+        
+        // Restore the player
+        this.player.applySaveState(save.player);
+        this.player.visible = true;
+        this.player.projectiles = [];
+        this.player.velocityX = 0;
+        this.player.velocityY = 0;
+        this.prevPlayerX = this.player.x;
+        this.prevPlayerY = this.player.y;
+        
+        // Rebuild the room the run was saved in, with its surviving enemies and items
+        const roomData = this.dungeon.rooms[this.currentRoomId];
+        const roomState = save.currentRoomState;
+        this.currentRoom = new Room(this.width, this.height, {
+            obstacles: roomData.obstacles,
+            template: roomData.template,
+            enemies: roomState.enemies,
+            waves: roomState.waves,
+            waveNumber: roomState.waveNumber,
+            items: roomState.items,
+            difficulty: roomData.difficulty || this.getCurrentDifficulty(),
+            physics: this.physics,
+            procGen: this.generator.createRoomGenerator(this.currentRoomId)
+        });
+        this.currentRoom.applySaveState(roomState);
+        this.currentRoom.effects = this.effects;
+        
+        this.gameState = 'playing';
+        this.doorTransitionCooldown = 1000; // Don't walk straight back out of a door
+        this.collisionGrid = this.buildCollisionGrid();
+        
+        // Same arrival effects as entering the dungeon
+        this.camera.shake(10, 500);
+        this.camera.jumpTo(this.player.x, this.player.y);
+        this.effects.createScreenFlash('#ffffff', 0.7);
+        this.audioManager.playRandomBackground();
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(`Run resumed (seed ${this.seed})`);
+        }
+        console.log(`Resumed saved run in room ${this.currentRoomId} (seed ${this.seed})`);
+    }
+    
     start() {
         if (!this.running) {
             this.running = true;
@@ -239,43 +886,181 @@ export default class Game {
                 }, 100);
             }
             
-            // Start the game loop
-            requestAnimationFrame(this.gameLoop);
+            // Start the game loop
+            requestAnimationFrame(this.gameLoop);
+        }
+    }
+    
+    stop() {
+        this.running = false;
+    }
+    
+    /**
+     * Schedule a callback after a delay in simulation time.
+     * Unlike setTimeout, these timers stop while the game is paused.
+     * @param {number} delay - Delay in milliseconds of simulation time
+     * @param {Function} callback - Function to call when the timer fires
+     */
+    scheduleEvent(delay, callback) {
+        this.scheduledEvents.push({ remaining: delay, callback });
+    }
+    
+    /**
+     * Count down scheduled events and fire the ones that are due
+     * @param {number} deltaTime - Simulation step in milliseconds
+     */
+    updateScheduledEvents(deltaTime) {
+        const due = [];
+        this.scheduledEvents = this.scheduledEvents.filter(event => {
+            event.remaining -= deltaTime;
+            if (event.remaining <= 0) {
+                due.push(event);
+                return false;
+            }
+            return true;
+        });
+        
+        // Fire after filtering so callbacks can safely schedule new events
+        due.forEach(event => event.callback());
+    }
+    
+    /**
+     * Collect every entity whose rendered position is interpolated between simulation steps
+     * @returns {Array} Player, enemies and all active projectiles
+     */
+    getInterpolatedEntities() {
+        const entities = [this.player, ...this.player.projectiles];
+        
+        if (this.currentRoom && this.currentRoom.enemies) {
+            for (const enemy of this.currentRoom.enemies) {
+                entities.push(enemy);
+                if (enemy.projectiles) {
+                    entities.push(...enemy.projectiles);
+                }
+            }
+        }
+        
+        return entities;
+    }
+    
+    /**
+     * Remember entity positions before a simulation step so rendering can blend between steps
+     */
+    capturePreviousPositions() {
+        for (const entity of this.getInterpolatedEntities()) {
+            entity.renderPrevX = entity.x;
+            entity.renderPrevY = entity.y;
+        }
+    }
+    
+    /**
+     * Move entities to their interpolated positions for rendering
+     * @param {number} alpha - Fraction (0-1) of a step elapsed since the last simulation update
+     * @returns {Array} Saved simulation positions, to be restored after rendering
+     */
+    applyRenderInterpolation(alpha) {
+        const saved = [];
+        const maxDistanceSq = this.maxInterpolationDistance * this.maxInterpolationDistance;
+        
+        for (const entity of this.getInterpolatedEntities()) {
+            if (entity.renderPrevX === undefined) continue;
+            
+            const dx = entity.x - entity.renderPrevX;
+            const dy = entity.y - entity.renderPrevY;
+            
+            // Don't smear teleports (room transitions, respawns) across the screen
+            if (dx * dx + dy * dy > maxDistanceSq) continue;
+            
+            saved.push({ entity, x: entity.x, y: entity.y });
+            entity.x = entity.renderPrevX + dx * alpha;
+            entity.y = entity.renderPrevY + dy * alpha;
         }
+        
+        return saved;
     }
     
-    stop() {
-        this.running = false;
+    /**
+     * Put entities back at their simulation positions after rendering
+     * @param {Array} saved - Positions returned by applyRenderInterpolation
+     */
+    restoreRenderInterpolation(saved) {
+        for (const { entity, x, y } of saved) {
+            entity.x = x;
+            entity.y = y;
+        }
     }
     
     gameLoop(timestamp) {
-        // Calculate delta time
-        const deltaTime = timestamp - this.lastTimestamp;
+        // Calculate real frame time, clamped so a stalled tab doesn't flood the simulation
+        const frameTime = Math.min(Math.max(0, timestamp - this.lastTimestamp), this.maxFrameTime);
         this.lastTimestamp = timestamp;
         
         // Store the frame time for FPS calculation in debug mode
-        this.lastFrameTime = deltaTime;
+        this.lastFrameTime = frameTime;
         
         // Clear the canvas
         this.renderer.clear('#111111');
         
         // Update camera
-        this.camera.update(deltaTime);
+        this.camera.update(frameTime);
+        
+        // Restart requested from a menu (e.g. Save & Quit) - done here so the loop restarts cleanly
+        if (this.pendingRestart) {
+            this.pendingRestart = false;
+            this.restartGame();
+            return;
+        }
         
-        // Check for player death and handle game restart
-        if (this.player && this.player.isDead) {
-            if (this.player.isDeathComplete()) {
-                console.log("Death animation complete, restarting game");
+        // Check for player death and show the death screen until the player restarts
+        if (this.player && this.player.isDead && this.player.isDeathComplete()) {
+            if (this.gameState !== 'gameOver') {
+                console.log("Death animation complete, showing death screen");
+                this.gameState = 'gameOver';
+                
+                // A dead run can't be continued
+                this.saveManager.clear();
+                this.awardRunCurrency(false);
+                this.recordRunHistory(false);
+            }
+            
+            if (this.inputHandler.keys['Enter']) {
+                this.inputHandler.clearKey('Enter');
                 this.restartGame();
                 return; // Skip the rest of the update since we're restarting
             }
+            
+            this.render();
+            if (this.running) {
+                this._animFrameId = requestAnimationFrame(this.gameLoop);
+            }
+            return;
+        }
+        
+        // Show the victory screen after the boss falls until the player starts a new run
+        if (this.gameState === 'victory') {
+            if (this.inputHandler.keys['Enter']) {
+                this.inputHandler.clearKey('Enter');
+                this.restartGame();
+                return;
+            }
+            
+            this.render();
+            if (this.running) {
+                this._animFrameId = requestAnimationFrame(this.gameLoop);
+            }
+            return;
         }
         
-        // Update game state
-        this.update(deltaTime);
+        // Advance the simulation in fixed steps so behaviour doesn't depend on the display refresh rate
+        this.accumulator += frameTime;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.capturePreviousPositions();
+            this.update(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
         
-        // Render game
-        this.render();
+        // Render game, interpolating between the last two simulation states
+        this.render(this.accumulator / this.fixedTimeStep);
         
         // Continue the game loop if still running
         if (this.running) {
@@ -289,50 +1074,91 @@ export default class Game {
     }
     
     update(deltaTime) {
-        // Processing inputs for this frame
-        const inputState = this.inputHandler.getInputState();
+        // Processing live inputs for this frame (pause and debug keys always come from the keyboard)
+        const liveInput = this.inputHandler.getInputState();
         
         // Check for pause toggle with 'p' key
-        if (inputState.keys['p'] && !this._lastPauseState) {
+        if (liveInput.keys['p'] && !this._lastPauseState) {
             this.pauseMenu.toggle();
         }
-        this._lastPauseState = inputState.keys['p'];
+        this._lastPauseState = liveInput.keys['p'];
+        
+        // Check for map toggle with 'm' key (only once the dungeon has a layout to show, and never during a replay)
+        const mapKey = liveInput.keys['m'] || liveInput.keys['M'];
+        if (mapKey && !this._lastMapKeyState && this.gameState === 'playing' && !this.inputRecorder.isPlaying()) {
+            this.dungeonMap.toggle();
+        }
+        this._lastMapKeyState = mapKey;
         
-        // Handle pause menu input if paused
+        // Handle pause menu input if paused (the map overlay takes the input while it's open over the menu)
         if (this.pauseMenu.isPaused) {
+            if (this.dungeonMap.isOpen) {
+                this.dungeonMap.handleInput(this.inputHandler);
+                return;
+            }
             this.pauseMenu.handleInput(this.inputHandler);
             this.pauseMenu.update(deltaTime);
             return; // Skip the rest of the update when paused
         }
         
+        // The full-screen map pauses the simulation while it's open
+        if (this.dungeonMap.isOpen) {
+            this.dungeonMap.handleInput(this.inputHandler);
+            return;
+        }
+        
+        // So does the upgrade terminal
+        if (this.upgradeTerminal.isOpen) {
+            this.upgradeTerminal.handleInput(this.inputHandler);
+            return;
+        }
+        
+        // And the run history
+        if (this.runHistoryView.isOpen) {
+            this.runHistoryView.handleInput(this.inputHandler);
+            return;
+        }
+        
+        // Replay controls: hold playback and step through it one tick at a time
+        if (this.inputRecorder.isPlaying() && !this.handleReplayControls()) {
+            return;
+        }
+        
+        // Get this tick's input - recorded frames during a replay, live input otherwise
+        const inputState = this.getSimulationInput(liveInput);
+        if (!inputState) {
+            return; // Replay just finished
+        }
+        
+        // Advance simulation time and fire any gameplay timers that are due
+        this.simulationTime += deltaTime;
+        this.updateScheduledEvents(deltaTime);
+        
         // Handle keyboard input for room interactions (portals, etc.)
-        this.handleKeyboardInput();
+        this.handleKeyboardInput(inputState.keys);
         
         // Check for debug mode toggle
-        if (inputState.F3 && !this._lastF3State) {
+        if (liveInput.F3 && !this._lastF3State) {
             this.debugMode = !this.debugMode;
             console.log(`Debug mode ${this.debugMode ? 'enabled' : 'disabled'}`);
         }
-        this._lastF3State = inputState.F3;
+        this._lastF3State = liveInput.F3;
         
-        // Update player using physics system first
-        this.player.update(deltaTime, inputState, this.effects);
+        // Update player using physics system first (homing projectiles need the room's enemies)
+        const roomEnemies = this.gameState === 'playing' ? this.currentRoom.enemies : [];
+        this.player.update(deltaTime, inputState, this.effects, roomEnemies);
+        
+        // Let enemies hear this step's gunshots and dashes (the starting room has nobody listening)
+        if (typeof this.currentRoom.emitNoise === 'function') {
+            for (const noise of this.player.noiseEvents) {
+                this.currentRoom.emitNoise(noise.x, noise.y, noise.radius);
+            }
+        }
+        this.player.noiseEvents.length = 0;
         
         // Use physics to move entities (if they don't handle their own movement)
         this.physics.move(this.player, deltaTime);
         
-        // Only update enemies in main game mode
-        if (this.gameState === 'playing') {
-            this.currentRoom.enemies.forEach(enemy => {
-                if (enemy.active && !enemy.dying) {
-                    // Update enemies AI first, passing the full player object
-                    enemy.update(deltaTime, this.player, this.effects);
-                    // Then let physics handle the actual movement
-                    this.physics.move(enemy, deltaTime);
-                }
-            });
-        }
-        
         // Update effects system
         this.effects.update(deltaTime);
         
@@ -433,9 +1259,9 @@ export default class Game {
         if (this.player.isDashing && !this._lastDashState) {
             // Player just started dashing, trigger zoom effect
             this.camera.zoomTo(1.1); // Zoom out slightly during dash
-            setTimeout(() => {
+            this.scheduleEvent(this.player.dashDuration, () => {
                 this.camera.zoomTo(1.0); // Return to normal zoom
-            }, this.player.dashDuration);
+            });
         }
         // Store dash state for next frame
         this._lastDashState = this.player.isDashing;
@@ -452,9 +1278,32 @@ export default class Game {
                 // Update room with player, projectiles, and effects manager
                 this.currentRoom.update(deltaTime, this.player, this.player.projectiles, this.effects);
                 
+                // Time in the dungeon for the run history (the starting room doesn't count)
+                this.player.stats.timeSpentInRooms += deltaTime;
+                
+                // Count kills for the meta-progression reward and run history
+                for (const enemy of this.currentRoom.enemies) {
+                    if (enemy.dying && !enemy.killCounted) {
+                        enemy.killCounted = true;
+                        this.kills++;
+                        this.player.stats.totalKills++;
+                        
+                        // Elites are worth bonus points
+                        if (enemy.elite) {
+                            this.score += enemy.elite.bonusScore;
+                        }
+                    }
+                }
+                
+                // Check if the boss has just been defeated
+                const boss = this.currentRoom.enemies.find(enemy => enemy.type === 'boss');
+                if (boss && boss.dying && !this.bossDefeated) {
+                    this.handleBossDefeated(boss);
+                }
+                
                 // Check if player has cleared the room (defeated all enemies)
                 const activeEnemies = this.currentRoom.enemies.filter(enemy => enemy.active && !enemy.dying);
-                if (activeEnemies.length === 0 && !this.currentRoom.doorsOpen) {
+                if (activeEnemies.length === 0 && !this.currentRoom.doorsOpen && !this.currentRoom.encounter.hasPendingWaves()) {
                     this.currentRoom.openDoors(this.lastEntryDoorIndex); // Pass the entry door index
                     // Add camera effects for door opening
                     this.camera.shake(5, 300);
@@ -464,6 +1313,14 @@ export default class Game {
                     const roomClearBonus = 500 + (this.roomsCleared * 100); // Base 500 + 100 per room previously cleared
                     this.score += roomClearBonus;
                     console.log(`Room cleared! Bonus: ${roomClearBonus}, Total score: ${this.score}`);
+                    this.clearedRooms.add(this.currentRoomId);
+                    
+                    // Relics that pay out on a clear, then maybe a new relic
+                    this.player.relics.trigger('onRoomClear', this.currentRoom, this.effects);
+                    this.dropRelic(!!boss);
+                    
+                    // Autosave with the room cleared
+                    this.saveRun();
                 }
                 
                 // Check for room transitions in main game
@@ -540,6 +1397,44 @@ export default class Game {
         this.processPlayerEnemyCollisions();
     }
     
+    /**
+     * Store the state of the room the player is in, for when they come back to it
+     */
+    storeRoomState() {
+        if (!this.currentRoom || this.currentRoomId === undefined || this.currentRoomId === null) return;
+        
+        this.roomStates[this.currentRoomId] = this.currentRoom.getSaveState();
+    }
+    
+    /**
+     * Build the Room for a dungeon room. A room the player has already been in is rebuilt from its
+     * stored state, so its defeated enemies, taken items, opened doors and destroyed obstacles stay that way.
+     * @param {number} roomId - Dungeon room id
+     * @param {ProceduralGenerator} roomGenerator - The room's seeded generator
+     * @returns {Room} The room
+     */
+    createDungeonRoom(roomId, roomGenerator) {
+        const roomData = this.dungeon.rooms[roomId];
+        const roomState = this.roomStates[roomId];
+        
+        const room = new Room(this.width, this.height, {
+            obstacles: roomData.obstacles,
+            template: roomData.template,
+            enemies: roomState ? roomState.enemies : roomData.enemies,
+            waves: roomState ? roomState.waves : roomData.waves,
+            waveNumber: roomState ? roomState.waveNumber : 1,
+            items: roomState ? roomState.items : roomData.items,
+            difficulty: roomData.difficulty || this.getCurrentDifficulty(),
+            procGen: roomGenerator
+        });
+        
+        if (roomState) {
+            room.applySaveState(roomState);
+            console.log(`Restored room ${roomId}: ${roomState.enemies.length} enemies left`);
+        }
+        return room;
+    }
+    
     /**
      * Create a new room for the player to transition to
      * @param {number} doorIndex - The index of the door the player entered through
@@ -564,19 +1459,25 @@ export default class Game {
             const nextRoomId = connections[doorIndex];
             console.log(`Found connected room ${nextRoomId} in direction ${doorIndex} from room ${this.currentRoomId}`);
             
+            // Remember the room being left, so coming back finds it the way it was
+            this.storeRoomState();
+            
             // Update current room ID
             this.currentRoomId = nextRoomId;
             
             // Get the room data from the dungeon
             const roomData = this.dungeon.rooms[nextRoomId];
             
+            // Each dungeon room draws from its own seeded stream, independent of visit order
+            const roomGenerator = this.generator.createRoomGenerator(nextRoomId);
+            
             // Check if we need to add a guaranteed item
             if (!roomData.items || roomData.items.length === 0) {
                 console.log("No items in connected room, adding a guaranteed item");
                 
                 // Generate items with player stats for balanced distribution
                 roomData.items = [];
-                this.generator.generateItems(roomData, roomData.difficulty || this.getCurrentDifficulty(), {
+                roomGenerator.generateItems(roomData, roomData.difficulty || this.getCurrentDifficulty(), {
                     health: this.player.health,
                     maxHealth: this.player.maxHealth,
                     ammo: this.player.ammo,
@@ -595,14 +1496,8 @@ export default class Game {
                 this.visitedRooms.add(nextRoomId);
             }
             
-            // Create a new Room instance with the connected room data
-            this.currentRoom = new Room(this.width, this.height, {
-                obstacles: roomData.obstacles,
-                template: roomData.template,
-                enemies: roomData.enemies,
-                items: roomData.items,
-                difficulty: roomData.difficulty || this.getCurrentDifficulty()
-            });
+            // Create a Room instance for the connected room, as it was left if it's been visited before
+            this.currentRoom = this.createDungeonRoom(nextRoomId, roomGenerator);
             
             // Regular room transition effects
             this.camera.pulseZoom(0.2, 500);
@@ -631,6 +1526,9 @@ export default class Game {
             this.collisionGrid = this.buildCollisionGrid();
             
             console.log(`Transitioned to connected room ${nextRoomId}`);
+            
+            // Autosave on entering a room so closing the tab loses as little progress as possible
+            this.saveRun();
         } else {
             // Fallback to legacy random room generation if no connected room exists
             console.warn(`No connected room found in direction ${doorIndex}, falling back to random generation`);
@@ -698,8 +1596,10 @@ export default class Game {
                 obstacles: roomData.obstacles,
                 template: roomData.template,
                 enemies: roomData.enemies,
+                waves: roomData.waves,
                 items: roomData.items,
-                difficulty: difficulty
+                difficulty: difficulty,
+                procGen: this.generator
             });
             
             // Add a camera transition effect
@@ -746,22 +1646,13 @@ export default class Game {
         // Base difficulty from rooms cleared
         const roomProgress = Math.floor(this.roomsCleared / 3) + 1;
         
-        // Track additional stats for the player if they don't exist yet
-        if (!this.player.stats) {
-            this.player.stats = {
-                totalKills: 0,
-                timeSpentInRooms: 0,
-                deathCount: 0,
-                damageTaken: 0
-            };
-        }
-        
         // Calculate additional difficulty modifiers
         let difficultyModifiers = 0;
         
         // Calculate time-based difficulty scaling (late game difficulty)
         // Every 5 minutes adds 1 to difficulty
-        const playTimeMinutes = ((Date.now() - (this.gameStartTime || Date.now())) / 60000);
+        // Uses simulation time so difficulty is reproducible in replays and ignores time spent paused
+        const playTimeMinutes = this.simulationTime / 60000;
         const timeModifier = Math.floor(playTimeMinutes / 5);
         
         // Calculate performance-based scaling
@@ -824,7 +1715,14 @@ export default class Game {
         console.log(`Setting lastEntryDoorIndex to ${this.lastEntryDoorIndex}`);
     }
     
-    render() {
+    /**
+     * Render the current frame
+     * @param {number} alpha - Interpolation factor (0-1) between the previous and current simulation step
+     */
+    render(alpha = 1) {
+        // Draw entities between their last two simulation positions for smooth motion at any refresh rate
+        const interpolated = this.applyRenderInterpolation(alpha);
+        
         // Start rendering with camera transformation
         this.renderer.beginRender();
         
@@ -857,8 +1755,24 @@ export default class Game {
             
             // Render pause menu on top of everything if paused
             this.pauseMenu.render(this.renderer.ctx);
+            
+            // Render the full-screen map over the pause menu when it's opened from there
+            this.dungeonMap.render(this.renderer.ctx);
+            
+            // Render the upgrade terminal and run history overlays
+            this.upgradeTerminal.render(this.renderer.ctx);
+            this.runHistoryView.render(this.renderer.ctx);
+            
+            // Render death screen once the death animation has finished
+            if (this.gameState === 'gameOver') {
+                this.renderDeathScreen();
+            } else if (this.gameState === 'victory') {
+                this.renderVictoryScreen();
+            }
         } catch (error) {
             console.error("Error during rendering:", error);
+        } finally {
+            this.restoreRenderInterpolation(interpolated);
         }
     }
     
@@ -890,6 +1804,124 @@ export default class Game {
         ctx.restore();
     }
     
+    /**
+     * Render the death screen with the run summary and seed
+     */
+    renderDeathScreen() {
+        const ctx = this.renderer.ctx;
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        
+        ctx.save();
+        
+        // Dark overlay over the frozen scene
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, width, height);
+        
+        ctx.textAlign = 'center';
+        
+        // Title with neon glow
+        ctx.font = 'bold 48px "Courier New", monospace';
+        ctx.fillStyle = '#FF3366';
+        ctx.shadowColor = '#FF3366';
+        ctx.shadowBlur = 15;
+        ctx.fillText('SIGNAL LOST', width / 2, height / 5);
+        ctx.shadowBlur = 0;
+        
+        // Run summary
+        ctx.font = '20px "Courier New", monospace';
+        ctx.fillStyle = '#FF00FF';
+        ctx.fillText(`Score: ${this.score.toLocaleString()}`, width / 2, height / 5 + 50);
+        ctx.font = '16px "Courier New", monospace';
+        ctx.fillStyle = '#00FFFF';
+        ctx.fillText(
+            `Rooms: ${this.roomsCleared}   Kills: ${this.kills}   Time: ${RunHistory.formatTime(this.simulationTime)}`,
+            width / 2, height / 5 + 80
+        );
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`Seed: ${this.seed}`, width / 2, height / 5 + 105);
+        if (this.lastRunReward !== null) {
+            ctx.fillStyle = '#00FFFF';
+            ctx.fillText(`+${this.lastRunReward} shards`, width / 2, height / 5 + 130);
+        }
+        
+        // Leaderboard, with this run highlighted if it placed
+        const rank = this.lastRunRecord ? this.lastRunRecord.rank : null;
+        ctx.font = 'bold 16px "Courier New", monospace';
+        ctx.fillStyle = '#FFFF00';
+        ctx.fillText(rank ? `NEW HIGH SCORE - RANK #${rank}` : 'HIGH SCORES', width / 2, height / 2 + 40);
+        this.runHistoryView.renderTable(ctx, this.runHistory.getTopRuns(5), width / 2, height / 2 + 68, {
+            rowHeight: 22,
+            highlightId: this.lastRunRecord ? this.lastRunRecord.id : null
+        });
+        
+        // Restart hint
+        ctx.font = '16px "Courier New", monospace';
+        ctx.fillStyle = '#33FF77';
+        ctx.fillText('Press ENTER to restart', width / 2, height - 40);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the victory screen with the run summary once the boss is defeated
+     */
+    renderVictoryScreen() {
+        const ctx = this.renderer.ctx;
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        
+        // Run time from simulation time, so pauses don't count
+        const totalSeconds = Math.floor(this.simulationTime / 1000);
+        const runTime = `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+        
+        ctx.save();
+        
+        // Dark overlay over the frozen scene
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, width, height);
+        
+        ctx.textAlign = 'center';
+        
+        // Title with neon glow
+        ctx.font = 'bold 48px "Courier New", monospace';
+        ctx.fillStyle = '#33FF77';
+        ctx.shadowColor = '#33FF77';
+        ctx.shadowBlur = 15;
+        ctx.fillText('REQUIEM SILENCED', width / 2, height / 3);
+        ctx.shadowBlur = 0;
+        
+        if (this.lastRunRecord && this.lastRunRecord.rank) {
+            ctx.font = 'bold 16px "Courier New", monospace';
+            ctx.fillStyle = '#FFFF00';
+            ctx.fillText(`NEW HIGH SCORE - RANK #${this.lastRunRecord.rank}`, width / 2, height / 2 - 55);
+        }
+        
+        // Run summary
+        ctx.font = '20px "Courier New", monospace';
+        ctx.fillStyle = '#FF00FF';
+        ctx.fillText(`Score: ${this.score.toLocaleString()}`, width / 2, height / 2 - 20);
+        ctx.fillStyle = '#FFFF00';
+        ctx.fillText(`Floors: ${this.floor}/${this.floorsToWin}`, width / 2, height / 2 + 10);
+        ctx.fillStyle = '#00FFFF';
+        ctx.fillText(`Rooms: ${this.roomsCleared}`, width / 2, height / 2 + 40);
+        ctx.fillStyle = '#FFFF00';
+        ctx.fillText(`Time: ${runTime}`, width / 2, height / 2 + 70);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(`Seed: ${this.seed}`, width / 2, height / 2 + 100);
+        if (this.lastRunReward !== null) {
+            ctx.fillStyle = '#00FFFF';
+            ctx.fillText(`+${this.lastRunReward} shards`, width / 2, height / 2 + 130);
+        }
+        
+        // Restart hint
+        ctx.font = '16px "Courier New", monospace';
+        ctx.fillStyle = '#33FF77';
+        ctx.fillText('Press ENTER to start a new run', width / 2, height / 2 + 160);
+        
+        ctx.restore();
+    }
+    
     renderUI() {
         // Get canvas dimensions for responsive UI
         const canvasWidth = this.renderer.ctx.canvas.width;
@@ -918,6 +1950,19 @@ export default class Game {
             'Courier New'
         );
         
+        // Display the wave counter next to the enemy count in rooms with more than one wave
+        const encounter = this.currentRoom.encounter;
+        if (encounter && encounter.totalWaves > 1) {
+            this.renderer.drawScreenText(
+                `Wave ${encounter.waveNumber}/${encounter.totalWaves}`, 
+                padding + leftUIOffsetX + 130 * uiScale, 
+                padding * 3 + leftUIOffsetY, 
+                this.accessibilitySettings.highContrast ? '#FFFFFF' : '#FFAA00', 
+                `${16 * uiScale}px`, 
+                'Courier New'
+            );
+        }
+        
         // Display player health
         const healthPercent = Math.min(1, this.player.health / this.player.maxHealth);
         const healthColor = this.accessibilitySettings.highContrast 
@@ -1002,6 +2047,12 @@ export default class Game {
         // Render dash cooldown indicator
         this.renderDashCooldown(uiScale, padding, canvasWidth, leftUIOffsetX, leftUIOffsetY);
         
+        // Render the weapon slot below the dash cooldown
+        this.renderWeaponSlot(uiScale, padding, canvasWidth, leftUIOffsetX, leftUIOffsetY);
+        
+        // Buff icons with countdown rings below the weapon slot
+        this.renderStatusEffects(uiScale, padding, leftUIOffsetX, leftUIOffsetY);
+        
         // Render score counter in top right
         const scoreColor = this.accessibilitySettings.highContrast ? '#FFFFFF' : '#FF00FF'; // Magenta for neon aesthetic
         const scoreX = canvasWidth - padding - 150 * uiScale + rightUIOffsetX; // Position on right side with offset
@@ -1063,6 +2114,97 @@ export default class Game {
             `${16 * uiScale}px`, 
             'Courier New'
         );
+        
+        // Render floor counter below the room counter
+        this.renderer.drawScreenText(
+            `Floor: ${this.floor}/${this.floorsToWin}`,
+            scoreX,
+            padding * 9 + rightUIOffsetY,
+            this.accessibilitySettings.highContrast ? '#FFFFFF' : '#FFFF00',
+            `${16 * uiScale}px`,
+            'Courier New'
+        );
+        
+        // Render run seed below the floor counter so runs can be shared
+        this.renderer.drawScreenText(
+            `Seed: ${this.seed}`,
+            scoreX,
+            padding * 11 + rightUIOffsetY,
+            this.accessibilitySettings.highContrast ? '#FFFFFF' : '#888888',
+            `${12 * uiScale}px`,
+            'Courier New'
+        );
+        
+        // Boss health bar while the boss is alive
+        const boss = this.currentRoom.enemies.find(enemy => enemy.type === 'boss' && enemy.active && !enemy.dying);
+        if (boss) {
+            this.renderBossHealthBar(boss, uiScale, canvasWidth);
+        }
+        
+        // Minimap in the bottom-right corner
+        const minimapSize = 130 * uiScale;
+        this.dungeonMap.renderMinimap(
+            this.renderer.ctx,
+            canvasWidth - minimapSize - padding * 2,
+            canvasHeight - minimapSize - padding * 2,
+            minimapSize
+        );
+        
+        // Replay indicator with playback position
+        if (this.inputRecorder.isPlaying()) {
+            const playback = this.inputRecorder.playback;
+            const status = this.replayHold ? 'HOLD (. to step)' : 'PLAYING (SPACE to hold)';
+            this.renderer.drawScreenText(
+                `REPLAY ${playback.tick}/${playback.recording.ticks} - ${status}`,
+                padding + leftUIOffsetX,
+                canvasHeight - padding * 2,
+                this.accessibilitySettings.highContrast ? '#FFFFFF' : '#FF3366',
+                `${14 * uiScale}px`,
+                'Courier New'
+            );
+        }
+    }
+    
+    /**
+     * Render the boss health bar at the top center of the screen, with markers at the phase thresholds
+     * @param {Enemy} boss - The boss enemy
+     * @param {number} uiScale - UI scale factor
+     * @param {number} canvasWidth - Canvas width in pixels
+     */
+    renderBossHealthBar(boss, uiScale, canvasWidth) {
+        const ctx = this.renderer.ctx;
+        const highContrast = this.accessibilitySettings.highContrast;
+        const barWidth = canvasWidth * 0.4;
+        const barHeight = Math.max(8, 8 * uiScale);
+        const barX = (canvasWidth - barWidth) / 2;
+        const barY = 34 * uiScale;
+        const healthPercent = Math.max(0, boss.health / boss.maxHealth);
+        
+        // Boss name and current phase
+        this.renderer.drawScreenText(
+            `${boss.bossData.name} - PHASE ${boss.bossData.phase}`,
+            barX,
+            barY - 6 * uiScale,
+            highContrast ? '#FFFFFF' : boss.color,
+            `${14 * uiScale}px`,
+            'Courier New'
+        );
+        
+        // Background and fill
+        this.renderer.drawScreenRect(barX, barY, barWidth, barHeight, highContrast ? '#000000' : '#333333');
+        
+        ctx.save();
+        if (!highContrast) {
+            ctx.shadowColor = boss.color;
+            ctx.shadowBlur = 8;
+        }
+        this.renderer.drawScreenRect(barX, barY, barWidth * healthPercent, barHeight, highContrast ? '#FFFFFF' : boss.color);
+        ctx.restore();
+        
+        // Phase threshold markers
+        for (const threshold of BOSS_PHASE_THRESHOLDS) {
+            this.renderer.drawScreenRect(barX + barWidth * threshold - 1, barY, 2, barHeight, '#FFFFFF');
+        }
     }
     
     getHealthColor(healthPercent) {
@@ -1098,6 +2240,108 @@ export default class Game {
         return `rgb(${r}, ${g}, ${b})`;
     }
     
+    /**
+     * Render the equipped weapon's name, and its charge bar for charged weapons
+     * @param {number} uiScale - UI scale factor
+     * @param {number} padding - Base UI padding
+     * @param {number} canvasWidth - Canvas width in pixels
+     * @param {number} leftUIOffsetX - Left column X offset
+     * @param {number} leftUIOffsetY - Left column Y offset
+     */
+    renderWeaponSlot(uiScale, padding, canvasWidth, leftUIOffsetX, leftUIOffsetY) {
+        const weapon = this.player.weapon;
+        const highContrast = this.accessibilitySettings.highContrast;
+        
+        this.renderer.drawScreenText(
+            `Weapon: ${weapon.symbol} ${weapon.name}`,
+            padding + leftUIOffsetX,
+            padding * 12 + leftUIOffsetY - 5,
+            highContrast ? '#FFFFFF' : weapon.color,
+            `${16 * uiScale}px`,
+            'Courier New'
+        );
+        
+        // Charge bar while a charged weapon's trigger is held
+        const chargeLevel = this.player.getChargeLevel();
+        if (weapon.chargeTime && chargeLevel > 0) {
+            const barWidth = canvasWidth * 0.15;
+            const barHeight = Math.max(4, 4 * uiScale);
+            const barX = padding + leftUIOffsetX;
+            const barY = padding * 13 + leftUIOffsetY;
+            
+            this.renderer.drawScreenRect(barX, barY, barWidth, barHeight, highContrast ? '#000000' : '#333333');
+            this.renderer.drawScreenRect(
+                barX,
+                barY,
+                barWidth * chargeLevel,
+                barHeight,
+                chargeLevel >= 1 ? '#FFFFFF' : (highContrast ? '#FFFFFF' : weapon.color)
+            );
+        }
+    }
+    
+    /**
+     * Draw an icon for each status effect on the player, ringed by a countdown that runs down as it wears off
+     */
+    renderStatusEffects(uiScale, padding, leftUIOffsetX, leftUIOffsetY) {
+        const ctx = this.renderer.ctx;
+        const highContrast = this.accessibilitySettings.highContrast;
+        const radius = 12 * uiScale;
+        const spacing = radius * 2 + 8 * uiScale;
+        const startX = padding + leftUIOffsetX + radius;
+        const y = padding * 15 + leftUIOffsetY;
+        
+        this.player.statusEffects.getActive().forEach((effect, index) => {
+            const definition = effect.definition;
+            const x = startX + index * spacing;
+            const color = highContrast ? '#FFFFFF' : definition.color;
+            const remainingFraction = Math.max(0, Math.min(1, effect.remaining / effect.duration));
+            
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            
+            // Dark backing disc
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            
+            // Empty track, then the time left running clockwise from the top
+            ctx.lineWidth = Math.max(2, 3 * uiScale);
+            ctx.strokeStyle = highContrast ? '#555555' : '#333333';
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            
+            ctx.strokeStyle = color;
+            if (!highContrast) {
+                ctx.shadowColor = color;
+                ctx.shadowBlur = 6;
+            }
+            ctx.beginPath();
+            ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + remainingFraction * Math.PI * 2);
+            ctx.stroke();
+            
+            // Blink the symbol for the last few seconds
+            const expiring = effect.remaining < 3000 && Math.floor(Date.now() / 200) % 2 === 0;
+            ctx.shadowBlur = 0;
+            ctx.fillStyle = expiring ? '#FFFFFF' : color;
+            ctx.font = `${14 * uiScale}px Courier New`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(definition.symbol, x, y);
+            
+            // Stack count in the corner
+            if (effect.stacks > 1) {
+                ctx.font = `${10 * uiScale}px Courier New`;
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(`${effect.stacks}`, x + radius * 0.8, y + radius * 0.8);
+            }
+            
+            ctx.restore();
+        });
+    }
+    
     renderDashCooldown(uiScale, padding, canvasWidth, leftUIOffsetX, leftUIOffsetY) {
         const dashCooldownPercent = this.player.dashCooldownTimer / this.player.dashCooldown;
         const dashAvailable = dashCooldownPercent <= 0;
@@ -1551,13 +2795,14 @@ export default class Game {
                 // If player is dashing and has not dealt dash damage to this enemy
                 if (this.player.isDashing && !this.player.hasDealtDashDamage.has(enemy.id)) {
                     // Player damages enemy when dashing
-                    enemy.takeDamage(this.player.dashDamage, this.effects);
+                    Elements.hit(enemy, this.player.dashDamage, this.player.dashDamageType, this.currentRoom, this.effects, this.player);
                     this.player.hasDealtDashDamage.add(enemy.id);
                 } else if (!this.player.isDashing) {
                     // Enemy damages player when not dashing
-                    if (this.player.takeDamage(10)) { // Apply 10 damage to player
+                    if (this.player.takeDamage(enemy.contactDamage || 10)) { // Charging bosses hit harder
                         // Camera shake effect when player takes damage
                         this.camera.shake(10, 150); // intensity, duration
+                        enemy.onHitPlayer(enemy.contactDamage || 10, this.effects);
                     }
                     
                     // Simple knockback effect
@@ -1611,6 +2856,9 @@ export default class Game {
                 for (const enemy of relevantEnemies) {
                     if (!enemy.active || enemy.dying) continue;
                     
+                    // Piercing projectiles only hit each enemy once
+                    if (projectile.piercing && projectile.hitEnemies.has(enemy)) continue;
+                    
                     // Simple circle-based collision detection
                     const dx = projectile.x - enemy.x;
                     const dy = projectile.y - enemy.y;
@@ -1618,11 +2866,15 @@ export default class Game {
                     
                     if (distance < projectile.radius + enemy.width / 2) {
                         // Hit detected
-                        projectile.active = false;
-                        enemy.takeDamage(projectile.damage, this.effects);
+                        if (projectile.piercing) {
+                            projectile.hitEnemies.add(enemy);
+                        } else {
+                            projectile.active = false;
+                        }
+                        Elements.hit(enemy, projectile.damage, projectile.damageType, this.currentRoom, this.effects, this.player);
                         
                         // Determine if it's a critical hit (can be based on game mechanics)
-                        const isCritical = Math.random() < 0.2; // 20% chance of critical
+                        const isCritical = this.combatRandom() < 0.2; // 20% chance of critical
                         
                         // Create particle effect for projectile hit
                         this.effects.createEnemyHitEffect(
@@ -1633,7 +2885,9 @@ export default class Game {
                         );
                         
                         console.log(`Hit ${enemy.type} enemy, health: ${enemy.health}`);
-                        break; // A projectile can only hit one enemy
+                        if (!projectile.piercing) {
+                            break; // A regular projectile can only hit one enemy
+                        }
                     }
                 }
             }
@@ -1684,7 +2938,7 @@ export default class Game {
             
             if (distance < (playerDashHitboxSize / 2) + (enemy.width / 2)) {
                 // Dash collision detected!
-                enemy.takeDamage(this.player.dashDamage, this.effects);
+                Elements.hit(enemy, this.player.dashDamage, this.player.dashDamageType, this.currentRoom, this.effects, this.player);
                 
                 // Apply knockback in the direction the player is dashing
                 // The knockback direction is the same as the dash direction
@@ -1741,10 +2995,11 @@ export default class Game {
             obstacles: roomData.obstacles,
             template: roomData.template,
             enemies: roomData.enemies,
+            waves: roomData.waves,
             items: roomData.items,
             difficulty: roomData.difficulty || 1,
             physics: this.physics,
-            procGen: this.generator
+            procGen: this.generator.createRoomGenerator(this.mainGameStartData.roomId)
         });
         
         // Set current room ID
@@ -1769,9 +3024,9 @@ export default class Game {
         
         // Update camera immediately
         this.camera.jumpTo(this.player.x, this.player.y);
-        setTimeout(() => {
+        this.scheduleEvent(300, () => {
             this.camera.zoomTo(1.0, 800); // Return to normal zoom with duration
-        }, 300);
+        });
         
         // Start playing a random background track
         this.audioManager.playRandomBackground();
@@ -1791,20 +3046,39 @@ export default class Game {
         
         // Reset core game properties similar to the constructor
         this.score = 0;
+        this.roomsCleared = 0;
         this.waveCounter = 0;
         this.lastTimestamp = performance.now();
         this.gameStartTime = Date.now();
+        this.accumulator = 0;
+        this.simulationTime = 0;
+        this.scheduledEvents = [];
+        this.doorTransitionCooldown = 0;
+        this._lastDashState = false;
+        
+        // A restart always goes back to live input
+        this.inputRecorder.stopPlayback();
+        this.replayHold = false;
+        
+        // Don't carry open overlays into the new run
+        this.dungeonMap.close();
+        this.upgradeTerminal.close();
+        this.runHistoryView.close();
         
         // Initialize the effects manager first
         this.effects = new EffectsManager(300); // Allow up to 300 particles
         
-        // Create the player in the center of the screen
-        this.player = new Player(this.width / 2, this.height / 2);
+        // Create the player at the same spot as a fresh game so replays start from an identical state
+        this.player = new Player(this.width / 2, this.height / 2 - 20);
         this.player.effects = this.effects;
         this.player.visible = false; // Initially set player to invisible until materialization completes
         
+        // Regenerate the dungeon - a seed from the URL or the seed prompt replays the same run
+        this.generateRun(this.seedLocked ? this.seed : null);
+        
         // Important: pass 'this' to StartingRoom constructor instead of dimensions
-        this.currentRoom = new StartingRoom(this);
+        this.startingRoom = new StartingRoom(this);
+        this.currentRoom = this.startingRoom;
         
         // Reset camera completely
         this.camera.reset();
@@ -1827,27 +3101,23 @@ export default class Game {
         this.camera.shake(25, 400); // Increased intensity and duration
         this.camera.zoomTo(0.7, 300); // Zoom out
         
-        // After initial shake, do a smooth zoom transition sequence
-        setTimeout(() => {
+        // After initial shake, do a smooth zoom transition sequence (on simulation time, so pausing holds it)
+        this.scheduleEvent(300, () => {
             this.camera.shake(15, 250); // Additional shake during zoom in
             this.camera.zoomTo(1.2, 400); // Overshoot zoom in
-            
-            setTimeout(() => {
-                this.camera.shake(10, 200); // More shake during pullback
-                this.camera.zoomTo(0.9, 250); // Quick pull back
-                
-                setTimeout(() => {
-                    this.camera.shake(5, 150); // Subtle shake during final settle
-                    this.camera.zoomTo(1.0, 350); // Settle to normal
-                    
-                    // Add a subtle final shake for emphasis
-                    setTimeout(() => {
-                        this.camera.shake(8, 300);
-                    }, 350);
-                    
-                }, 250);
-            }, 400);
-        }, 300);
+        });
+        this.scheduleEvent(700, () => {
+            this.camera.shake(10, 200); // More shake during pullback
+            this.camera.zoomTo(0.9, 250); // Quick pull back
+        });
+        this.scheduleEvent(950, () => {
+            this.camera.shake(5, 150); // Subtle shake during final settle
+            this.camera.zoomTo(1.0, 350); // Settle to normal
+        });
+        this.scheduleEvent(1300, () => {
+            // Add a subtle final shake for emphasis
+            this.camera.shake(8, 300);
+        });
         
         // Reset input state (don't use resetState as it doesn't exist)
         if (this.inputHandler) {
@@ -1862,8 +3132,8 @@ export default class Game {
         this.particles = [];
         this.powerUps = [];
         
-        // Set game state back to 'playing'
-        this.gameState = 'playing';
+        // Back in the starting room until the player walks through the start door
+        this.gameState = 'starting';
         
         // Restart the game loop
         this.running = true;
@@ -1873,13 +3143,14 @@ export default class Game {
     
     /**
      * Handle special keyboard inputs for the game
+     * @param {Object} keys - Key states for this tick (live or from a replay)
      */
-    handleKeyboardInput() {
+    handleKeyboardInput(keys = this.inputHandler.keys) {
         // Handle P key for test projectiles or other debug features
-        if (this.inputHandler.keys['p'] || this.inputHandler.keys['P']) {
+        if (keys['p'] || keys['P']) {
             // Reset key state to prevent continuous firing
-            this.inputHandler.keys['p'] = false;
-            this.inputHandler.keys['P'] = false;
+            keys['p'] = false;
+            keys['P'] = false;
             
             // Call room's key handler with player parameter
             if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
@@ -1889,16 +3160,59 @@ export default class Game {
         }
         
         // Handle Enter key for portal interaction
-        if (this.inputHandler.keys['Enter']) {
+        if (keys['Enter']) {
             // Reset key state to prevent continuous firing
-            this.inputHandler.keys['Enter'] = false;
+            keys['Enter'] = false;
             
-            // Call room's key handler with player parameter
-            if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
+            // Descent portal takes the player to the next floor
+            if (this.gameState === 'playing' && this.currentRoom.descentPortal && this.currentRoom.descentPortal.interactable) {
+                this.descendToNextFloor();
+            } else if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
+                // Call room's key handler with player parameter
                 this.currentRoom.handleKeyDown({key: 'Enter'}, this.player);
                 console.log("DEBUG: Enter key pressed - checking portal interaction");
             }
         }
+        
+        // Handle N key for entering a run seed (starting room only, never during a replay)
+        if (!this.inputRecorder.isPlaying() && (this.inputHandler.keys['n'] || this.inputHandler.keys['N'])) {
+            this.inputHandler.keys['n'] = false;
+            this.inputHandler.keys['N'] = false;
+            
+            if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
+                this.currentRoom.handleKeyDown({key: 'N'}, this.player);
+            }
+        }
+        
+        // Handle C key for continuing a saved run (starting room only, never during a replay)
+        if (!this.inputRecorder.isPlaying() && (this.inputHandler.keys['c'] || this.inputHandler.keys['C'])) {
+            this.inputHandler.keys['c'] = false;
+            this.inputHandler.keys['C'] = false;
+            
+            if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
+                this.currentRoom.handleKeyDown({key: 'C'}, this.player);
+            }
+        }
+        
+        // Handle U key for the upgrade terminal (starting room only, never during a replay)
+        if (!this.inputRecorder.isPlaying() && (this.inputHandler.keys['u'] || this.inputHandler.keys['U'])) {
+            this.inputHandler.keys['u'] = false;
+            this.inputHandler.keys['U'] = false;
+            
+            if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
+                this.currentRoom.handleKeyDown({key: 'U'}, this.player);
+            }
+        }
+        
+        // Handle H key for the run history (starting room only, never during a replay)
+        if (!this.inputRecorder.isPlaying() && (this.inputHandler.keys['h'] || this.inputHandler.keys['H'])) {
+            this.inputHandler.keys['h'] = false;
+            this.inputHandler.keys['H'] = false;
+            
+            if (this.currentRoom && typeof this.currentRoom.handleKeyDown === 'function') {
+                this.currentRoom.handleKeyDown({key: 'H'}, this.player);
+            }
+        }
     }
     
     /**
@@ -1957,19 +3271,25 @@ export default class Game {
             const nextRoomId = connections[exitInfo.doorIndex];
             console.log(`Found connected room ${nextRoomId} in direction ${exitInfo.doorIndex} from room ${this.currentRoomId}`);
             
+            // Remember the room being left, so coming back finds it the way it was
+            this.storeRoomState();
+            
             // Update current room ID
             this.currentRoomId = nextRoomId;
             
             // Get the room data from the dungeon
             const roomData = this.dungeon.rooms[nextRoomId];
             
+            // Each dungeon room draws from its own seeded stream, independent of visit order
+            const roomGenerator = this.generator.createRoomGenerator(nextRoomId);
+            
             // Check if we need to add a guaranteed item
             if (!roomData.items || roomData.items.length === 0) {
                 console.log("No items in connected room, adding a guaranteed item");
                 
                 // Generate items with player stats for balanced distribution
                 roomData.items = [];
-                this.generator.generateItems(roomData, roomData.difficulty || this.getCurrentDifficulty(), playerStats);
+                roomGenerator.generateItems(roomData, roomData.difficulty || this.getCurrentDifficulty(), playerStats);
             }
             
             // Increment the rooms cleared counter
@@ -1983,14 +3303,8 @@ export default class Game {
                 this.visitedRooms.add(nextRoomId);
             }
             
-            // Create a new Room instance with the connected room data
-            this.currentRoom = new Room(this.width, this.height, {
-                obstacles: roomData.obstacles,
-                template: roomData.template,
-                enemies: roomData.enemies,
-                items: roomData.items,
-                difficulty: roomData.difficulty || this.getCurrentDifficulty()
-            });
+            // Create a Room instance for the connected room, as it was left if it's been visited before
+            this.currentRoom = this.createDungeonRoom(nextRoomId, roomGenerator);
             
             // Regular room transition effects
             this.camera.pulseZoom(0.2, 500);
@@ -2019,6 +3333,9 @@ export default class Game {
             this.collisionGrid = this.buildCollisionGrid();
             
             console.log(`Transitioned to connected room ${nextRoomId}`);
+            
+            // Autosave on entering a room so closing the tab loses as little progress as possible
+            this.saveRun();
         } else {
             // Fallback to legacy random room generation if no connected room exists
             console.warn(`No connected room found in direction ${exitInfo.doorIndex}, falling back to random generation`);
@@ -2081,8 +3398,10 @@ export default class Game {
                 obstacles: roomData.obstacles,
                 template: roomData.template,
                 enemies: roomData.enemies,
+                waves: roomData.waves,
                 items: roomData.items,
-                difficulty: difficulty
+                difficulty: difficulty,
+                procGen: this.generator
             });
             
             // Add a camera transition effect
@@ -2155,13 +3474,14 @@ export default class Game {
                 // If player is dashing and has not dealt dash damage to this enemy
                 if (this.player.isDashing && !this.player.hasDealtDashDamage.has(enemy.id)) {
                     // Player damages enemy when dashing
-                    enemy.takeDamage(this.player.dashDamage, this.effects);
+                    Elements.hit(enemy, this.player.dashDamage, this.player.dashDamageType, this.currentRoom, this.effects, this.player);
                     this.player.hasDealtDashDamage.add(enemy.id);
                 } else if (!this.player.isDashing) {
                     // Enemy damages player when not dashing
-                    if (this.player.takeDamage(10)) { // Apply 10 damage to player
+                    if (this.player.takeDamage(enemy.contactDamage || 10)) { // Charging bosses hit harder
                         // Camera shake effect when player takes damage
                         this.camera.shake(10, 150); // intensity, duration
+                        enemy.onHitPlayer(enemy.contactDamage || 10, this.effects);
                     }
                     
                     // Simple knockback effect
@@ -0,0 +1,204 @@
+// items.js - Item and pickup registry: looks, drop weights, pickup sounds and what each item does
+import { STACKING_RULES } from './statusEffects.js';
+
+// Every item type. Add an item by adding an entry here.
+//   weight      - Relative chance of rolling this item for a room or an elite's loot drop (0: never rolled)
+//   unlockable  - Only in the drop pool once unlocked through meta-progression (see MetaProgression.getUnlockedItems)
+//   color/radius/symbol - How the pickup is drawn; weapon pickups take their color and symbol from the weapon
+//   sound       - Pickup sound passed to AudioManager.playItemCollectSound
+//   status      - Timed items: the status effect started on the player (see STATUS_EFFECTS)
+//   duration    - How long a timed item's effect lasts in ms (simulation time), 0 for untimed items
+//   stacking    - What picking it up again does (see STACKING_RULES): timed items pass it on to their status
+//                 effect; untimed ones are instant or stack for the rest of the run
+//   apply       - Effect handler for untimed items: apply(player, item)
+export const ITEM_TYPES = {
+    health: {
+        name: 'Repair Kit',
+        weight: 5,
+        color: '#ff0000',
+        radius: 10,
+        symbol: '+',
+        sound: 'health',
+        duration: 0,
+        stacking: STACKING_RULES.INSTANT,
+        apply(player) {
+            // Restore full health
+            player.health = player.maxHealth;
+        }
+    },
+    speedBoost: {
+        name: 'Overdrive',
+        weight: 3,
+        color: '#00ffff',
+        radius: 8,
+        symbol: '⚡',
+        sound: 'speedBoost',
+        status: 'speedBoost', // 25% faster while it lasts
+        duration: 15000,
+        maxDuration: 30000,
+        stacking: STACKING_RULES.EXTEND
+    },
+    shield: {
+        name: 'Shield',
+        weight: 2,
+        color: '#ffff00',
+        radius: 12,
+        symbol: '◈',
+        sound: 'shield',
+        status: 'shield', // Invulnerable while it lasts
+        duration: 15000,
+        stacking: STACKING_RULES.REFRESH
+    },
+    ammo: {
+        name: 'Rapid Fire',
+        weight: 4,
+        color: '#00ff00',
+        radius: 8,
+        symbol: '≫',
+        sound: 'ammo',
+        status: 'fireRateBoost', // 50% faster fire rate while it lasts
+        duration: 15000,
+        maxDuration: 30000,
+        stacking: STACKING_RULES.EXTEND
+    },
+    weapon: {
+        name: 'Weapon',
+        weight: 0, // Placed by ProceduralGenerator.generateItems on its own weapon roll
+        color: '#ffffff',
+        radius: 12,
+        symbol: '★',
+        sound: 'default',
+        duration: 0,
+        stacking: STACKING_RULES.INSTANT,
+        apply(player, item) {
+            // Swap the weapon in the player's slot
+            player.equipWeapon(item.weapon);
+            if (typeof window.showNotification === 'function') {
+                window.showNotification(`${player.weapon.name} equipped`);
+            }
+        }
+    },
+    relic: {
+        name: 'Relic',
+        weight: 0, // Dropped by Game.dropRelic when a room is cleared
+        color: '#ff88ff',
+        radius: 12,
+        symbol: '✦',
+        sound: 'shield',
+        duration: 0,
+        stacking: STACKING_RULES.STACK,
+        apply(player, item) {
+            // Carried for the rest of the run (see RELIC_TYPES)
+            player.relics.add(item.relic);
+        }
+    },
+    dashReset: {
+        name: 'Flux Cell',
+        weight: 2,
+        unlockable: true,
+        color: '#88ffff',
+        radius: 9,
+        symbol: '»',
+        sound: 'speedBoost',
+        duration: 0,
+        stacking: STACKING_RULES.INSTANT,
+        apply(player) {
+            // Reset the dash cooldown immediately
+            player.dashCooldownTimer = 0;
+        }
+    },
+    vitality: {
+        name: 'Vitality Core',
+        weight: 2,
+        unlockable: true,
+        color: '#ff66aa',
+        radius: 10,
+        symbol: '♥',
+        sound: 'health',
+        duration: 0,
+        stacking: STACKING_RULES.STACK,
+        apply(player) {
+            // Raise max health for the rest of the run and heal by the same amount
+            player.maxHealth += 10;
+            player.health = Math.min(player.maxHealth, player.health + 10);
+        }
+    }
+};
+
+// Item types in the order the item pool upgrade unlocks them
+export const UNLOCKABLE_ITEMS = Object.keys(ITEM_TYPES).filter(type => ITEM_TYPES[type].unlockable);
+
+/**
+ * Look up an item type
+ * @param {string} type - Item type key
+ * @returns {Object|null} Item definition with its type, or null for an unknown type
+ */
+export function getItemType(type) {
+    const itemType = ITEM_TYPES[type];
+    return itemType ? { ...itemType, type } : null;
+}
+
+/**
+ * Roll an item type for a room or a loot drop, weighted by rarity
+ * @param {Function} random - Random source (0 to 1); rooms pass their seeded generator
+ * @param {Array} unlocked - Unlockable item types the run has unlocked
+ * @returns {string} Item type key
+ */
+export function pickItemType(random, unlocked = []) {
+    const weights = Object.entries(ITEM_TYPES)
+        .filter(([type, itemType]) => !itemType.unlockable || unlocked.includes(type))
+        .map(([type, itemType]) => [type, itemType.weight]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    
+    let roll = random() * total;
+    for (const [type, weight] of weights) {
+        if (weight <= 0) continue;
+        roll -= weight;
+        if (roll < 0) return type;
+    }
+    return 'health';
+}
+
+/**
+ * Create the data for an item lying in a room
+ * @param {string} type - Item type key
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {Object} overrides - Extra fields, e.g. the weapon and its color for weapon pickups
+ * @returns {Object} Item data, as stored in room data and saves
+ */
+export function createItem(type, x, y, overrides = {}) {
+    const itemType = getItemType(type) || getItemType('health');
+    
+    return {
+        x,
+        y,
+        type: itemType.type,
+        color: itemType.color,
+        radius: itemType.radius,
+        symbol: itemType.symbol,
+        ...overrides
+    };
+}
+
+/**
+ * Apply an item's effect to the player. Timed items start (or stack) their status effect.
+ * @param {Object} player - The player picking it up
+ * @param {Object} item - The item being picked up
+ * @returns {boolean} True if the item had an effect
+ */
+export function applyItem(player, item) {
+    const itemType = getItemType(item.type);
+    if (!itemType) return false;
+    
+    if (itemType.status) {
+        player.statusEffects.apply(itemType.status, {
+            duration: itemType.duration,
+            stacking: itemType.stacking,
+            maxDuration: itemType.maxDuration
+        }, player.effects);
+    } else {
+        itemType.apply(player, item);
+    }
+    return true;
+}
@@ -0,0 +1,275 @@
+// metaProgression.js - Currency and permanent unlocks that carry over between runs, stored in localStorage
+import { WEAPON_TYPES, PICKUP_WEAPONS } from './weapons.js';
+import { BASE_MAX_HEALTH, BASE_DASH_COOLDOWN } from './player.js';
+import { UNLOCKABLE_ITEMS } from './items.js';
+
+// Bump when the stored layout changes and add a migration below, so older progress is upgraded instead of lost
+export const META_FORMAT_VERSION = 1;
+
+// Migrations from each older version to the next one: MIGRATIONS[n] turns version n data into version n + 1
+const MIGRATIONS = {};
+
+// Permanent upgrades bought at the starting room terminal. costs[n] is the price of level n + 1.
+export const UPGRADES = {
+    maxHealth: {
+        name: 'Reinforced Chassis',
+        description: '+20 max health per level',
+        costs: [50, 100, 175, 275, 400]
+    },
+    dashCooldown: {
+        name: 'Flux Capacitor',
+        description: '-10% dash cooldown per level',
+        costs: [60, 120, 200, 300]
+    },
+    startingWeapon: {
+        name: 'Armory Access',
+        description: 'Unlock a weapon to start runs with',
+        costs: PICKUP_WEAPONS.map((weapon, index) => 80 + index * 60)
+    },
+    itemPool: {
+        name: 'Supply Network',
+        description: 'Add new item types to the drop pool',
+        costs: [90, 180]
+    }
+};
+
+export class MetaProgression {
+    constructor(storageKey = 'neonRequiem.metaProgress') {
+        this.storageKey = storageKey;
+        this.readOnly = false; // Set when the stored data is from a newer version we mustn't overwrite
+        this.data = this.load();
+    }
+    
+    /**
+     * Fresh progress for a new player
+     * @returns {Object} Default progress data
+     */
+    static createDefaultData() {
+        return {
+            currency: 0,
+            lifetimeCurrency: 0,
+            runsCompleted: 0,
+            upgrades: {},
+            startingWeapon: 'blaster'
+        };
+    }
+    
+    /**
+     * Read progress from storage, migrating older versions and filling in anything missing
+     * @returns {Object} Progress data
+     */
+    load() {
+        try {
+            const raw = window.localStorage.getItem(this.storageKey);
+            if (!raw) return MetaProgression.createDefaultData();
+            
+            const payload = JSON.parse(raw);
+            let version = payload && payload.version;
+            let data = payload && payload.data;
+            
+            if (typeof version !== 'number' || !data) {
+                console.warn("Ignoring unreadable meta progress");
+                return MetaProgression.createDefaultData();
+            }
+            
+            // Progress from a newer build - use it but never write over it
+            if (version > META_FORMAT_VERSION) {
+                console.warn(`Meta progress is from a newer version (${version}), changes won't be saved`);
+                this.readOnly = true;
+            }
+            
+            while (version < META_FORMAT_VERSION) {
+                if (!MIGRATIONS[version]) {
+                    console.warn(`No migration from meta progress version ${version}, starting fresh`);
+                    return MetaProgression.createDefaultData();
+                }
+                data = MIGRATIONS[version](data);
+                version++;
+            }
+            
+            return MetaProgression.sanitize(data);
+        } catch (error) {
+            console.warn("Could not load meta progress:", error);
+            return MetaProgression.createDefaultData();
+        }
+    }
+    
+    /**
+     * Fill in missing fields and clamp values, so upgrades added or removed later can't break old data
+     * @param {Object} data - Stored progress data
+     * @returns {Object} Progress data safe to use
+     */
+    static sanitize(data) {
+        const clean = { ...MetaProgression.createDefaultData(), ...data };
+        clean.currency = Math.max(0, Math.floor(Number(clean.currency) || 0));
+        clean.lifetimeCurrency = Math.max(0, Math.floor(Number(clean.lifetimeCurrency) || 0));
+        clean.upgrades = { ...clean.upgrades };
+        
+        // Clamp known upgrades to their current max level; unknown ones are kept as-is
+        for (const [id, upgrade] of Object.entries(UPGRADES)) {
+            const level = Math.floor(Number(clean.upgrades[id]) || 0);
+            clean.upgrades[id] = Math.max(0, Math.min(upgrade.costs.length, level));
+        }
+        
+        if (!MetaProgression.getUnlockedWeapons(clean.upgrades.startingWeapon).includes(clean.startingWeapon)) {
+            clean.startingWeapon = 'blaster';
+        }
+        
+        return clean;
+    }
+    
+    /**
+     * Write progress to storage
+     * @returns {boolean} True if the save succeeded
+     */
+    save() {
+        if (this.readOnly) return false;
+        
+        try {
+            const payload = {
+                version: META_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                data: this.data
+            };
+            window.localStorage.setItem(this.storageKey, JSON.stringify(payload));
+            return true;
+        } catch (error) {
+            // Storage can be full or disabled (private browsing)
+            console.warn("Could not save meta progress:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Wipe all currency and unlocks
+     */
+    reset() {
+        this.data = MetaProgression.createDefaultData();
+        this.readOnly = false;
+        this.save();
+        console.log("Meta progress reset");
+    }
+    
+    /**
+     * Currency earned by a finished run
+     * @param {number} score - Final score
+     * @param {number} kills - Enemies killed
+     * @param {boolean} victory - Whether the run beat the final boss
+     * @returns {number} Currency to award
+     */
+    static calculateRunReward(score, kills, victory = false) {
+        return Math.floor(score / 200) + kills + (victory ? 50 : 0);
+    }
+    
+    /**
+     * Bank the currency for a finished run
+     * @param {number} score - Final score
+     * @param {number} kills - Enemies killed
+     * @param {boolean} victory - Whether the run beat the final boss
+     * @returns {number} Currency awarded
+     */
+    awardRun(score, kills, victory = false) {
+        const reward = MetaProgression.calculateRunReward(score, kills, victory);
+        this.data.currency += reward;
+        this.data.lifetimeCurrency += reward;
+        this.data.runsCompleted++;
+        this.save();
+        
+        console.log(`Run reward: ${reward} shards (total ${this.data.currency})`);
+        return reward;
+    }
+    
+    /**
+     * @param {string} id - Upgrade id
+     * @returns {number} Current level of the upgrade
+     */
+    getLevel(id) {
+        return this.data.upgrades[id] || 0;
+    }
+    
+    /**
+     * @param {string} id - Upgrade id
+     * @returns {number|null} Price of the next level, or null if the upgrade is maxed
+     */
+    getNextCost(id) {
+        const costs = UPGRADES[id].costs;
+        const level = this.getLevel(id);
+        return level < costs.length ? costs[level] : null;
+    }
+    
+    /**
+     * Buy the next level of an upgrade
+     * @param {string} id - Upgrade id
+     * @returns {boolean} True if the purchase went through
+     */
+    purchase(id) {
+        const cost = this.getNextCost(id);
+        if (cost === null || this.data.currency < cost) return false;
+        
+        this.data.currency -= cost;
+        this.data.upgrades[id] = this.getLevel(id) + 1;
+        
+        // A newly unlocked weapon is equipped for the next run straight away
+        if (id === 'startingWeapon') {
+            this.data.startingWeapon = PICKUP_WEAPONS[this.data.upgrades[id] - 1];
+        }
+        
+        this.save();
+        console.log(`Purchased ${UPGRADES[id].name} level ${this.data.upgrades[id]}`);
+        return true;
+    }
+    
+    /**
+     * Switch to the next unlocked starting weapon
+     * @returns {string} The selected weapon type
+     */
+    cycleStartingWeapon() {
+        const unlocked = MetaProgression.getUnlockedWeapons(this.getLevel('startingWeapon'));
+        const index = unlocked.indexOf(this.data.startingWeapon);
+        this.data.startingWeapon = unlocked[(index + 1) % unlocked.length];
+        this.save();
+        return this.data.startingWeapon;
+    }
+    
+    /**
+     * @param {number} level - Level of the starting weapon upgrade
+     * @returns {Array} Weapon types that can be picked as the starting weapon
+     */
+    static getUnlockedWeapons(level) {
+        return ['blaster', ...PICKUP_WEAPONS.slice(0, level)];
+    }
+    
+    /**
+     * Snapshot of the unlocks a run starts with. Stored with saves and replays so they
+     * play out the same even after more upgrades are bought.
+     * @returns {Object} JSON-safe run unlocks
+     */
+    getRunUnlocks() {
+        return {
+            maxHealth: this.getLevel('maxHealth'),
+            dashCooldown: this.getLevel('dashCooldown'),
+            startingWeapon: this.data.startingWeapon,
+            itemPool: this.getLevel('itemPool')
+        };
+    }
+    
+    /**
+     * Apply run unlocks to a player at the start of a run
+     * @param {Player} player - The player
+     * @param {Object} unlocks - Run unlocks from getRunUnlocks()
+     */
+    static applyToPlayer(player, unlocks) {
+        player.maxHealth = BASE_MAX_HEALTH + 20 * (unlocks.maxHealth || 0);
+        player.health = player.maxHealth;
+        player.dashCooldown = BASE_DASH_COOLDOWN * (1 - 0.1 * (unlocks.dashCooldown || 0));
+        player.equipWeapon(WEAPON_TYPES[unlocks.startingWeapon] ? unlocks.startingWeapon : 'blaster');
+    }
+    
+    /**
+     * @param {Object} unlocks - Run unlocks from getRunUnlocks()
+     * @returns {Array} Extra item types in the drop pool for the run
+     */
+    static getUnlockedItems(unlocks) {
+        return UNLOCKABLE_ITEMS.slice(0, unlocks.itemPool || 0);
+    }
+}
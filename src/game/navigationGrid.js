@@ -0,0 +1,375 @@
+// navigationGrid.js - Walkable-cell grid for a room, with A* paths and shared flow fields that route enemies around obstacles
+
+// Size of one navigation cell in pixels
+const CELL_SIZE = 20;
+
+// Space kept between an enemy's center and any wall or obstacle (about half a regular enemy)
+const CLEARANCE = 16;
+
+// Cost of a diagonal step relative to a straight one
+const DIAGONAL_COST = Math.SQRT2;
+
+// Neighbour offsets: four straight steps, then four diagonals
+const NEIGHBOURS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+
+export class NavigationGrid {
+    /**
+     * Build the grid from a room's walls and obstacles
+     * @param {Object} room - Room with width, height, wallThickness and obstacles (top-left x/y rectangles)
+     */
+    constructor(room) {
+        this.cellSize = CELL_SIZE;
+        this.columns = Math.ceil(room.width / CELL_SIZE);
+        this.rows = Math.ceil(room.height / CELL_SIZE);
+        this.blocked = new Uint8Array(this.columns * this.rows);
+        
+        const wallMargin = (room.wallThickness || 20) + CLEARANCE;
+        const obstacles = room.obstacles || [];
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                const x = (column + 0.5) * CELL_SIZE;
+                const y = (row + 0.5) * CELL_SIZE;
+                
+                let blocked = x < wallMargin || y < wallMargin ||
+                    x > room.width - wallMargin || y > room.height - wallMargin;
+                
+                // Obstacles are grown by the clearance so paths don't scrape along their edges
+                for (let i = 0; !blocked && i < obstacles.length; i++) {
+                    const obstacle = obstacles[i];
+                    blocked = x > obstacle.x - CLEARANCE && x < obstacle.x + obstacle.width + CLEARANCE &&
+                        y > obstacle.y - CLEARANCE && y < obstacle.y + obstacle.height + CLEARANCE;
+                }
+                
+                this.blocked[row * this.columns + column] = blocked ? 1 : 0;
+            }
+        }
+    }
+    
+    /**
+     * @param {number} x - World X position
+     * @param {number} y - World Y position
+     * @returns {number} Index of the cell containing the point (clamped to the grid)
+     */
+    getCellIndex(x, y) {
+        const column = Math.max(0, Math.min(this.columns - 1, Math.floor(x / this.cellSize)));
+        const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+        return row * this.columns + column;
+    }
+    
+    /**
+     * @param {number} index - Cell index
+     * @returns {Object} World position of the cell's center
+     */
+    getCellCenter(index) {
+        return {
+            x: (index % this.columns + 0.5) * this.cellSize,
+            y: (Math.floor(index / this.columns) + 0.5) * this.cellSize
+        };
+    }
+    
+    /**
+     * @param {number} x - World X position
+     * @param {number} y - World Y position
+     * @returns {boolean} True if an enemy centered here would be clear of walls and obstacles
+     */
+    isWalkable(x, y) {
+        if (x < 0 || y < 0 || x >= this.columns * this.cellSize || y >= this.rows * this.cellSize) return false;
+        return this.blocked[this.getCellIndex(x, y)] === 0;
+    }
+    
+    /**
+     * Check that a straight line between two points only crosses walkable cells
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @returns {boolean} True if nothing blocks the line
+     */
+    hasLineOfSight(x1, y1, x2, y2) {
+        const distance = Math.hypot(x2 - x1, y2 - y1);
+        const steps = Math.ceil(distance / (this.cellSize / 2));
+        
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(x1 + (x2 - x1) * t, y1 + (y2 - y1) * t)) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Find the walkable cell closest to a point, searching outward ring by ring
+     * @param {number} index - Cell index to start from
+     * @returns {number} Index of the nearest walkable cell, or -1 if there is none
+     */
+    findNearestWalkable(index) {
+        if (this.blocked[index] === 0) return index;
+        
+        const startColumn = index % this.columns;
+        const startRow = Math.floor(index / this.columns);
+        const maxRadius = Math.max(this.columns, this.rows);
+        
+        for (let radius = 1; radius < maxRadius; radius++) {
+            let best = -1;
+            let bestDistance = Infinity;
+            
+            for (let row = startRow - radius; row <= startRow + radius; row++) {
+                for (let column = startColumn - radius; column <= startColumn + radius; column++) {
+                    // Only the ring at this radius - the inside was searched already
+                    if (Math.abs(row - startRow) !== radius && Math.abs(column - startColumn) !== radius) continue;
+                    if (row < 0 || column < 0 || row >= this.rows || column >= this.columns) continue;
+                    
+                    const candidate = row * this.columns + column;
+                    const distance = (row - startRow) ** 2 + (column - startColumn) ** 2;
+                    if (this.blocked[candidate] === 0 && distance < bestDistance) {
+                        best = candidate;
+                        bestDistance = distance;
+                    }
+                }
+            }
+            
+            if (best !== -1) return best;
+        }
+        
+        return -1;
+    }
+    
+    /**
+     * Check whether a step between two neighbouring cells is allowed (no walking into or cutting past blocked cells)
+     * @param {number} column - Column of the cell stepped from
+     * @param {number} row - Row of the cell stepped from
+     * @param {number} dx - Column offset of the step
+     * @param {number} dy - Row offset of the step
+     * @returns {boolean} True if the step stays on walkable cells
+     */
+    canStep(column, row, dx, dy) {
+        const nextColumn = column + dx;
+        const nextRow = row + dy;
+        if (nextColumn < 0 || nextRow < 0 || nextColumn >= this.columns || nextRow >= this.rows) return false;
+        if (this.blocked[nextRow * this.columns + nextColumn]) return false;
+        
+        // No cutting corners - both straight neighbours of a diagonal step must be open
+        if (dx !== 0 && dy !== 0) {
+            return !this.blocked[row * this.columns + nextColumn] && !this.blocked[nextRow * this.columns + column];
+        }
+        return true;
+    }
+    
+    /**
+     * Build a flow field toward a goal: the travel cost from every walkable cell to the goal (Dijkstra).
+     * One field serves every enemy pursuing the same target, however many there are.
+     * @param {number} goalX - Goal X
+     * @param {number} goalY - Goal Y
+     * @returns {Object} Field with the goal cell it was built for and per-cell costs (Infinity where unreachable)
+     */
+    buildFlowField(goalX, goalY) {
+        const targetCell = this.getCellIndex(goalX, goalY);
+        const costs = new Float64Array(this.columns * this.rows).fill(Infinity);
+        const goal = this.findNearestWalkable(targetCell);
+        const field = { targetCell, costs };
+        if (goal === -1) return field;
+        
+        const open = new MinHeap();
+        costs[goal] = 0;
+        open.push(goal, 0);
+        
+        while (open.size > 0) {
+            const cost = open.peekPriority();
+            const current = open.pop();
+            if (cost > costs[current]) continue; // Stale entry - a cheaper route was found already
+            
+            const column = current % this.columns;
+            const row = Math.floor(current / this.columns);
+            
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (!this.canStep(column, row, dx, dy)) continue;
+                
+                const next = (row + dy) * this.columns + column + dx;
+                const nextCost = cost + (dx !== 0 && dy !== 0 ? DIAGONAL_COST : 1);
+                if (nextCost < costs[next]) {
+                    costs[next] = nextCost;
+                    open.push(next, nextCost);
+                }
+            }
+        }
+        
+        return field;
+    }
+    
+    /**
+     * Follow a flow field downhill from a position for a few cells
+     * @param {Object} field - Field from buildFlowField()
+     * @param {number} x - World X position
+     * @param {number} y - World Y position
+     * @param {number} steps - Cells to look ahead (more steps give smoother steering)
+     * @returns {Object|null} Center of the cell reached, or null if the position can't reach the goal
+     */
+    sampleFlowField(field, x, y, steps = 2) {
+        // An enemy pushed into a blocked cell steers from the nearest open one
+        let current = this.findNearestWalkable(this.getCellIndex(x, y));
+        if (current === -1 || field.costs[current] === Infinity) return null;
+        
+        for (let i = 0; i < steps && field.costs[current] > 0; i++) {
+            const column = current % this.columns;
+            const row = Math.floor(current / this.columns);
+            let best = current;
+            
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (!this.canStep(column, row, dx, dy)) continue;
+                
+                const next = (row + dy) * this.columns + column + dx;
+                if (field.costs[next] < field.costs[best]) {
+                    best = next;
+                }
+            }
+            
+            if (best === current) break;
+            current = best;
+        }
+        
+        return this.getCellCenter(current);
+    }
+    
+    /**
+     * A* search between two world positions
+     * @param {number} startX - Start X
+     * @param {number} startY - Start Y
+     * @param {number} goalX - Goal X
+     * @param {number} goalY - Goal Y
+     * @returns {Array|null} Waypoints from the first step to the goal, or null if the goal can't be reached
+     */
+    findPath(startX, startY, goalX, goalY) {
+        // Start and goal can sit in blocked cells (an enemy pushed against cover, a player hugging a wall)
+        const start = this.findNearestWalkable(this.getCellIndex(startX, startY));
+        const goal = this.findNearestWalkable(this.getCellIndex(goalX, goalY));
+        if (start === -1 || goal === -1) return null;
+        
+        const cellCount = this.columns * this.rows;
+        const costSoFar = new Float64Array(cellCount).fill(Infinity);
+        const cameFrom = new Int32Array(cellCount).fill(-1);
+        const closed = new Uint8Array(cellCount);
+        const open = new MinHeap();
+        
+        const goalColumn = goal % this.columns;
+        const goalRow = Math.floor(goal / this.columns);
+        const heuristic = index => {
+            // Octile distance - exact on an open 8-way grid
+            const dx = Math.abs(index % this.columns - goalColumn);
+            const dy = Math.abs(Math.floor(index / this.columns) - goalRow);
+            return Math.max(dx, dy) + (DIAGONAL_COST - 1) * Math.min(dx, dy);
+        };
+        
+        costSoFar[start] = 0;
+        open.push(start, heuristic(start));
+        
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal) break;
+            if (closed[current]) continue;
+            closed[current] = 1;
+            
+            const column = current % this.columns;
+            const row = Math.floor(current / this.columns);
+            
+            for (const [dx, dy] of NEIGHBOURS) {
+                if (!this.canStep(column, row, dx, dy)) continue;
+                
+                const next = (row + dy) * this.columns + column + dx;
+                if (closed[next]) continue;
+                
+                const diagonal = dx !== 0 && dy !== 0;
+                const cost = costSoFar[current] + (diagonal ? DIAGONAL_COST : 1);
+                if (cost < costSoFar[next]) {
+                    costSoFar[next] = cost;
+                    cameFrom[next] = current;
+                    open.push(next, cost + heuristic(next));
+                }
+            }
+        }
+        
+        if (start !== goal && cameFrom[goal] === -1) return null;
+        
+        // Walk back from the goal, then flip into travel order (the start cell itself is left out)
+        const path = [];
+        for (let index = goal; index !== start; index = cameFrom[index]) {
+            path.push(this.getCellCenter(index));
+        }
+        path.reverse();
+        
+        // End on the exact goal when it's reachable, not just its cell center
+        if (this.isWalkable(goalX, goalY)) {
+            path.push({ x: goalX, y: goalY });
+        }
+        
+        return path;
+    }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority, used as the A* open set
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+    
+    peekPriority() {
+        return this.priorities[0];
+    }
+    
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        
+        // Sift up
+        let index = this.items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+    
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            
+            // Sift down
+            let index = 0;
+            const length = this.items.length;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+                if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+                if (smallest === index) break;
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        
+        return top;
+    }
+    
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
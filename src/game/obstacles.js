@@ -0,0 +1,361 @@
+// obstacles.js - Obstacle types: indestructible walls, breakable crates, explosive barrels and eroding cover
+
+// Every obstacle type. Obstacles without health can't be damaged.
+//   health    - Damage it takes to destroy (null for indestructible)
+//   color     - Neon border and debris color; fill is the dark base
+//   explosion - Blast when destroyed: radius, damage (to the player, enemies and other obstacles) and fuse (ms)
+//   erodes    - Shrinks around its center as it takes damage, down to minScale, in erosionSteps steps
+//   spawn     - Weight when rolling an obstacle's type, for small obstacles (pillars, blocks) and large ones (walls)
+export const OBSTACLE_TYPES = {
+    wall: {
+        name: 'Wall',
+        health: null,
+        color: '#8800ff', // Neon purple
+        fill: '#220033',
+        spawn: { small: 4, large: 3 }
+    },
+    crate: {
+        name: 'Crate',
+        health: 60,
+        color: '#ffaa00', // Amber
+        fill: '#2a1800',
+        spawn: { small: 3, large: 0 }
+    },
+    barrel: {
+        name: 'Barrel',
+        health: 30,
+        color: '#ff3300', // Hazard red
+        fill: '#330800',
+        explosion: { radius: 100, damage: 30, fuse: 400 },
+        spawn: { small: 1.5, large: 0 }
+    },
+    cover: {
+        name: 'Cover',
+        health: 240,
+        color: '#00ccff', // Cyan
+        fill: '#001a22',
+        erodes: true,
+        minScale: 0.4,
+        erosionSteps: 4,
+        spawn: { small: 0, large: 1 }
+    }
+};
+
+// Obstacles no bigger than this (pixels) on their longest side count as small when rolling types
+const SMALL_OBSTACLE_SIZE = 60;
+
+// How long (ms) a damaged obstacle flashes
+const HIT_FLASH_TIME = 100;
+
+// Explosions can be heard this many times their blast radius away
+const EXPLOSION_NOISE_FACTOR = 3;
+
+/**
+ * Roll an obstacle's type from its size
+ * @param {Object} obstacle - Obstacle rectangle (width, height)
+ * @param {Function} random - Random source (0 to 1)
+ * @returns {string} Obstacle type key from OBSTACLE_TYPES
+ */
+export function rollObstacleType(obstacle, random) {
+    const size = Math.max(obstacle.width, obstacle.height) <= SMALL_OBSTACLE_SIZE ? 'small' : 'large';
+    const weights = Object.entries(OBSTACLE_TYPES).map(([type, definition]) => [type, definition.spawn[size]]);
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    
+    let roll = random() * total;
+    for (const [type, weight] of weights) {
+        if (weight <= 0) continue;
+        roll -= weight;
+        if (roll < 0) return type;
+    }
+    return 'wall';
+}
+
+export default class Obstacles {
+    /**
+     * Fill in an obstacle's type state: health, and the full size eroding cover shrinks from.
+     * Obstacles without a known type become walls.
+     * @param {Object} obstacle - Obstacle rectangle (x, y is the top-left corner), with an optional type
+     * @returns {Object} The same obstacle
+     */
+    static init(obstacle) {
+        const type = OBSTACLE_TYPES[obstacle.type] ? obstacle.type : 'wall';
+        const definition = OBSTACLE_TYPES[type];
+        
+        obstacle.type = type;
+        obstacle.maxHealth = definition.health;
+        obstacle.health = obstacle.health !== undefined && obstacle.health !== null ? obstacle.health : definition.health;
+        obstacle.fullWidth = obstacle.fullWidth || obstacle.width;
+        obstacle.fullHeight = obstacle.fullHeight || obstacle.height;
+        obstacle.erosionStep = definition.erodes ? definition.erosionSteps : 0;
+        obstacle.fuse = 0; // Time (ms) until a lit barrel goes off
+        obstacle.litBy = null; // Player who lit the fuse, credited with the blast
+        obstacle.hitFlash = 0;
+        obstacle.destroyed = false;
+        
+        // Obstacles restored with damage already taken start out eroded
+        if (definition.erodes) {
+            Obstacles.erode(obstacle);
+        }
+        return obstacle;
+    }
+    
+    /**
+     * @param {Object} obstacle - Obstacle
+     * @returns {boolean} True if the obstacle can be damaged
+     */
+    static isDestructible(obstacle) {
+        return obstacle.maxHealth !== null && obstacle.maxHealth !== undefined;
+    }
+    
+    /**
+     * Damage an obstacle, breaking, lighting or eroding it
+     * @param {Object} room - The room the obstacle is in
+     * @param {Object} obstacle - Obstacle hit
+     * @param {number} amount - Damage dealt
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @param {Object} attacker - Optional player who dealt the damage, credited if it sets off a barrel
+     */
+    static damage(room, obstacle, amount, effects = null, attacker = null) {
+        if (!Obstacles.isDestructible(obstacle) || obstacle.destroyed || obstacle.fuse > 0) return;
+        
+        const definition = OBSTACLE_TYPES[obstacle.type];
+        obstacle.health -= amount;
+        obstacle.hitFlash = HIT_FLASH_TIME;
+        
+        if (obstacle.health <= 0) {
+            if (definition.explosion) {
+                // Barrels burn for a moment before they go off, so chains ripple outward
+                obstacle.fuse = definition.explosion.fuse;
+                obstacle.litBy = attacker;
+            } else {
+                Obstacles.destroy(room, obstacle, effects);
+            }
+            return;
+        }
+        
+        // Eroding cover changes shape, so enemies need to re-plan around it
+        if (definition.erodes && Obstacles.erode(obstacle) && typeof room.invalidateNavigationGrid === 'function') {
+            room.invalidateNavigationGrid();
+        }
+    }
+    
+    /**
+     * Shrink eroding cover around its center to match its health
+     * @param {Object} obstacle - Eroding obstacle
+     * @returns {boolean} True if it changed size
+     */
+    static erode(obstacle) {
+        const definition = OBSTACLE_TYPES[obstacle.type];
+        const step = Math.max(1, Math.ceil((obstacle.health / obstacle.maxHealth) * definition.erosionSteps));
+        if (step === obstacle.erosionStep) return false;
+        
+        const centerX = obstacle.x + obstacle.width / 2;
+        const centerY = obstacle.y + obstacle.height / 2;
+        const scale = definition.minScale + (1 - definition.minScale) * (step / definition.erosionSteps);
+        
+        obstacle.erosionStep = step;
+        obstacle.width = obstacle.fullWidth * scale;
+        obstacle.height = obstacle.fullHeight * scale;
+        obstacle.x = centerX - obstacle.width / 2;
+        obstacle.y = centerY - obstacle.height / 2;
+        obstacle.radius = Math.max(obstacle.width, obstacle.height) / 2;
+        return true;
+    }
+    
+    /**
+     * Burn down lit barrel fuses and hit flashes
+     * @param {Object} room - The current room
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static update(room, deltaTime, player, effects = null) {
+        // Copy the list - explosions destroy obstacles while we go
+        for (const obstacle of room.obstacles.slice()) {
+            if (obstacle.hitFlash > 0) {
+                obstacle.hitFlash -= deltaTime;
+            }
+            
+            if (obstacle.fuse > 0) {
+                obstacle.fuse -= deltaTime;
+                if (obstacle.fuse <= 0) {
+                    Obstacles.explode(room, obstacle, player, effects);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Blow up a barrel: damage everything in the blast radius, then remove it
+     * @param {Object} room - The current room
+     * @param {Object} obstacle - Barrel whose fuse ran out
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static explode(room, obstacle, player, effects = null) {
+        const explosion = OBSTACLE_TYPES[obstacle.type].explosion;
+        const x = obstacle.x + obstacle.width / 2;
+        const y = obstacle.y + obstacle.height / 2;
+        
+        Obstacles.destroy(room, obstacle, effects);
+        
+        if (effects) {
+            effects.createParticleBurst(x, y, 40, {
+                color: [OBSTACLE_TYPES[obstacle.type].color, '#ffcc00', '#ffffff'],
+                minSpeed: 100,
+                maxSpeed: 300,
+                minLifetime: 0.3,
+                maxLifetime: 0.7
+            });
+        }
+        
+        if (player && !player.isDead && Math.hypot(player.x - x, player.y - y) <= explosion.radius) {
+            player.takeDamage(explosion.damage, 'fire');
+        }
+        
+        for (const enemy of room.enemies) {
+            if (enemy.active && !enemy.dying && Math.hypot(enemy.x - x, enemy.y - y) <= explosion.radius + enemy.width / 2) {
+                enemy.takeDamage(explosion.damage, effects, { damageType: 'fire', attacker: obstacle.litBy });
+            }
+        }
+        
+        Obstacles.damageInRadius(room, x, y, explosion.radius, explosion.damage, effects, obstacle.litBy);
+        
+        // Everyone nearby hears it go off
+        if (typeof room.emitNoise === 'function') {
+            room.emitNoise(x, y, explosion.radius * EXPLOSION_NOISE_FACTOR);
+        }
+    }
+    
+    /**
+     * Damage every obstacle that overlaps a blast
+     * @param {Object} room - The current room
+     * @param {number} x - Blast center X
+     * @param {number} y - Blast center Y
+     * @param {number} radius - Blast radius
+     * @param {number} amount - Damage dealt
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @param {Object} attacker - Optional player behind the blast, passed on to any barrels it sets off
+     */
+    static damageInRadius(room, x, y, radius, amount, effects = null, attacker = null) {
+        for (const obstacle of room.obstacles.slice()) {
+            // Closest point of the obstacle to the blast
+            const closestX = Math.max(obstacle.x, Math.min(x, obstacle.x + obstacle.width));
+            const closestY = Math.max(obstacle.y, Math.min(y, obstacle.y + obstacle.height));
+            if (Math.hypot(x - closestX, y - closestY) <= radius) {
+                Obstacles.damage(room, obstacle, amount, effects, attacker);
+            }
+        }
+    }
+    
+    /**
+     * Break an obstacle apart and take it out of the room
+     * @param {Object} room - The current room
+     * @param {Object} obstacle - Obstacle to destroy
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    static destroy(room, obstacle, effects = null) {
+        if (obstacle.destroyed) return;
+        obstacle.destroyed = true;
+        
+        if (effects) {
+            const definition = OBSTACLE_TYPES[obstacle.type];
+            effects.createParticleBurst(obstacle.x + obstacle.width / 2, obstacle.y + obstacle.height / 2, 20, {
+                color: [definition.color, definition.fill, '#ffffff'],
+                minSpeed: 40,
+                maxSpeed: 160,
+                minSize: 2,
+                maxSize: 6,
+                minLifetime: 0.3,
+                maxLifetime: 0.8
+            });
+        }
+        
+        room.removeObstacle(obstacle);
+    }
+    
+    /**
+     * Draw a typed obstacle: its base, neon border, damage cracks and any lit fuse
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
+     * @param {Object} obstacle - Obstacle to draw
+     */
+    static render(ctx, obstacle) {
+        const definition = OBSTACLE_TYPES[obstacle.type] || OBSTACLE_TYPES.wall;
+        const { x, y, width, height } = obstacle;
+        
+        ctx.save();
+        ctx.shadowColor = definition.color;
+        ctx.shadowBlur = 15;
+        
+        ctx.fillStyle = definition.fill;
+        ctx.fillRect(x, y, width, height);
+        
+        ctx.strokeStyle = definition.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+        
+        ctx.shadowBlur = 0;
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.7;
+        
+        if (obstacle.type === 'crate') {
+            // Cross bracing
+            ctx.beginPath();
+            ctx.moveTo(x + 3, y + 3);
+            ctx.lineTo(x + width - 3, y + height - 3);
+            ctx.moveTo(x + width - 3, y + 3);
+            ctx.lineTo(x + 3, y + height - 3);
+            ctx.stroke();
+        } else if (obstacle.type === 'barrel') {
+            // Hazard ring
+            ctx.beginPath();
+            ctx.arc(x + width / 2, y + height / 2, Math.min(width, height) / 3, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = definition.color;
+            ctx.font = `${Math.floor(Math.min(width, height) / 2)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('!', x + width / 2, y + height / 2);
+        }
+        
+        // Cracks spread as the obstacle loses health
+        if (Obstacles.isDestructible(obstacle) && obstacle.health < obstacle.maxHealth) {
+            const damage = 1 - Math.max(0, obstacle.health) / obstacle.maxHealth;
+            const cracks = Math.ceil(damage * 4);
+            ctx.strokeStyle = '#ffffff';
+            ctx.globalAlpha = 0.3 + 0.5 * damage;
+            ctx.beginPath();
+            for (let i = 0; i < cracks; i++) {
+                // Fixed zigzags from each corner in turn, so cracks don't flicker between frames
+                const cornerX = i % 2 === 0 ? x : x + width;
+                const cornerY = i < 2 ? y : y + height;
+                const dirX = i % 2 === 0 ? 1 : -1;
+                const dirY = i < 2 ? 1 : -1;
+                ctx.moveTo(cornerX, cornerY);
+                ctx.lineTo(cornerX + dirX * width * 0.25, cornerY + dirY * height * 0.15);
+                ctx.lineTo(cornerX + dirX * width * 0.35, cornerY + dirY * height * 0.35);
+            }
+            ctx.stroke();
+        }
+        
+        // Lit barrels flash and show their blast radius
+        if (obstacle.fuse > 0) {
+            const explosion = definition.explosion;
+            const progress = 1 - obstacle.fuse / explosion.fuse;
+            ctx.globalAlpha = 0.2 + 0.4 * progress;
+            ctx.strokeStyle = definition.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x + width / 2, y + height / 2, explosion.radius * progress, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        if (obstacle.hitFlash > 0 || (obstacle.fuse > 0 && Math.floor(obstacle.fuse / 60) % 2 === 0)) {
+            ctx.globalAlpha = 0.6;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(x, y, width, height);
+        }
+        
+        ctx.restore();
+    }
+}
@@ -1,4 +1,13 @@
 // player.js - Player character class
+import { getWeapon, createWeaponProjectile } from './weapons.js';
+import StatusEffects from './statusEffects.js';
+import Elements from './elements.js';
+import Relics from './relics.js';
+
+// Max health and dash cooldown (ms) a fresh player starts with. Meta-progression upgrades build on these.
+export const BASE_MAX_HEALTH = 100;
+export const BASE_DASH_COOLDOWN = 10000;
+
 export default class Player {
     constructor(x, y) {
         this.x = x;
@@ -12,7 +21,6 @@ export default class Player {
         this.projectileSpeed = 400; // pixels per second
         this.baseFireRate = 250; // ms between shots
         this.fireRate = this.baseFireRate; // Current fire rate
-        this.fireRateMultiplier = 1.0; // Multiplier for fire rate (higher = faster fire rate)
         this.fireRateCooldown = 0;
         this.canvasWidth = 800; // Match the actual canvas size
         this.canvasHeight = 600; // Match the actual canvas size
@@ -30,23 +38,37 @@ export default class Player {
         this.deceleration = 800; // Deceleration rate (pixels per second squared)
         this.maxSpeed = 200; // Maximum speed (pixels per second)
         
+        // Timed buffs such as speed and fire rate boosts and the power-up shield (see STATUS_EFFECTS)
+        this.statusEffects = new StatusEffects(this);
+        
+        // Relics picked up this run and the synergies between them (see RELIC_TYPES)
+        this.relics = new Relics(this);
+        
         // Weapon properties
         this.canShoot = true;
         this.baseShootCooldown = 500; // Base cooldown between shots in ms
         this.shootCooldown = this.baseShootCooldown; // Current cooldown between shots
         this.shootCooldownTimer = 0;
         this.projectileDamageMultiplier = 1.0; // Multiplier for projectile damage
+        this.weapon = getWeapon('blaster'); // Currently equipped weapon (single slot)
+        this.baseShootCooldown = this.weapon.cooldown;
+        this.chargeTimer = 0; // How long the trigger has been held for charged weapons (ms)
+        this.burstShotsRemaining = 0; // Rounds left in the current burst
+        this.burstTimer = 0; // Time until the next round of the burst (ms)
         
         // Dash properties
         this.dashSpeed = 900; // Dash speed multiplier
         this.dashDuration = 250; // How long the dash lasts in ms
-        this.dashCooldown = 10000; // Time between dashes in ms
+        this.dashCooldown = BASE_DASH_COOLDOWN; // Time between dashes in ms
         this.dashTimer = 0; // Current dash time
         this.dashCooldownTimer = 0; // Current cooldown time
         this.isDashing = false; // Whether player is currently dashing
         this.dashDirection = { x: 0, y: 0 }; // Direction of the dash
         this.dashDamage = 70; // Damage dealt to enemies when dashing through them (doubled for more impact)
+        this.dashDamageType = 'kinetic'; // Damage type of the dash (see DAMAGE_TYPES)
         this.hasDealtDashDamage = new Set(); // Track enemies hit during current dash to prevent multiple hits
+        this.maxBonusDashes = 0; // Extra dashes usable while the dash recharges (from relics)
+        this.bonusDashes = 0; // Extra dashes left, refilled when the cooldown runs out
         
         // Invulnerability properties
         this.isInvulnerable = false; // Whether player is currently invulnerable
@@ -55,8 +77,7 @@ export default class Player {
         this.invulnerabilityFlashInterval = 100; // Flash interval for invulnerability effect
         
         // Shield properties
-        this.shieldActive = false; // Whether the shield is active from power-up
-        this.shieldDuration = 0; // Duration of the shield in ms (for power-up shield)
+        this.shieldActive = false; // Whether the shield is active from power-up (set by the shield status effect)
         this.dashShieldActive = false; // Whether the shield is active from dash
         
         // Trail effect for dash
@@ -69,12 +90,25 @@ export default class Player {
         this.trailDotRemovalIndex = 0; // Index to keep track of which tone to play
         
         // Player stats
-        this.health = 100; // Set to exactly 100 for visual clarity
-        this.maxHealth = 100; // Set to exactly 100 for visual clarity
+        this.health = BASE_MAX_HEALTH; // Set to exactly 100 for visual clarity
+        this.maxHealth = BASE_MAX_HEALTH; // Set to exactly 100 for visual clarity
         this.isDead = false; // New flag to track if player is dead
         this.deathAnimationTimer = 0; // Timer for death animation
         this.deathAnimationDuration = 2000; // 2 seconds for death animation
         
+        // Run statistics for the run history (kills and room time are counted by the game)
+        this.stats = {
+            totalKills: 0,
+            timeSpentInRooms: 0,
+            deathCount: 0,
+            damageTaken: 0
+        };
+        
+        // Noises enemies can hear, collected each step and handed to the room by the game
+        this.noiseEvents = [];
+        this.shotNoiseRadius = 450; // How far a gunshot carries
+        this.dashNoiseRadius = 250; // How far a dash carries
+        
         // Effects
         this.effects = null; // Will be set by the game
         this.lastObstacleCollision = null; // For tracking obstacle collisions
@@ -88,8 +122,9 @@ export default class Player {
      * @param {number} deltaTime - Time since last frame in milliseconds
      * @param {object} inputState - Processed input state from InputHandler
      * @param {object} effects - Optional effects manager for visual effects
+     * @param {Array} enemies - Enemies in the current room (homing projectiles steer toward them)
      */
-    update(deltaTime, inputState, effects = null) {
+    update(deltaTime, inputState, effects = null, enemies = []) {
         // Store effects manager for creating visual effects
         this.effects = effects;
         
@@ -126,34 +161,41 @@ export default class Player {
         this.mouseY = inputState.mouseY;
         
         // Handle shooting
-        if (inputState.shoot && this.canShoot) {
-            this.shoot(inputState.mouseX, inputState.mouseY);
-            this.canShoot = false;
-            this.shootCooldownTimer = this.shootCooldown;
-        }
+        this.handleShooting(deltaTime, inputState);
         
-        // Process dash input
-        if (inputState.dash && !this.isDashing && this.dashCooldownTimer <= 0) {
+        // Process dash input (an extra dash can be spent while the dash recharges)
+        if (inputState.dash && !this.isDashing && (this.dashCooldownTimer <= 0 || this.bonusDashes > 0)) {
+            if (this.dashCooldownTimer > 0) {
+                this.bonusDashes--;
+            }
             this.startDash(inputState);
         }
         
         // Update shoot cooldown - apply fire rate multiplier
         if (!this.canShoot) {
             // Apply fire rate multiplier (higher multiplier = faster cooldown reduction)
-            this.shootCooldownTimer -= deltaTime * this.fireRateMultiplier;
+            this.shootCooldownTimer -= deltaTime * this.statusEffects.getModifier('fireRate');
             if (this.shootCooldownTimer <= 0) {
                 this.canShoot = true;
             }
         }
         
+        // Count down timed power-ups (these freeze while the game is paused)
+        this.statusEffects.update(deltaTime, this.effects);
+        
         // Update dash state
         this.updateDash(deltaTime);
         
         // Update dash cooldown
         if (this.dashCooldownTimer > 0) {
             this.dashCooldownTimer -= deltaTime;
+        } else {
+            this.bonusDashes = this.maxBonusDashes;
         }
         
+        // Relics with effects over time (e.g. a burning dash trail)
+        this.relics.trigger('update', deltaTime, enemies, this.effects);
+        
         // If player is invulnerable, update the timer
         if (this.invulnerabilityTimer > 0) {
             this.invulnerabilityTimer -= deltaTime;
@@ -169,7 +211,7 @@ export default class Player {
                 projectile.prevY = projectile.y;
                 
                 // Update projectile position
-                projectile.update(deltaTime);
+                projectile.update(deltaTime, enemies);
                 
                 // Create projectile trail if effects manager is available
                 if (this.effects && projectile.prevX !== undefined) {
@@ -179,7 +221,7 @@ export default class Player {
                             this.effects.createProjectileTrail(
                                 projectile.x, projectile.y,
                                 projectile.prevX, projectile.prevY,
-                                'player'
+                                projectile.weaponType || 'player'
                             );
                         } 
                         // Fallback to createParticleBurst if available
@@ -197,8 +239,9 @@ export default class Player {
                 }
             }
             
-            // Remove projectiles that go off-screen
-            if (projectile.x < 0 || projectile.x > this.canvasWidth ||
+            // Remove projectiles that hit something or go off-screen
+            if (!projectile.active ||
+                projectile.x < 0 || projectile.x > this.canvasWidth ||
                 projectile.y < 0 || projectile.y > this.canvasHeight) {
                 this.projectiles.splice(i, 1);
             }
@@ -262,15 +305,17 @@ export default class Player {
             }
         }
         
-        // Clamp velocity to max speed
-        this.velocityX = Math.max(-this.maxSpeed, Math.min(this.velocityX, this.maxSpeed));
-        this.velocityY = Math.max(-this.maxSpeed, Math.min(this.velocityY, this.maxSpeed));
+        // Clamp velocity to max speed (scaled by any active speed boost)
+        const maxSpeed = this.maxSpeed * this.statusEffects.getModifier('speed');
+        this.velocityX = Math.max(-maxSpeed, Math.min(this.velocityX, maxSpeed));
+        this.velocityY = Math.max(-maxSpeed, Math.min(this.velocityY, maxSpeed));
     }
     
     startDash(inputState) {
         // Start a dash in the current movement direction
         this.isDashing = true;
         this.dashTimer = this.dashDuration;
+        this.noiseEvents.push({ x: this.x, y: this.y, radius: this.dashNoiseRadius });
         
         // Start invulnerability that lasts beyond the dash
         this.activateDashShield();
@@ -317,6 +362,9 @@ export default class Player {
         // Reset dash damage tracking
         this.hasDealtDashDamage.clear();
         
+        // Let relics react to the dash
+        this.relics.trigger('onDash');
+        
         // Play dash sound effect
         this.playDashSound();
         
@@ -437,27 +485,6 @@ export default class Player {
                 this.dashShieldActive = false;
             }
         }
-        
-        // Update shield duration for power-up shield
-        if (this.shieldActive) {
-            this.shieldDuration -= deltaTime;
-            
-            // End shield if duration expires
-            if (this.shieldDuration <= 0) {
-                this.shieldActive = false;
-                this.isInvulnerable = false;
-            }
-        }
-    }
-
-    /**
-     * Start the shield effect (used by power-ups)
-     * @param {number} duration - Duration of the shield in milliseconds
-     */
-    activateShield(duration) {
-        this.shieldActive = true;
-        this.shieldDuration = duration;
-        this.isInvulnerable = true;
     }
 
     /**
@@ -469,23 +496,85 @@ export default class Player {
         this.invulnerabilityTimer = this.invulnerabilityDuration;
     }
     
+    /**
+     * Equip a weapon, replacing the one in the weapon slot
+     * @param {string} type - Weapon type key from WEAPON_TYPES
+     */
+    equipWeapon(type) {
+        this.weapon = getWeapon(type);
+        this.baseShootCooldown = this.weapon.cooldown;
+        this.updateShootCooldown();
+        
+        // Drop any charge or burst in progress from the previous weapon
+        this.chargeTimer = 0;
+        this.burstShotsRemaining = 0;
+        this.burstTimer = 0;
+        
+        console.log(`Equipped ${this.weapon.name}`);
+    }
+    
+    /**
+     * Capture the player's persistent state for saving a run
+     * @returns {Object} Plain JSON-safe snapshot
+     */
+    getSaveState() {
+        return {
+            x: this.x,
+            y: this.y,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            statusEffects: this.statusEffects.getSaveState(),
+            relics: this.relics.getSaveState(),
+            dashCooldownTimer: this.dashCooldownTimer,
+            weapon: this.weapon.type,
+            stats: this.stats ? { ...this.stats } : null
+        };
+    }
+    
+    /**
+     * Restore state from a snapshot made by getSaveState
+     * @param {Object} state - Saved player state
+     */
+    applySaveState(state) {
+        this.x = state.x;
+        this.y = state.y;
+        this.health = state.health;
+        this.maxHealth = state.maxHealth;
+        this.dashCooldownTimer = state.dashCooldownTimer;
+        this.equipWeapon(state.weapon || 'blaster');
+        this.statusEffects.applySaveState(state.statusEffects);
+        this.relics.applySaveState(state.relics);
+        
+        if (state.stats) {
+            this.stats = { ...this.stats, ...state.stats };
+        }
+    }
+    
     // Check if player can be damaged
     canBeDamaged() {
         return !this.isInvulnerable;
     }
     
-    // Handle player taking damage
-    takeDamage(amount) {
-        if (this.canBeDamaged()) {
-            this.health -= amount;
+    // Handle player taking damage; ailment ticks (isTick) get through hit invulnerability but not a shield
+    takeDamage(amount, damageType = 'kinetic', isTick = false) {
+        const canBeHit = isTick ? !this.shieldActive && !this.isDead : this.canBeDamaged();
+        if (canBeHit) {
+            const previousHealth = this.health;
+            this.health -= Elements.resist(this, amount, damageType);
             this.health = Math.max(0, this.health); // Don't go below 0
+            this.stats.damageTaken += previousHealth - this.health;
             
-            // Make player briefly invulnerable after taking damage
-            this.isInvulnerable = true;
-            this.invulnerabilityTimer = this.invulnerabilityDuration / 2; // Half duration for damage invulnerability
+            if (!isTick) {
+                // Make player briefly invulnerable after taking damage
+                this.isInvulnerable = true;
+                this.invulnerabilityTimer = this.invulnerabilityDuration / 2; // Half duration for damage invulnerability
+                
+                // Elemental hits burn, chill or poison
+                Elements.applyAilment(this, amount, damageType, this.effects);
+            }
             
             // Create damage particles
-            if (this.effects) {
+            if (this.effects && !isTick) {
                 this.effects.createParticleBurst(
                     this.x, 
                     this.y,
@@ -519,6 +608,7 @@ export default class Player {
         
         this.isDead = true;
         this.deathAnimationTimer = this.deathAnimationDuration;
+        this.stats.deathCount++;
         
         console.log("Player died");
         
@@ -587,82 +677,95 @@ export default class Player {
      */
     updateShootCooldown() {
         // Lower cooldown = faster firing
-        this.shootCooldown = this.baseShootCooldown / this.fireRateMultiplier;
+        this.shootCooldown = this.baseShootCooldown / this.statusEffects.getModifier('fireRate');
     }
 
     /**
-     * Fires a projectile at the specified target coordinates
+     * Pull, hold or release the trigger depending on the equipped weapon
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {object} inputState - Processed input state
+     */
+    handleShooting(deltaTime, inputState) {
+        const weapon = this.weapon;
+        
+        // Follow-up rounds of a burst fire on their own timer, at the current aim
+        if (this.burstShotsRemaining > 0) {
+            this.burstTimer -= deltaTime;
+            if (this.burstTimer <= 0) {
+                this.shoot(inputState.mouseX, inputState.mouseY);
+                this.burstShotsRemaining--;
+                this.burstTimer = weapon.burstInterval;
+            }
+        }
+        
+        // Charged weapons build power while the trigger is held and fire on release
+        if (weapon.chargeTime) {
+            if (inputState.shoot && this.canShoot) {
+                this.chargeTimer = Math.min(weapon.chargeTime, this.chargeTimer + deltaTime);
+            } else if (!inputState.shoot && this.chargeTimer > 0) {
+                this.shoot(inputState.mouseX, inputState.mouseY, this.chargeTimer / weapon.chargeTime);
+                this.chargeTimer = 0;
+                this.canShoot = false;
+                this.shootCooldownTimer = this.shootCooldown;
+            }
+            return;
+        }
+        
+        if (inputState.shoot && this.canShoot) {
+            this.shoot(inputState.mouseX, inputState.mouseY);
+            this.canShoot = false;
+            this.shootCooldownTimer = this.shootCooldown;
+            
+            if (weapon.burstCount > 1) {
+                this.burstShotsRemaining = weapon.burstCount - 1;
+                this.burstTimer = weapon.burstInterval;
+            }
+        }
+    }
+    
+    /**
+     * Get how far the current charge has built up
+     * @returns {number} Charge level from 0 to 1 (always 0 for weapons that don't charge)
+     */
+    getChargeLevel() {
+        return this.weapon.chargeTime ? this.chargeTimer / this.weapon.chargeTime : 0;
+    }
+    
+    /**
+     * Fires the equipped weapon at the specified target coordinates
      * @param {number} targetX - X-coordinate of the target
      * @param {number} targetY - Y-coordinate of the target
+     * @param {number} power - Charge level from 0 to 1 (only used by charged weapons)
      */
-    shoot(targetX, targetY) {
+    shoot(targetX, targetY, power = 1) {
         // Update the shoot cooldown based on current multiplier
         this.updateShootCooldown();
         
-        // No need to check cooldown here - that's handled in the update method
-        console.log("Shooting at", targetX, targetY);
-        
-        // Look for inactive projectiles to reuse first
-        let projectile = this.projectiles.find(p => !p.active);
-        
-        if (!projectile) {
-            // Create a new projectile if no inactive ones are available
-            projectile = {
-                x: this.x,
-                y: this.y,
-                prevX: this.x, // Store previous position for trail effect
-                prevY: this.y,
-                velocityX: 0,
-                velocityY: 0,
-                radius: 5,
-                active: true,
-                damage: 25,
-                color: '#ff00ff', // Neon magenta
-                update: function(deltaTime) {
-                    // Store previous position
-                    this.prevX = this.x;
-                    this.prevY = this.y;
-                    
-                    // Update position
-                    this.x += this.velocityX * (deltaTime / 1000);
-                    this.y += this.velocityY * (deltaTime / 1000);
-                }
-            };
+        // No need to check cooldown here - that's handled in handleShooting
+        const weapon = this.weapon;
+        const aimAngle = Math.atan2(targetY - this.y, targetX - this.x);
+        
+        // Spread weapons fan their pellets evenly around the aim direction
+        const pellets = weapon.pellets || 1;
+        for (let i = 0; i < pellets; i++) {
+            const offset = pellets > 1 ? (i / (pellets - 1) - 0.5) * weapon.spreadAngle : 0;
+            const projectile = createWeaponProjectile(weapon, this.x, this.y, aimAngle + offset, power);
+            projectile.damage *= this.projectileDamageMultiplier;
+            this.relics.trigger('onShoot', projectile);
             
-            // Only add if we're under the limit
-            if (this.projectiles.length < 50) {
-                this.projectiles.push(projectile);
-            } else {
-                // Otherwise, recycle the oldest projectile
-                projectile = this.projectiles.shift();
-                projectile.active = true;
-                projectile.x = this.x;
-                projectile.y = this.y;
-                this.projectiles.push(projectile);
+            // Recycle the oldest projectile once we're at the limit
+            if (this.projectiles.length >= 50) {
+                this.projectiles.shift();
             }
-        } else {
-            // Reset position for reused projectile
-            projectile.x = this.x;
-            projectile.y = this.y;
-            projectile.active = true;
+            this.projectiles.push(projectile);
         }
         
-        // Calculate direction
-        const dirX = targetX - this.x;
-        const dirY = targetY - this.y;
-        
-        // Normalize direction
-        const length = Math.sqrt(dirX * dirX + dirY * dirY);
-        const normalizedDirX = dirX / length;
-        const normalizedDirY = dirY / length;
-        
-        // Set velocity
-        projectile.velocityX = normalizedDirX * this.projectileSpeed;
-        projectile.velocityY = normalizedDirY * this.projectileSpeed;
+        // Gunshots give the player's position away to enemies in earshot
+        this.noiseEvents.push({ x: this.x, y: this.y, radius: this.shotNoiseRadius });
         
         // Play shooting sound if available
         if (window.audioManager) {
-            window.audioManager.playShootSound();
+            window.audioManager.playShootSound(weapon.type, power);
         }
     }
     
@@ -837,6 +940,23 @@ export default class Player {
         // Render projectiles
         for (const projectile of this.projectiles) {
             if (projectile.active) {
+                // Laser bolts are drawn as a streak along their direction of travel
+                if (projectile.weaponType === 'laser') {
+                    const ctx = renderer.ctx;
+                    ctx.save();
+                    ctx.strokeStyle = projectile.color;
+                    ctx.shadowColor = projectile.color;
+                    ctx.shadowBlur = 8;
+                    ctx.lineWidth = projectile.radius;
+                    ctx.lineCap = 'round';
+                    ctx.beginPath();
+                    ctx.moveTo(projectile.x - projectile.velocityX * 0.03, projectile.y - projectile.velocityY * 0.03);
+                    ctx.lineTo(projectile.x, projectile.y);
+                    ctx.stroke();
+                    ctx.restore();
+                    continue;
+                }
+                
                 renderer.drawCircle(
                     projectile.x, 
                     projectile.y, 
@@ -855,6 +975,18 @@ export default class Player {
                 );
             }
         }
+        
+        // Growing ring around the player while a charged weapon is held
+        const chargeLevel = this.getChargeLevel();
+        if (chargeLevel > 0) {
+            renderer.strokeCircle(
+                this.x,
+                this.y,
+                this.radius + 4 + chargeLevel * 8,
+                chargeLevel >= 1 ? '#ffffff' : this.weapon.color,
+                1 + chargeLevel * 2
+            );
+        }
     }
     
     // New method for rendering dash trail separately (to be rendered below entities)
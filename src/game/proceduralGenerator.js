@@ -1,5 +1,11 @@
 // proceduralGenerator.js - Procedural generation system for Neon Requiem
 // Import seedrandom from CDN in index.html
+import { WEAPON_TYPES, PICKUP_WEAPONS } from './weapons.js';
+import { pickArchetype } from './enemyArchetypes.js';
+import EliteAffixes from './eliteAffixes.js';
+import { pickEncounter, splitIntoWaves } from './encounters.js';
+import { rollObstacleType } from './obstacles.js';
+import { pickItemType, createItem } from './items.js';
 
 export class ProceduralGenerator {
     constructor(seed) {
@@ -16,13 +22,8 @@ export class ProceduralGenerator {
             'maze'         // Complex maze-like pattern
         ];
         
-        // Item type definitions
-        this.itemTypes = {
-            health: { weight: 5, color: '#ff0000', radius: 10, effect: 'restoreHealth' },
-            speedBoost: { weight: 3, color: '#00ffff', radius: 8, effect: 'increaseSpeed' },
-            shield: { weight: 2, color: '#ffff00', radius: 12, effect: 'addShield' },
-            ammo: { weight: 4, color: '#00ff00', radius: 8, effect: 'addAmmo' }
-        };
+        // Item types unlocked through meta-progression, added to the drop pool (see ITEM_TYPES)
+        this.extraItemTypes = [];
         
         // Direction mappings for room connections
         this.directions = {
@@ -38,6 +39,18 @@ export class ProceduralGenerator {
         return this.random();
     }
 
+    /**
+     * Create a generator for a single room, derived from the run seed.
+     * Each room gets its own stream so its contents don't depend on the order rooms are visited.
+     * @param {string|number} roomId - Identifier of the room within the dungeon
+     * @returns {ProceduralGenerator} Generator seeded with the run seed and room id
+     */
+    createRoomGenerator(roomId) {
+        const roomGenerator = new ProceduralGenerator(`${this.seed}:room-${roomId}`);
+        roomGenerator.extraItemTypes = this.extraItemTypes;
+        return roomGenerator;
+    }
+    
     /**
      * Generate a dungeon-like structure with connected rooms
      * @param {number} numRooms - Number of rooms to generate
@@ -56,6 +69,7 @@ export class ProceduralGenerator {
             maxDifficulty: 10,
             startRoomDifficulty: 1,
             bossRoomDifficulty: 8,
+            bossHealth: 1500,
             includeBossRoom: numRooms >= 5, // Only include boss room if dungeon has enough rooms
             gridColumns: 5,
             gridRows: 5
@@ -118,18 +132,11 @@ export class ProceduralGenerator {
             }
             
             if (!hasHealthItem) {
-                const healthInfo = this.itemTypes.health;
                 // Place a health item in a safe spot
                 const x = config.width / 2 + (this.getRandom() * 100 - 50);
                 const y = config.height / 2 + (this.getRandom() * 100 - 50);
                 
-                startRoom.items.push({
-                    x, y,
-                    type: 'health',
-                    color: healthInfo.color,
-                    radius: healthInfo.radius,
-                    effect: healthInfo.effect
-                });
+                startRoom.items.push(createItem('health', x, y));
                 
                 console.log(`Added guaranteed health item to starting room at (${Math.round(x)}, ${Math.round(y)})`);
             }
@@ -221,12 +228,18 @@ export class ProceduralGenerator {
                         return enemy;
                     });
                     
+                    // The boss fight is a single wave - everyone is in the room from the start
+                    for (const wave of newRoom.waves) {
+                        newRoom.enemies.push(...wave.enemies);
+                    }
+                    newRoom.waves = [];
+                    
                     // Add a "boss" enemy
                     newRoom.enemies.push({
                         x: config.width / 2,
                         y: config.height / 2,
                         type: 'boss',
-                        health: 300,
+                        health: config.bossHealth,
                         active: true
                     });
                     
@@ -589,6 +602,11 @@ export class ProceduralGenerator {
                 // No obstacles
                 break;
         }
+        
+        // Roll what each obstacle is: a wall, a crate, an explosive barrel or eroding cover (see OBSTACLE_TYPES)
+        for (const obstacle of room.obstacles) {
+            obstacle.type = rollObstacleType(obstacle, () => this.getRandom());
+        }
     }
     
     /**
@@ -610,45 +628,11 @@ export class ProceduralGenerator {
         console.log(`Player start position: (${playerStartX}, ${playerStartY}), safe radius: ${minDistanceFromPlayer}`);
         
         for (let i = 0; i < enemyCount; i++) {
-            // Determine enemy type based on difficulty
-            let type;
-            const typeRoll = this.getRandom();
+            // Roll an enemy type, weighted by difficulty (see ENEMY_ARCHETYPES)
+            const type = pickArchetype(difficulty, () => this.getRandom());
             
-            // Use the new AI-based enemy types with increasing likelihood at higher difficulties
-            if (difficulty >= 5 && typeRoll < 0.15 * difficultyFactor) {
-                // Special advanced AI types at high difficulties
-                const advancedRoll = this.getRandom();
-                if (advancedRoll < 0.25) {
-                    type = 'ambush'; // Ambush enemies wait and then charge
-                } else if (advancedRoll < 0.5) {
-                    type = 'flank';  // Flanking enemies try to circle the player
-                } else if (advancedRoll < 0.75) {
-                    type = 'patrol'; // Patrol enemies follow set paths
-                } else {
-                    type = 'chaser'; // Chaser enemies aggressively pursue
-                }
-            } else if (difficulty >= 3 && typeRoll < 0.2 * difficultyFactor) {
-                // Mix of advanced and basic types for medium difficulties
-                const mediumRoll = this.getRandom();
-                if (mediumRoll < 0.3) {
-                    type = 'chaser';  // More aggressive pursuit
-                } else if (mediumRoll < 0.6) {
-                    type = 'patrol';  // More predictable movement
-                } else if (mediumRoll < 0.8) {
-                    type = 'fast';    // Legacy fast type
-                } else {
-                    type = 'strong';  // Legacy strong type
-                }
-            } else {
-                // Basic enemy types for lower difficulties
-                if (typeRoll < 0.3) {
-                    type = 'fast';
-                } else if (typeRoll < 0.6) {
-                    type = 'strong';
-                } else {
-                    type = 'normal';
-                }
-            }
+            // Some enemies roll as elites, more often in harder rooms
+            const affixes = EliteAffixes.roll(difficulty, () => this.getRandom());
             
             // Generate position avoiding obstacles and player start position
             let x, y, valid;
@@ -694,11 +678,30 @@ export class ProceduralGenerator {
                     x, 
                     y, 
                     type,
+                    affixes,
                     active: true
                 });
-                console.log(`Generated ${type} enemy at ${x},${y} for new room`);
+                console.log(`Generated ${affixes.length > 0 ? `${affixes.join('/')} elite ` : ''}${type} enemy at ${x},${y} for new room`);
             }
         }
+        
+        // Share the enemies out between the encounter's waves: the first is in the room from the start,
+        // the rest come in later (see ENCOUNTERS)
+        room.encounter = pickEncounter(difficulty, () => this.getRandom());
+        const waves = splitIntoWaves(room.encounter, room.enemies);
+        room.enemies = waves.length > 0 ? waves[0].enemies : [];
+        room.waves = waves.slice(1);
+        console.log(`Room encounter: ${room.encounter} (${waves.length} waves)`);
+    }
+    
+    /**
+     * Create the bonus pickup a defeated elite drops
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Object} Item data, in the same form as generated room items
+     */
+    generateLootDrop(x, y) {
+        return createItem(pickItemType(() => this.getRandom(), this.extraItemTypes), x, y);
     }
     
     /**
@@ -742,14 +745,10 @@ export class ProceduralGenerator {
         // Calculate number of items to spawn (1-3 based on difficulty)
         const numItems = Math.max(1, Math.min(3, Math.ceil(3 - difficulty / 4)));
         
-        // Choose random item types with bias toward health and ammo
-        const itemTypes = ['health', 'health', 'speedBoost', 'ammo', 'ammo', 'shield'];
-        
         // Place items across different safe zones
         for (let i = 0; i < numItems; i++) {
-            // Select a random item type
-            const itemType = itemTypes[Math.floor(this.getRandom() * itemTypes.length)];
-            const itemInfo = this.itemTypes[itemType];
+            // Roll an item type, weighted by rarity (see ITEM_TYPES)
+            const itemType = pickItemType(() => this.getRandom(), this.extraItemTypes);
             
             // Select a safe zone (cycle through them)
             const safeZone = safeZones[i % safeZones.length];
@@ -759,14 +758,11 @@ export class ProceduralGenerator {
             const angle = this.getRandom() * Math.PI * 2;
             const distance = this.getRandom() * safeZone.radius * 0.7; // Stay within 70% of radius for extra safety
             
-            const item = {
-                x: safeZone.x + Math.cos(angle) * distance,
-                y: safeZone.y + Math.sin(angle) * distance,
-                type: itemType,
-                color: itemInfo.color,
-                radius: itemInfo.radius,
-                effect: itemInfo.effect
-            };
+            const item = createItem(
+                itemType,
+                safeZone.x + Math.cos(angle) * distance,
+                safeZone.y + Math.sin(angle) * distance
+            );
             
             // Add item to room
             room.items.push(item);
@@ -774,6 +770,24 @@ export class ProceduralGenerator {
             console.log(`Placed ${itemType} item at (${Math.round(item.x)}, ${Math.round(item.y)})`);
         }
         
+        // Occasionally drop a weapon pickup, more often in harder rooms
+        const weaponChance = Math.min(0.4, 0.1 + difficulty * 0.03);
+        if (this.getRandom() < weaponChance) {
+            const weaponType = PICKUP_WEAPONS[Math.floor(this.getRandom() * PICKUP_WEAPONS.length)];
+            const weaponInfo = WEAPON_TYPES[weaponType];
+            
+            // Use the next free safe zone so it doesn't sit on top of another item
+            const safeZone = safeZones[numItems % safeZones.length];
+            
+            room.items.push(createItem('weapon', safeZone.x, safeZone.y, {
+                weapon: weaponType,
+                color: weaponInfo.color,
+                symbol: weaponInfo.symbol
+            }));
+            
+            console.log(`Placed ${weaponType} weapon pickup at (${Math.round(safeZone.x)}, ${Math.round(safeZone.y)})`);
+        }
+        
         // Log final result
         console.log(`Successfully placed ${room.items.length} items across safe zones in the room`);
     }
@@ -823,7 +837,7 @@ export class ProceduralGenerator {
                         pushY += (distanceY / distance) * forceMagnitude * 10;
                     } else {
                         // If exactly at the same position (extremely unlikely), push in random direction
-                        const randomAngle = Math.random() * Math.PI * 2;
+                        const randomAngle = this.getRandom() * Math.PI * 2;
                         pushX += Math.cos(randomAngle) * 10;
                         pushY += Math.sin(randomAngle) * 10;
                     }
@@ -939,7 +953,7 @@ export class ProceduralGenerator {
                                 console.log(`Moved colliding item to (${item.x.toFixed(1)}, ${item.y.toFixed(1)})`);
                             } else {
                                 // If items are exactly on top, move in a random direction
-                                const randomAngle = Math.random() * Math.PI * 2;
+                                const randomAngle = this.generator.getRandom() * Math.PI * 2;
                                 item.x = obsX + Math.cos(randomAngle) * newDist;
                                 item.y = obsY + Math.sin(randomAngle) * newDist;
                                 console.log(`Moved colliding item to random position (${item.x.toFixed(1)}, ${item.y.toFixed(1)})`);
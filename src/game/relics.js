@@ -0,0 +1,312 @@
+// relics.js - Relics the player collects for the rest of a run, and the synergies between them
+
+// Ember Treads trail: a burning patch is dropped this often while dashing and lasts this long (ms)
+const EMBER_PATCH_INTERVAL = 40;
+const EMBER_PATCH_LIFETIME = 1500;
+
+// Radius of a burning patch in pixels
+const EMBER_PATCH_RADIUS = 22;
+
+// Time in ms between a patch's damage ticks, and the fire damage each tick deals
+const EMBER_TICK_INTERVAL = 250;
+const EMBER_TICK_DAMAGE = 8;
+
+// Health a Blood Siphon kill restores
+const SIPHON_HEAL = 4;
+
+// Health the Salvage Drone restores when a room is cleared
+const SALVAGE_HEAL = 15;
+
+// Every relic. Add one by adding an entry here.
+//   name/symbol/color - How the pickup, the pause menu inventory and notifications show it
+//   description   - One line for the inventory
+//   Hooks, each called with (owner, relic, ...) where relic is the player's own entry {id, ...state}:
+//     onAcquire(owner, relic)                                  - Picked up (or restored from a save)
+//     onShoot(owner, relic, projectile)                        - Player.shoot created a projectile
+//     onDash(owner, relic)                                     - Player.startDash began a dash
+//     onDamageDealt(owner, relic, enemy, amount, killed, effects) - Enemy.takeDamage took a hit from the player
+//     onRoomClear(owner, relic, room, effects)                 - The last enemy in a room went down
+//     update(owner, relic, deltaTime, enemies, effects)        - Every player update
+export const RELIC_TYPES = {
+    ricochet: {
+        name: 'Ricochet Lens',
+        symbol: '⟲',
+        color: '#00ffff',
+        description: 'Shots bounce off walls and cover once',
+        onShoot(owner, relic, projectile) {
+            projectile.bounces = (projectile.bounces || 0) + 1;
+        }
+    },
+    emberTreads: {
+        name: 'Ember Treads',
+        symbol: '♨',
+        color: '#ff6600',
+        description: 'Dashing leaves a burning trail',
+        onAcquire(owner, relic) {
+            relic.patches = []; // {x, y, remaining, tickTimer}
+            relic.dropTimer = 0;
+        },
+        onDash(owner, relic) {
+            relic.dropTimer = 0;
+        },
+        update(owner, relic, deltaTime, enemies, effects) {
+            if (owner.isDashing) {
+                relic.dropTimer -= deltaTime;
+                if (relic.dropTimer <= 0) {
+                    relic.dropTimer = EMBER_PATCH_INTERVAL;
+                    relic.patches.push({ x: owner.x, y: owner.y, remaining: EMBER_PATCH_LIFETIME, tickTimer: 0 });
+                }
+            }
+            
+            for (const patch of relic.patches) {
+                patch.remaining -= deltaTime;
+                patch.tickTimer -= deltaTime;
+                if (patch.tickTimer > 0) continue;
+                patch.tickTimer += EMBER_TICK_INTERVAL;
+                
+                for (const enemy of enemies) {
+                    if (!enemy.active || enemy.dying) continue;
+                    if (Math.hypot(enemy.x - patch.x, enemy.y - patch.y) <= EMBER_PATCH_RADIUS + enemy.width / 2) {
+                        enemy.takeDamage(EMBER_TICK_DAMAGE, effects, { damageType: 'fire', attacker: owner });
+                    }
+                }
+                
+                if (effects) {
+                    effects.createParticleBurst(patch.x, patch.y, 2, {
+                        color: effects.colorSchemes.fire,
+                        minSpeed: 5,
+                        maxSpeed: 25,
+                        minLifetime: 0.2,
+                        maxLifetime: 0.5
+                    });
+                }
+            }
+            relic.patches = relic.patches.filter(patch => patch.remaining > 0);
+        }
+    },
+    bloodSiphon: {
+        name: 'Blood Siphon',
+        symbol: '☠',
+        color: '#ff3355',
+        description: `Kills restore ${SIPHON_HEAL} health`,
+        onDamageDealt(owner, relic, enemy, amount, killed) {
+            if (killed) {
+                owner.health = Math.min(owner.maxHealth, owner.health + SIPHON_HEAL);
+            }
+        }
+    },
+    twinCapacitor: {
+        name: 'Twin Capacitor',
+        symbol: '⇉',
+        color: '#88ffff',
+        description: 'One extra dash while the dash recharges',
+        onAcquire(owner) {
+            owner.maxBonusDashes++;
+            owner.bonusDashes++;
+        }
+    },
+    stormCoil: {
+        name: 'Storm Coil',
+        symbol: 'ϟ',
+        color: '#ffff00',
+        description: 'Every fifth shot carries shock damage',
+        onAcquire(owner, relic) {
+            relic.shots = 0;
+        },
+        onShoot(owner, relic, projectile) {
+            relic.shots++;
+            if (relic.shots % 5 === 0) {
+                projectile.damageType = 'shock';
+            }
+        }
+    },
+    glassEdge: {
+        name: 'Glass Edge',
+        symbol: '◇',
+        color: '#ccddff',
+        description: 'Shots deal 20% more damage',
+        onAcquire(owner) {
+            owner.projectileDamageMultiplier *= 1.2;
+        }
+    },
+    salvageDrone: {
+        name: 'Salvage Drone',
+        symbol: '⚙',
+        color: '#aaff66',
+        description: `Clearing a room restores ${SALVAGE_HEAL} health and recharges the dash`,
+        onRoomClear(owner) {
+            owner.health = Math.min(owner.maxHealth, owner.health + SALVAGE_HEAL);
+            owner.dashCooldownTimer = 0;
+            owner.bonusDashes = owner.maxBonusDashes;
+        }
+    }
+};
+
+// Bonuses for holding a set of relics together. They take the same hooks as relics and run after them.
+//   relics - Every relic the synergy needs
+export const RELIC_SYNERGIES = {
+    wildfire: {
+        name: 'Wildfire',
+        relics: ['ricochet', 'emberTreads'],
+        description: 'Shots catch fire when they bounce',
+        onShoot(owner, synergy, projectile) {
+            if (projectile.bounces) {
+                projectile.bounceDamageType = 'fire';
+            }
+        }
+    },
+    overload: {
+        name: 'Overload',
+        relics: ['stormCoil', 'glassEdge'],
+        description: 'Shock shots deal 50% more damage',
+        onShoot(owner, synergy, projectile) {
+            if (projectile.damageType === 'shock') {
+                projectile.damage *= 1.5;
+            }
+        }
+    },
+    bloodRush: {
+        name: 'Blood Rush',
+        relics: ['bloodSiphon', 'twinCapacitor'],
+        description: 'Kills give back a spent extra dash',
+        onDamageDealt(owner, synergy, enemy, amount, killed) {
+            if (killed) {
+                owner.bonusDashes = Math.min(owner.maxBonusDashes, owner.bonusDashes + 1);
+            }
+        }
+    },
+    scavenger: {
+        name: 'Scavenger',
+        relics: ['salvageDrone', 'bloodSiphon'],
+        description: 'Clearing a room raises max health by 5',
+        onRoomClear(owner) {
+            owner.maxHealth += 5;
+            owner.health += 5;
+        }
+    }
+};
+
+export default class Relics {
+    /**
+     * @param {Object} owner - The player carrying the relics
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.relics = []; // Entries {id, ...state} in pickup order
+        this.synergies = []; // Entries {id} for every synergy completed
+    }
+    
+    /**
+     * Roll a relic the player doesn't have yet
+     * @param {Function} random - Random source (0 to 1)
+     * @param {Array} owned - Relic ids already carried (or otherwise out of the pool)
+     * @returns {string|null} Relic id, or null once every relic is carried
+     */
+    static pickRelic(random, owned = []) {
+        const candidates = Object.keys(RELIC_TYPES).filter(id => !owned.includes(id));
+        return candidates.length > 0 ? candidates[Math.floor(random() * candidates.length)] : null;
+    }
+    
+    /**
+     * Pick up a relic, completing any synergy it finishes
+     * @param {string} id - Relic key from RELIC_TYPES
+     * @param {boolean} announce - Show a notification for the relic and any new synergy
+     * @returns {boolean} True if it was added (false for unknown or already carried relics)
+     */
+    add(id, announce = true) {
+        const definition = RELIC_TYPES[id];
+        if (!definition || this.has(id)) return false;
+        
+        const relic = { id };
+        this.relics.push(relic);
+        if (definition.onAcquire) {
+            definition.onAcquire(this.owner, relic);
+        }
+        if (announce) {
+            this.notify(`${definition.name} acquired - ${definition.description}`);
+        }
+        
+        for (const [synergyId, synergy] of Object.entries(RELIC_SYNERGIES)) {
+            if (this.hasSynergy(synergyId) || !synergy.relics.every(relicId => this.has(relicId))) continue;
+            this.synergies.push({ id: synergyId });
+            if (announce) {
+                this.notify(`Synergy: ${synergy.name} - ${synergy.description}`);
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * @param {string} id - Relic key
+     * @returns {boolean} True if the player carries the relic
+     */
+    has(id) {
+        return this.relics.some(relic => relic.id === id);
+    }
+    
+    /**
+     * @param {string} id - Synergy key
+     * @returns {boolean} True if the synergy is active
+     */
+    hasSynergy(id) {
+        return this.synergies.some(synergy => synergy.id === id);
+    }
+    
+    /**
+     * Run a hook on every relic carried, then on every active synergy
+     * @param {string} hook - Hook name, e.g. 'onShoot'
+     * @param {...*} args - Arguments passed on after the owner and entry
+     */
+    trigger(hook, ...args) {
+        for (const relic of this.relics) {
+            const definition = RELIC_TYPES[relic.id];
+            if (definition[hook]) {
+                definition[hook](this.owner, relic, ...args);
+            }
+        }
+        for (const synergy of this.synergies) {
+            const definition = RELIC_SYNERGIES[synergy.id];
+            if (definition[hook]) {
+                definition[hook](this.owner, synergy, ...args);
+            }
+        }
+    }
+    
+    /**
+     * Relics carried and active synergies with their definitions, for the pause menu inventory
+     * @returns {Object} {relics, synergies}, each an array of definitions with their id
+     */
+    getInventory() {
+        return {
+            relics: this.relics.map(relic => ({ id: relic.id, ...RELIC_TYPES[relic.id] })),
+            synergies: this.synergies.map(synergy => ({ id: synergy.id, ...RELIC_SYNERGIES[synergy.id] }))
+        };
+    }
+    
+    /**
+     * @returns {Array} Relic ids carried, in pickup order
+     */
+    getSaveState() {
+        return this.relics.map(relic => relic.id);
+    }
+    
+    /**
+     * Pick the saved relics up again (synergies follow from them)
+     * @param {Array} state - Relic ids from getSaveState
+     */
+    applySaveState(state) {
+        for (const id of state || []) {
+            this.add(id, false);
+        }
+    }
+    
+    /**
+     * Show a message if the game's notification banner is available
+     * @param {string} message - Text to show
+     */
+    notify(message) {
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(message);
+        }
+    }
+}
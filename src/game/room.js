@@ -2,6 +2,15 @@
 import Enemy from './enemy.js';
 import { Physics } from './physics.js';
 import { ProceduralGenerator } from './proceduralGenerator.js';
+import { createVibePortal } from './vibePortal.js';
+import { NavigationGrid } from './navigationGrid.js';
+import EnemyPerception from './enemyPerception.js';
+import { getArchetype, pickArchetype } from './enemyArchetypes.js';
+import EliteAffixes from './eliteAffixes.js';
+import SquadDirector from './squadDirector.js';
+import Encounter from './encounters.js';
+import Obstacles, { rollObstacleType } from './obstacles.js';
+import { getItemType, pickItemType, createItem, applyItem } from './items.js';
 
 export default class Room {
     constructor(width, height, options = {}) {
@@ -30,6 +39,9 @@ export default class Room {
         // Initialize procedural generator with seed if not provided
         this.generator = options.procGen || new ProceduralGenerator();
         
+        // Seeded random source handed to enemies so their timers and patrols follow the run seed
+        this.random = () => this.generator.getRandom();
+        
         // Initialize doors for the room
         this.initDoors();
         
@@ -38,6 +50,21 @@ export default class Room {
         this.obstacles = [];
         this.items = [];
         
+        // Enemy pathfinding grid, built from the walls and obstacles the first time an enemy needs it
+        this.navigationGrid = null;
+        this.flowField = null; // Shared field toward the player, rebuilt when the player changes cell
+        this.sightSegments = null; // Wall and obstacle edges that block enemy line of sight
+        
+        // Groups the room's enemies into squads and gives them roles once they're in the fight
+        this.squadDirector = new SquadDirector(this);
+        
+        // Waves still to come after the room's starting enemies (see ENCOUNTERS)
+        const waveData = this.roomData || {};
+        this.encounter = new Encounter(this, waveData.waves || [], waveData.waveNumber || 1);
+        
+        // Noises made this step (gunshots, dashes) that enemies can hear, cleared at the end of update
+        this.noises = [];
+        
         // Either use provided room data or generate new content
         if (this.roomData && (this.roomData.obstacles || this.roomData.enemyData || this.roomData.template)) {
             console.log('Using provided room data:', this.roomData);
@@ -47,10 +74,17 @@ export default class Room {
             this.generateContent();
         }
         
+        // Walls, crates, barrels and cover get their health (see OBSTACLE_TYPES)
+        this.obstacles.forEach(obstacle => Obstacles.init(obstacle));
+        
         // Flag to track if room has been cleared of enemies
         this.cleared = false;
         this.doorsOpen = false;
         this.lastLockedDoorTime = null; // New property to track last locked door interaction time
+        
+        // Portal down to the next floor, opened when the floor's boss falls
+        this.descentPortal = null;
+        this.descentPortalFloor = null;
     }
     
     /**
@@ -69,7 +103,8 @@ export default class Room {
                     x: obstacle.x + (obstacle.width / 2),
                     y: obstacle.y + (obstacle.height / 2),
                     width: obstacle.width,
-                    height: obstacle.height
+                    height: obstacle.height,
+                    type: obstacle.type
                 };
             });
             console.log(`Applied ${this.obstacles.length} obstacles from room data`);
@@ -117,39 +152,19 @@ export default class Room {
             // Fallback: create a few enemies manually
             for (let i = 0; i < 5; i++) {
                 // Create a random position for the enemy, away from walls
-                const x = 50 + Math.random() * (this.width - 100);
-                const y = 50 + Math.random() * (this.height - 100);
-                
-                // Randomly select an enemy type
-                const type = Math.random() < 0.3 ? 'fast' : Math.random() < 0.6 ? 'strong' : 'normal';
-                
-                // Determine enemy properties based on type
-                let speed, health;
-                switch (type) {
-                    case 'fast':
-                        speed = 75;
-                        health = 50;
-                        break;
-                    case 'strong':
-                        speed = 40;
-                        health = 150;
-                        break;
-                    default: // normal
-                        speed = 50;
-                        health = 100;
-                        break;
-                }
+                const x = 50 + this.generator.getRandom() * (this.width - 100);
+                const y = 50 + this.generator.getRandom() * (this.height - 100);
+                
+                // Randomly select an enemy type for the room's difficulty
+                const type = pickArchetype(this.difficulty, this.random);
                 
                 try {
-                    // Create the enemy
-                    const enemy = new Enemy(x, y, speed, health, type);
+                    // Create the enemy with its archetype's stats
+                    const enemy = new Enemy(x, y, null, null, type, this.random);
                     
                     // Ensure enemy has all required properties for rendering
                     enemy.radius = enemy.radius || 15;
-                    enemy.color = enemy.color || '#FF00FF'; // Magenta for normal enemies
                     enemy.active = true;
-                    enemy.health = health;
-                    enemy.maxHealth = health;
                     
                     this.enemies.push(enemy);
                     console.log(`Spawned ${type} enemy at ${x},${y}`);
@@ -173,35 +188,28 @@ export default class Room {
                     return null;
                 }
                 
-                // Determine enemy properties based on type
-                let speed, health;
+                // Stats come from the archetype; the config may override health (the boss scales with the floor)
                 const type = enemyConfig.type || 'normal';
-                
-                switch (type) {
-                    case 'fast':
-                        speed = 75;
-                        health = 50;
-                        break;
-                    case 'strong':
-                        speed = 40;
-                        health = 150;
-                        break;
-                    default: // 'normal'
-                        speed = 50;
-                        health = 100;
-                        break;
-                }
+                const health = enemyConfig.health || getArchetype(type).health;
                 
                 try {
                     // Create the enemy
-                    const enemy = new Enemy(enemyConfig.x, enemyConfig.y, speed, health, type);
+                    const enemy = new Enemy(enemyConfig.x, enemyConfig.y, null, health, type, this.random);
+                    
+                    // Elites rolled by the generator (or saved mid-fight) get their affixes back
+                    if (enemyConfig.affixes && enemyConfig.affixes.length > 0) {
+                        EliteAffixes.apply(enemy, enemyConfig.affixes);
+                    }
                     
                     // Ensure enemy has all required properties for rendering
                     enemy.radius = enemy.radius || 15;
-                    enemy.color = enemy.color || '#FF00FF'; // Magenta for normal enemies
                     enemy.active = true;
-                    enemy.health = health;
-                    enemy.maxHealth = health;
+                    
+                    // Enemies saved mid-fight come back with the damage they had taken
+                    if (enemyConfig.maxHealth) {
+                        enemy.health = enemyConfig.health;
+                        enemy.maxHealth = enemyConfig.maxHealth;
+                    }
                     
                     return enemy;
                 } catch (error) {
@@ -401,9 +409,10 @@ export default class Room {
                 break;
         }
         
-        // Mark obstacles with radius property for collision detection
+        // Mark obstacles with radius property for collision detection, and roll what each one is
         for (const obstacle of this.obstacles) {
             obstacle.radius = Math.max(obstacle.width, obstacle.height) / 2;
+            obstacle.type = rollObstacleType(obstacle, this.random);
         }
     }
     
@@ -411,21 +420,13 @@ export default class Room {
      * Generate items for the room
      */
     generateItems() {
-        // Define potential item types
-        const itemTypes = [
-            { effect: 'restoreHealth', color: '#ff0088', radius: 10, symbol: '+' },
-            { effect: 'increaseSpeed', color: '#00ffff', radius: 8, symbol: '⚡' },
-            { effect: 'powerUpWeapon', color: '#ff00ff', radius: 12, symbol: '★' }
-        ];
-        
         // Generate 1-3 items based on difficulty
         const itemCount = 1 + Math.floor(this.generator.getRandom() * Math.min(2, this.difficulty));
         const padding = 60; // Minimum distance from walls
         
         for (let i = 0; i < itemCount; i++) {
-            // Select random item type
-            const typeIndex = Math.floor(this.generator.getRandom() * itemTypes.length);
-            const itemType = itemTypes[typeIndex];
+            // Roll an item type from the registry's drop pool
+            const itemType = getItemType(pickItemType(this.random, this.generator.extraItemTypes));
             
             // Find valid position for item (away from obstacles)
             let x, y, valid;
@@ -465,12 +466,7 @@ export default class Room {
             
             if (valid) {
                 this.items.push({
-                    x,
-                    y,
-                    radius: itemType.radius,
-                    color: itemType.color,
-                    effect: itemType.effect,
-                    symbol: itemType.symbol,
+                    ...createItem(itemType.type, x, y),
                     collected: false
                 });
             }
@@ -498,32 +494,15 @@ export default class Room {
             // Fallback: create a few enemies manually
             for (let i = 0; i < count; i++) {
                 // Create a random position for the enemy, away from walls
-                const x = padding + Math.random() * (this.width - 2 * padding);
-                const y = padding + Math.random() * (this.height - 2 * padding);
-                
-                // Randomly select an enemy type
-                const type = Math.random() < 0.3 ? 'fast' : Math.random() < 0.6 ? 'strong' : 'normal';
-                
-                // Determine enemy properties based on type
-                let speed, health;
-                switch (type) {
-                    case 'fast':
-                        speed = 75;
-                        health = 50;
-                        break;
-                    case 'strong':
-                        speed = 40;
-                        health = 150;
-                        break;
-                    default: // normal
-                        speed = 50;
-                        health = 100;
-                        break;
-                }
+                const x = padding + this.generator.getRandom() * (this.width - 2 * padding);
+                const y = padding + this.generator.getRandom() * (this.height - 2 * padding);
+                
+                // Randomly select an enemy type for the room's difficulty
+                const type = pickArchetype(this.difficulty, this.random);
                 
                 try {
-                    // Create the enemy
-                    const enemy = new Enemy(x, y, speed, health, type);
+                    // Create the enemy with its archetype's stats
+                    const enemy = new Enemy(x, y, null, null, type, this.random);
                     enemy.active = true;
                     
                     // Add the enemy to the room
@@ -541,9 +520,9 @@ export default class Room {
         
         // Always add at least one patrol enemy for testing
         try {
-            const patrolX = padding + Math.random() * (this.width - 2 * padding);
-            const patrolY = padding + Math.random() * (this.height - 2 * padding);
-            const patrolEnemy = new Enemy(patrolX, patrolY, 40, 100, 'patrol');
+            const patrolX = padding + this.generator.getRandom() * (this.width - 2 * padding);
+            const patrolY = padding + this.generator.getRandom() * (this.height - 2 * padding);
+            const patrolEnemy = new Enemy(patrolX, patrolY, null, null, 'patrol', this.random);
             patrolEnemy.active = true;
             patrolEnemy.fireRate = 1000; // Shoot more frequently for testing (every 1 second)
             patrolEnemy.fireRange = 500; // Larger range for testing
@@ -558,6 +537,90 @@ export default class Room {
         console.log(`Room now has ${this.enemies.length} enemies`);
     }
     
+    /**
+     * Open the portal down to the next floor in the middle of the room
+     * @param {number} nextFloor - Floor number the portal leads to
+     */
+    openDescentPortal(nextFloor) {
+        this.descentPortalFloor = nextFloor;
+        this.descentPortal = createVibePortal('descent', this.width / 2, this.height / 2, {
+            label: `DESCEND TO FLOOR ${nextFloor}`
+        });
+        
+        if (this.effects) {
+            this.effects.createGlowEffect(this.width / 2, this.height / 2, 40, this.descentPortal.color, 1.5);
+        }
+        
+        console.log(`Descent portal to floor ${nextFloor} opened`);
+    }
+    
+    /**
+     * Spawn minions around the boss (boss phase 2)
+     * @param {Enemy} boss - The boss summoning the minions
+     * @param {number} count - Number of minions to spawn
+     */
+    spawnBossMinions(boss, count = 2) {
+        const padding = this.wallThickness + 20;
+        
+        for (let i = 0; i < count; i++) {
+            // Appear in a ring just outside the boss
+            const angle = this.generator.getRandom() * Math.PI * 2;
+            const distance = boss.width / 2 + 40;
+            const x = Math.max(padding, Math.min(this.width - padding, boss.x + Math.cos(angle) * distance));
+            const y = Math.max(padding, Math.min(this.height - padding, boss.y + Math.sin(angle) * distance));
+            
+            const minion = new Enemy(x, y, null, null, 'fast', this.random);
+            minion.radius = minion.radius || 15;
+            minion.active = true;
+            minion.isMinion = true;
+            EnemyPerception.alert(minion); // Summoned straight into the fight
+            this.enemies.push(minion);
+            
+            if (this.effects) {
+                this.effects.createGlowEffect(x, y, 15, boss.color, 0.8);
+            }
+        }
+        
+        console.log(`Boss summoned ${count} minion(s)`);
+    }
+    
+    /**
+     * Add a single enemy to the room mid-fight, kept inside the walls
+     * @param {string} type - Archetype key from ENEMY_ARCHETYPES
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number|null} health - Starting health, or null for the archetype's
+     * @returns {Enemy} The new enemy
+     */
+    spawnEnemy(type, x, y, health = null) {
+        const padding = this.wallThickness + 20;
+        const enemy = new Enemy(
+            Math.max(padding, Math.min(this.width - padding, x)),
+            Math.max(padding, Math.min(this.height - padding, y)),
+            null, health, type, this.random
+        );
+        enemy.radius = enemy.radius || 15;
+        enemy.active = true;
+        this.enemies.push(enemy);
+        return enemy;
+    }
+    
+    /**
+     * Drop a random pickup where an elite died
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    dropLoot(x, y) {
+        const item = this.generator.generateLootDrop(x, y);
+        this.items.push({ ...item, collected: false });
+        
+        if (this.effects) {
+            this.effects.createGlowEffect(x, y, 10, item.color, 1.0);
+        }
+        
+        console.log(`Dropped ${item.type} loot at (${Math.round(x)}, ${Math.round(y)})`);
+    }
+    
     /**
      * Apply item effect to player
      * @param {Player} player - The player to apply the effect to
@@ -566,73 +629,17 @@ export default class Room {
     applyItemEffect(player, item) {
         if (!item || item.collected) return;
         
-        // Play sound effect
+        // Play the item's pickup sound
+        const itemType = getItemType(item.type);
         if (window.audioManager) {
-            window.audioManager.playItemCollectSound();
+            window.audioManager.playItemCollectSound(itemType ? itemType.sound : 'default');
         }
         
         console.log(`Player collected item: ${item.type}`);
         
-        // Handle different item types
-        switch(item.type) {
-            case 'health':
-                // Restore full health
-                player.health = player.maxHealth;
-                console.log(`Health fully restored. Player health: ${player.health}/${player.maxHealth}`);
-                break;
-                
-            case 'speedBoost':
-                // Temporarily boost player's speed by 25% for 15 seconds
-                player.speedMultiplier = 1.25;
-                // Reset speed multiplier after 15 seconds
-                setTimeout(() => {
-                    player.speedMultiplier = 1.0;
-                    console.log('Speed boost ended');
-                }, 15000);
-                console.log('Speed boost activated for 15 seconds');
-                break;
-                
-            case 'shield':
-                // Make player invulnerable for 15 seconds
-                if (player.activateShield) {
-                    player.activateShield(15000); // 15 seconds duration
-                } else {
-                    // Fallback for backward compatibility
-                    player.invulnerable = true;
-                    
-                    // Visual indicator for invulnerability
-                    if (player.flashInvulnerability) {
-                        player.flashInvulnerability();
-                    }
-                    
-                    // Reset invulnerability after 15 seconds
-                    setTimeout(() => {
-                        player.invulnerable = false;
-                        console.log('Invulnerability ended');
-                    }, 15000);
-                }
-                console.log('Invulnerability activated for 15 seconds');
-                break;
-                
-            case 'dashReset':
-                // Reset the dash cooldown immediately
-                player.dashCooldown = 0;
-                console.log('Dash cooldown reset');
-                break;
-                
-            case 'ammo':
-                // Increase fire rate by 50% for 15 seconds
-                player.fireRateMultiplier = 1.5;
-                // Reset fire rate multiplier after 15 seconds
-                setTimeout(() => {
-                    player.fireRateMultiplier = 1.0;
-                    console.log('Fire rate boost ended');
-                }, 15000);
-                console.log('Fire rate increased by 50% for 15 seconds');
-                break;
-                
-            default:
-                console.log(`Unknown item type: ${item.type}`);
+        // The item registry holds what each item does and how it stacks
+        if (!applyItem(player, item)) {
+            console.log(`Unknown item type: ${item.type}`);
         }
     }
     
@@ -650,16 +657,14 @@ export default class Room {
         // Store effects manager for use in other methods
         this.effects = effects;
         
-        // Log how many patrol enemies we have for debugging
-        let patrolCount = 0;
-        for (const enemy of this.enemies) {
-            if (enemy.type === 'patrol') {
-                patrolCount++;
-            }
-        }
-        if (patrolCount > 0) {
-            console.log(`Room has ${patrolCount} patrol enemies that should be firing projectiles`);
-        }
+        // Burn down lit barrel fuses
+        Obstacles.update(this, deltaTime, player, effects);
+        
+        // Bring in the next wave when it's due
+        this.encounter.update(deltaTime, player, effects);
+        
+        // Hand out squad roles before the enemies act on them
+        this.squadDirector.update(deltaTime, player, effects);
         
         // Update enemies
         for (const enemy of this.enemies) {
@@ -672,6 +677,16 @@ export default class Room {
             }
         }
         
+        // Spread crowds out so pursuing enemies don't stack on one spot
+        this.separateEnemies();
+        
+        // Keep enemies out of walls and obstacles (bosses clamp themselves, and their charges ignore cover)
+        for (const enemy of this.enemies) {
+            if (enemy.active && enemy.type !== 'boss') {
+                this.handleEnemyBoundaryCollisions(enemy);
+            }
+        }
+        
         // Check player collision with obstacles
         if (player) {
             this.handleObstacleCollisions(player);
@@ -681,8 +696,12 @@ export default class Room {
         if (projectiles) {
             for (const projectile of projectiles) {
                 if (projectile.active) {
-                    if (this.checkBulletObstacleCollision(projectile)) {
-                        projectile.active = false;
+                    const obstacle = this.getBulletObstacle(projectile);
+                    if (obstacle) {
+                        if (!this.bounceProjectile(projectile, obstacle)) {
+                            projectile.active = false;
+                        }
+                        Obstacles.damage(this, obstacle, projectile.damage || 10, effects, player);
                         
                         // Add hit effect
                         if (effects) {
@@ -713,8 +732,10 @@ export default class Room {
                 if (!projectile.active) continue;
                 
                 // Check collision with obstacles
-                if (this.checkBulletObstacleCollision(projectile)) {
+                const obstacle = this.getBulletObstacle(projectile);
+                if (obstacle) {
                     projectile.active = false;
+                    Obstacles.damage(this, obstacle, projectile.damage || 10, this.effects);
                     
                     // Add effect if effects manager is available
                     if (this.effects) {
@@ -746,8 +767,6 @@ export default class Room {
         
         // Check item collection
         if (player) {
-            console.log(`Checking ${this.items.length} items for collection`);
-            
             for (const item of this.items) {
                 if (!item.collected) {
                     const dx = player.x - item.x;
@@ -756,12 +775,9 @@ export default class Room {
                     // Ensure item radius has a default value if not set
                     if (item.radius === undefined) {
                         item.radius = 10;
-                        console.log(`Fixed missing radius for item ${item.type}`);
                     }
                     const collisionRadius = player.radius + item.radius;
                     
-                    console.log(`Item collision check: distance=${distance.toFixed(2)}, threshold=${collisionRadius}, player radius=${player.radius}, item radius=${item.radius}`);
-                    
                     if (distance <= collisionRadius) {
                         console.log(`COLLISION DETECTED with ${item.type}!`);
                         
@@ -796,8 +812,17 @@ export default class Room {
             }
         }
         
+        // Animate the descent portal and track whether the player can use it
+        if (this.descentPortal && player) {
+            this.descentPortal.update(deltaTime);
+            this.descentPortal.checkCollision(player);
+        }
+        
         // Filter out inactive enemies (died and animation finished)
         this.enemies = this.enemies.filter(enemy => enemy.active);
+        
+        // Every enemy has had its chance to hear this step's noises
+        this.noises = [];
     }
     
     /**
@@ -828,6 +853,164 @@ export default class Room {
         this.checkBulletCollisions(player);
     }
     
+    /**
+     * Get the navigation grid enemies path over, building it on first use
+     * @returns {NavigationGrid} Grid of walkable cells for this room
+     */
+    getNavigationGrid() {
+        if (!this.navigationGrid) {
+            this.navigationGrid = new NavigationGrid(this);
+        }
+        return this.navigationGrid;
+    }
+    
+    /**
+     * Take a destroyed obstacle out of the room, so it stops blocking movement, bullets and sight
+     * @param {Object} obstacle - Obstacle to remove
+     */
+    removeObstacle(obstacle) {
+        this.obstacles = this.obstacles.filter(other => other !== obstacle);
+        this.invalidateNavigationGrid();
+    }
+    
+    /**
+     * Throw away the navigation grid so it's rebuilt - call after obstacles change
+     */
+    invalidateNavigationGrid() {
+        this.navigationGrid = null;
+        this.flowField = null;
+        this.sightSegments = null;
+    }
+    
+    /**
+     * Get the edges that block enemy line of sight: the inner faces of the walls and the sides of every obstacle
+     * @returns {Array} Segments {start, end} for Physics.raycast
+     */
+    getSightSegments() {
+        if (!this.sightSegments) {
+            const edges = (x, y, width, height) => {
+                const topLeft = { x, y };
+                const topRight = { x: x + width, y };
+                const bottomRight = { x: x + width, y: y + height };
+                const bottomLeft = { x, y: y + height };
+                return [
+                    { start: topLeft, end: topRight },
+                    { start: topRight, end: bottomRight },
+                    { start: bottomRight, end: bottomLeft },
+                    { start: bottomLeft, end: topLeft }
+                ];
+            };
+            
+            const wall = this.wallThickness;
+            this.sightSegments = edges(wall, wall, this.width - wall * 2, this.height - wall * 2);
+            for (const obstacle of this.obstacles) {
+                this.sightSegments.push(...edges(obstacle.x, obstacle.y, obstacle.width, obstacle.height));
+            }
+        }
+        return this.sightSegments;
+    }
+    
+    /**
+     * Make a noise enemies can hear this step
+     * @param {number} x - X position of the noise
+     * @param {number} y - Y position of the noise
+     * @param {number} radius - How far the noise carries
+     */
+    emitNoise(x, y, radius) {
+        this.noises.push({ x, y, radius });
+    }
+    
+    /**
+     * Get the shared flow field toward a target, rebuilding it only when the target has moved to another cell
+     * @param {number} targetX - Target X position (the player)
+     * @param {number} targetY - Target Y position
+     * @returns {Object} Flow field from NavigationGrid.buildFlowField()
+     */
+    getFlowField(targetX, targetY) {
+        const grid = this.getNavigationGrid();
+        if (!this.flowField || this.flowField.targetCell !== grid.getCellIndex(targetX, targetY)) {
+            this.flowField = grid.buildFlowField(targetX, targetY);
+        }
+        return this.flowField;
+    }
+    
+    /**
+     * Push overlapping enemies apart. Enemies are bucketed into a coarse spatial hash so each one only
+     * checks its neighbours, which keeps the cost flat as enemy counts grow. Bosses hold their ground.
+     */
+    separateEnemies() {
+        const bucketSize = 50;
+        const buckets = new Map();
+        const movers = [];
+        
+        for (const enemy of this.enemies) {
+            if (!enemy.active || enemy.dying) continue;
+            
+            const key = `${Math.floor(enemy.x / bucketSize)},${Math.floor(enemy.y / bucketSize)}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(movers.length); // Bucket entries are indices into movers
+            movers.push(enemy);
+        }
+        
+        movers.forEach((enemy, index) => {
+            const column = Math.floor(enemy.x / bucketSize);
+            const row = Math.floor(enemy.y / bucketSize);
+            
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const bucket = buckets.get(`${column + dx},${row + dy}`);
+                    if (!bucket) continue;
+                    
+                    for (const otherIndex of bucket) {
+                        // Each pair once; two bosses never push each other
+                        const other = movers[otherIndex];
+                        if (otherIndex <= index || (enemy.type === 'boss' && other.type === 'boss')) continue;
+                        
+                        this.separatePair(enemy, other);
+                    }
+                }
+            }
+        });
+    }
+    
+    /**
+     * Move two overlapping enemies apart along the line between them
+     * @param {Enemy} a - First enemy
+     * @param {Enemy} b - Second enemy
+     */
+    separatePair(a, b) {
+        const minDistance = (a.width + b.width) / 2 + 4; // A little breathing room between bodies
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= minDistance) return;
+        
+        // Exactly on top of each other - split them sideways
+        if (distance === 0) {
+            dx = 1;
+            dy = 0;
+            distance = 1;
+        }
+        
+        // Resolve half the overlap per step so crowds relax smoothly instead of jittering
+        const push = (minDistance - distance) * 0.5;
+        const pushX = (dx / distance) * push;
+        const pushY = (dy / distance) * push;
+        
+        if (a.type === 'boss') {
+            b.x += pushX * 2;
+            b.y += pushY * 2;
+        } else if (b.type === 'boss') {
+            a.x -= pushX * 2;
+            a.y -= pushY * 2;
+        } else {
+            a.x -= pushX;
+            a.y -= pushY;
+            b.x += pushX;
+            b.y += pushY;
+        }
+    }
+    
     unlockDoors() {
         for (const door of this.doors) {
             door.locked = false;
@@ -849,7 +1032,7 @@ export default class Room {
             
             // FINE-TUNED WEIGHTS: Determine how many doors to unlock with adjusted probabilities
             // 50% chance for 1 door, 35% chance for 2 doors, 15% chance for 3 doors
-            const randomValue = Math.random();
+            const randomValue = this.generator.getRandom();
             let doorsToUnlock;
             
             if (randomValue < 0.5) {
@@ -872,7 +1055,7 @@ export default class Room {
             
             // Shuffle the available door indices
             for (let i = availableDoorIndices.length - 1; i > 0; i--) {
-                const j = Math.floor(Math.random() * (i + 1));
+                const j = Math.floor(this.generator.getRandom() * (i + 1));
                 [availableDoorIndices[i], availableDoorIndices[j]] = [availableDoorIndices[j], availableDoorIndices[i]];
             }
             
@@ -1105,7 +1288,7 @@ export default class Room {
             };
             
             // Check if projectile hits any wall (not including doors)
-            let wallHit = false;
+            let wallHit = null;
             
             // Define the walls as rectangles
             const walls = [
@@ -1136,26 +1319,56 @@ export default class Room {
                 
                 // Check collision
                 if (this.physics.checkCircleRectCollision(projectileHitbox, doorRect)) {
-                    wallHit = true;
+                    wallHit = doorRect;
                     break;
                 }
             }
             
             // Check walls
-            for (const wall of walls) {
-                if (this.physics.checkCircleRectCollision(projectileHitbox, wall)) {
-                    wallHit = true;
-                    break;
-                }
+            if (!wallHit) {
+                wallHit = walls.find(wall => this.physics.checkCircleRectCollision(projectileHitbox, wall)) || null;
             }
             
-            // If projectile hit a wall, deactivate it
-            if (wallHit) {
+            // If projectile hit a wall, bounce it or deactivate it
+            if (wallHit && !this.bounceProjectile(projectile, wallHit)) {
                 projectile.active = false;
             }
         }
     }
     
+    /**
+     * Bounce a player projectile off a wall, door or obstacle if it has bounces left (see the Ricochet relic)
+     * @param {Object} projectile - Player projectile that hit the rectangle
+     * @param {Object} rect - Rectangle it hit
+     * @returns {boolean} True if it bounced and stays in play
+     */
+    bounceProjectile(projectile, rect) {
+        if (!projectile.bounces) return false;
+        
+        // Flip the side of the velocity that carried it into the rectangle
+        const r = this.physics.normalizeRect(rect);
+        const radius = projectile.radius || 5;
+        const cameFromSide = projectile.prevX + radius <= r.x || projectile.prevX - radius >= r.x + r.width;
+        if (cameFromSide) {
+            projectile.velocityX = -projectile.velocityX;
+        } else {
+            projectile.velocityY = -projectile.velocityY;
+        }
+        
+        // Step back out of the rectangle
+        projectile.x = projectile.prevX;
+        projectile.y = projectile.prevY;
+        projectile.bounces--;
+        if (projectile.bounceDamageType) {
+            projectile.damageType = projectile.bounceDamageType;
+        }
+        
+        if (this.effects) {
+            this.effects.createGlowEffect(projectile.x, projectile.y, 4, projectile.color, 0.3);
+        }
+        return true;
+    }
+    
     /**
      * Check if a bullet collides with any obstacles
      * @param {Object} bullet - The bullet to check
@@ -1178,7 +1391,7 @@ export default class Room {
     // Check if all enemies in the room are defeated
     checkAllEnemiesDefeated() {
         const activeEnemies = this.enemies.filter(enemy => enemy.active);
-        return activeEnemies.length === 0;
+        return activeEnemies.length === 0 && !this.encounter.hasPendingWaves();
     }
     
     // Check if room has been cleared (all enemies defeated)
@@ -1186,6 +1399,77 @@ export default class Room {
         return this.cleared || this.checkAllEnemiesDefeated();
     }
     
+    /**
+     * Capture the parts of the room that change during play, for saving
+     * @returns {Object} Plain JSON-safe snapshot of the room state
+     */
+    getSaveState() {
+        return {
+            cleared: this.cleared,
+            doorsOpen: this.doorsOpen,
+            lockedDoors: this.doors.map(door => door.locked),
+            // Only living enemies are kept - defeated ones stay defeated
+            enemies: this.enemies
+                .filter(enemy => enemy.active && !enemy.dying)
+                .map(enemy => ({
+                    x: enemy.x,
+                    y: enemy.y,
+                    type: enemy.type,
+                    affixes: enemy.affixes,
+                    health: enemy.health,
+                    maxHealth: enemy.maxHealth
+                })),
+            items: this.items
+                .filter(item => !item.collected)
+                .map(item => ({ ...item })),
+            // Obstacles in room coordinates, with the damage they've taken - destroyed ones stay destroyed
+            obstacles: this.obstacles.map(obstacle => ({
+                x: obstacle.x,
+                y: obstacle.y,
+                width: obstacle.width,
+                height: obstacle.height,
+                type: obstacle.type,
+                health: obstacle.health,
+                fullWidth: obstacle.fullWidth,
+                fullHeight: obstacle.fullHeight
+            })),
+            descentPortalFloor: this.descentPortalFloor,
+            ...this.encounter.getSaveState(),
+            reinforcementsCalled: this.squadDirector.reinforcementsCalled
+        };
+    }
+    
+    /**
+     * Restore door, obstacle, descent portal and squad state from a snapshot made by getSaveState.
+     * The room must have been built with the snapshot's enemies and items (which carry their own damage).
+     * @param {Object} state - Snapshot from getSaveState
+     */
+    applySaveState(state) {
+        this.cleared = state.cleared;
+        this.doorsOpen = state.doorsOpen;
+        
+        if (Array.isArray(state.lockedDoors)) {
+            state.lockedDoors.forEach((locked, index) => {
+                if (this.doors[index]) {
+                    this.doors[index].locked = locked;
+                }
+            });
+        }
+        
+        // Saved obstacles replace the room data's, which still has the ones destroyed since
+        if (Array.isArray(state.obstacles)) {
+            this.obstacles = state.obstacles.map(obstacle => Obstacles.init({ ...obstacle }));
+            this.invalidateNavigationGrid();
+        }
+        
+        if (state.descentPortalFloor) {
+            this.openDescentPortal(state.descentPortalFloor);
+        }
+        
+        // A room only calls for reinforcements once
+        this.squadDirector.reinforcementsCalled = !!state.reinforcementsCalled;
+    }
+    
     handleBoundaryCollisions(player) {
         // Keep player within room boundaries
         const playerHalfWidth = player.width / 2;
@@ -1362,7 +1646,7 @@ export default class Room {
                     }
                 }
                 
-                console.log(`Player collected an item: ${item.effect}`);
+                console.log(`Player collected an item: ${item.type}`);
             }
         }
         
@@ -1489,7 +1773,16 @@ export default class Room {
      * @returns {boolean} - True if collision detected
      */
     checkBulletObstacleCollision(projectile) {
-        if (!projectile || !projectile.active) return false;
+        return this.getBulletObstacle(projectile) !== null;
+    }
+    
+    /**
+     * Find the obstacle a projectile is hitting
+     * @param {Object} projectile - The projectile to check
+     * @returns {Object|null} - The obstacle hit, or null
+     */
+    getBulletObstacle(projectile) {
+        if (!projectile || !projectile.active) return null;
         
         // Create a circle for the projectile
         const projectileCircle = {
@@ -1501,11 +1794,11 @@ export default class Room {
         // Check against each obstacle
         for (const obstacle of this.obstacles) {
             if (this.physics.checkCircleRectCollision(projectileCircle, obstacle)) {
-                return true;
+                return obstacle;
             }
         }
         
-        return false;
+        return null;
     }
     
     /**
@@ -1625,67 +1918,42 @@ export default class Room {
         // Check collisions with walls
         for (const wall of this.getWallBoundaries()) {
             if (this.physics.checkRectCollision(enemyHitbox, wall)) {
-                // Handle wall collision
-                if (wall.x <= 0 || wall.x + wall.width >= this.width) {
-                    // Horizontal wall collision
+                // Tall walls are the left and right sides, wide ones the top and bottom
+                if (wall.height > wall.width) {
                     if (enemy.x < wall.x + wall.width / 2) {
-                        enemy.x = wall.x + wall.width + enemyHalfWidth;
-                    } else {
                         enemy.x = wall.x - enemyHalfWidth;
+                    } else {
+                        enemy.x = wall.x + wall.width + enemyHalfWidth;
                     }
-                    enemy.velocityX = -enemy.velocityX * 0.5; // Bounce with dampening
                 } else {
-                    // Vertical wall collision
                     if (enemy.y < wall.y + wall.height / 2) {
-                        enemy.y = wall.y + wall.height + enemyHalfHeight;
-                    } else {
                         enemy.y = wall.y - enemyHalfHeight;
+                    } else {
+                        enemy.y = wall.y + wall.height + enemyHalfHeight;
                     }
-                    enemy.velocityY = -enemy.velocityY * 0.5; // Bounce with dampening
                 }
+                enemyHitbox.x = enemy.x - enemyHalfWidth;
+                enemyHitbox.y = enemy.y - enemyHalfHeight;
                 collided = true;
             }
         }
         
-        // Check collisions with obstacles
+        // Check collisions with obstacles (x/y is the top-left corner, as they're drawn)
         for (const obstacle of this.obstacles) {
-            const obstacleHitbox = {
-                x: obstacle.x,
-                y: obstacle.y,
-                width: obstacle.width,
-                height: obstacle.height
-            };
-            
-            if (this.physics.checkRectCollision(enemyHitbox, obstacleHitbox)) {
-                // Calculate the overlap on each axis
-                const dx = enemy.x - obstacleHitbox.x;
-                const dy = enemy.y - obstacleHitbox.y;
-                
-                // Determine which side of the obstacle was hit
-                if (Math.abs(dx) / (obstacleHitbox.width / 2) > Math.abs(dy) / (obstacleHitbox.height / 2)) {
-                    // Horizontal collision
-                    if (dx > 0) {
-                        // Collided with left side of obstacle
-                        enemy.x = obstacleHitbox.x + obstacleHitbox.width / 2 + enemyHalfWidth;
-                        enemy.velocityX = Math.abs(enemy.velocityX); // Force velocity away from obstacle
-                    } else {
-                        // Collided with right side of obstacle
-                        enemy.x = obstacleHitbox.x - obstacleHitbox.width / 2 - enemyHalfWidth;
-                        enemy.velocityX = -Math.abs(enemy.velocityX); // Force velocity away from obstacle
-                    }
+            if (this.physics.checkRectCollision(enemyHitbox, obstacle)) {
+                // Push out along the axis with the smaller overlap
+                const centerX = obstacle.x + obstacle.width / 2;
+                const centerY = obstacle.y + obstacle.height / 2;
+                const overlapX = enemyHalfWidth + obstacle.width / 2 - Math.abs(enemy.x - centerX);
+                const overlapY = enemyHalfHeight + obstacle.height / 2 - Math.abs(enemy.y - centerY);
+                
+                if (overlapX < overlapY) {
+                    enemy.x += enemy.x < centerX ? -overlapX : overlapX;
                 } else {
-                    // Vertical collision
-                    if (dy > 0) {
-                        // Collided with top side of obstacle
-                        enemy.y = obstacleHitbox.y + obstacleHitbox.height / 2 + enemyHalfHeight;
-                        enemy.velocityY = Math.abs(enemy.velocityY); // Force velocity away from obstacle
-                    } else {
-                        // Collided with bottom side of obstacle
-                        enemy.y = obstacleHitbox.y - obstacleHitbox.height / 2 - enemyHalfHeight;
-                        enemy.velocityY = -Math.abs(enemy.velocityY); // Force velocity away from obstacle
-                    }
+                    enemy.y += enemy.y < centerY ? -overlapY : overlapY;
                 }
-                
+                enemyHitbox.x = enemy.x - enemyHalfWidth;
+                enemyHitbox.y = enemy.y - enemyHalfHeight;
                 collided = true;
             }
         }
@@ -1723,8 +1991,8 @@ export default class Room {
                         // Emergency check - if item is still on obstacle, force to center
                         if (this._isItemCollidingWithAnyObstacle(item)) {
                             console.warn("EMERGENCY: Item at (${Math.round(item.x)}, ${Math.round(item.y)}) still on obstacle - forcing to center");
-                            item.x = this.width / 2 + (Math.random() - 0.5) * 100;
-                            item.y = this.height / 2 + (Math.random() - 0.5) * 100;
+                            item.x = this.width / 2 + (this.generator.getRandom() - 0.5) * 100;
+                            item.y = this.height / 2 + (this.generator.getRandom() - 0.5) * 100;
                         }
                     }
                 }
@@ -1767,6 +2035,12 @@ export default class Room {
         // Draw obstacles (must be before doors to ensure doors are visible)
         if (this.obstacles && this.obstacles.length > 0) {
             for (const obstacle of this.obstacles) {
+                // Crates, barrels and cover have their own look
+                if (obstacle.type && obstacle.type !== 'wall') {
+                    Obstacles.render(ctx, obstacle);
+                    continue;
+                }
+                
                 // Save context for glow effects
                 ctx.save();
                 
@@ -1876,12 +2150,9 @@ export default class Room {
                     ctx.textAlign = 'center';
                     ctx.textBaseline = 'middle';
                     
-                    let symbol = '+'; // Default to plus sign
-                    if (item.symbol) {
-                        symbol = item.symbol;
-                    } else if (item.effect === 'restoreHealth') symbol = '+';
-                    else if (item.effect === 'increaseSpeed') symbol = '⚡';
-                    else if (item.effect === 'powerUpWeapon') symbol = '★';
+                    // Items from older saves may not carry their symbol - fall back to the registry
+                    const itemType = getItemType(item.type);
+                    const symbol = item.symbol || (itemType ? itemType.symbol : '+');
                     
                     ctx.fillText(symbol, item.x, item.y);
                     
@@ -1891,6 +2162,14 @@ export default class Room {
             }
         }
         
+        // Draw the descent portal under the enemies
+        if (this.descentPortal) {
+            this.descentPortal.render(ctx);
+        }
+        
+        // Draw spawn portals for the incoming wave
+        this.encounter.render(ctx);
+        
         // Draw enemies
         for (const enemy of this.enemies) {
             if (enemy && enemy.render && typeof enemy.render === 'function') {
@@ -1905,8 +2184,6 @@ export default class Room {
      * @param {CanvasRenderingContext2D} ctx - Canvas context to render on
      */
     renderAllProjectiles(ctx) {
-        let totalProjectiles = 0;
-        
         // Save the context state
         ctx.save();
         
@@ -1916,10 +2193,6 @@ export default class Room {
                 continue;
             }
             
-            // Log how many projectiles we're trying to render
-            console.log(`Rendering ${enemy.projectiles.length} projectiles for enemy at (${enemy.x.toFixed(1)},${enemy.y.toFixed(1)})`);
-            totalProjectiles += enemy.projectiles.length;
-            
             // Render each projectile with enhanced visibility
             for (const projectile of enemy.projectiles) {
                 if (!projectile.active) continue;
@@ -1930,9 +2203,9 @@ export default class Room {
                 const radius = projectile.radius || 8;
                 const color = projectile.color || '#00ff88';
                 
-                // Debug log for first couple of projectiles
-                if (totalProjectiles <= 3) {
-                    console.log(`Drawing projectile at (${x.toFixed(1)},${y.toFixed(1)}), radius: ${radius}, color: ${color}`);
+                // Delayed projectiles pulse while they hang in place
+                if (projectile.delay > 0) {
+                    ctx.globalAlpha = 0.5 + 0.5 * Math.abs(Math.sin(projectile.delay / 80));
                 }
                 
                 // Outer glow
@@ -1989,11 +2262,6 @@ export default class Room {
             }
         }
         
-        // Log total projectiles rendered
-        if (totalProjectiles > 0) {
-            console.log(`Total projectiles rendered: ${totalProjectiles}`);
-        }
-        
         // Restore context state
         ctx.restore();
     }
@@ -2013,15 +2281,15 @@ export default class Room {
     }
     
     /**
-     * Fires a highly visible test projectile from each patrol enemy
+     * Fires a highly visible test projectile from each ranged enemy
      * @param {Object} player - The player to target
      */
     fireDebugProjectile(player) {
         let count = 0;
         
-        // Find patrol enemies and make them fire
+        // Find ranged enemies and make them fire
         for (const enemy of this.enemies) {
-            if (enemy.type === 'patrol' && enemy.active) {
+            if (enemy.archetype.ranged && enemy.active) {
                 // Create a special large, bright projectile aimed at player
                 const dirX = player.x - enemy.x;
                 const dirY = player.y - enemy.y;
@@ -2204,7 +2472,9 @@ export default class Room {
                 if (distance < playerRadius + projectile.radius) {
                     // Player hit by projectile
                     try {
-                        player.takeDamage(projectile.damage);
+                        if (player.takeDamage(projectile.damage, projectile.damageType)) {
+                            enemy.onHitPlayer(projectile.damage, this.effects);
+                        }
                     } catch (e) {
                         console.warn("Error when player takes damage:", e);
                     }
@@ -2243,8 +2513,9 @@ export default class Room {
                 const distanceSquared = distanceX * distanceX + distanceY * distanceY;
                 
                 if (distanceSquared < projectile.radius * projectile.radius) {
-                    // Projectile hit obstacle
+                    // Projectile hit obstacle (enemy fire wears cover down too)
                     projectile.active = false;
+                    Obstacles.damage(this, obstacle, projectile.damage || 10, this.effects);
                     
                     // Create impact effect if effects manager available
                     if (this.effects) {
@@ -2326,7 +2597,7 @@ export default class Room {
                         
                         // If item is at exact same position as obstacle, pick random direction
                         if (dirX === 0 && dirY === 0) {
-                            const angle = Math.random() * Math.PI * 2;
+                            const angle = this.generator.getRandom() * Math.PI * 2;
                             dirX = Math.cos(angle);
                             dirY = Math.sin(angle);
                         }
@@ -2356,8 +2627,8 @@ export default class Room {
                 // CRITICAL: if we couldn't move the item safely, force it to center
                 if (itemMoved && this._isItemCollidingWithAnyObstacle(item)) {
                     console.warn("EMERGENCY: Item still colliding after move attempt - forcing to center");
-                    item.x = this.width / 2 + (Math.random() - 0.5) * 40;
-                    item.y = this.height / 2 + (Math.random() - 0.5) * 40;
+                    item.x = this.width / 2 + (this.generator.getRandom() - 0.5) * 40;
+                    item.y = this.height / 2 + (this.generator.getRandom() - 0.5) * 40;
                 }
             }
         }
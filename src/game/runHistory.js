@@ -0,0 +1,191 @@
+// runHistory.js - Local high-score table and history of finished runs, stored in localStorage
+
+// Bump when the stored layout changes and add a migration below, so older records are upgraded instead of lost
+export const RUN_HISTORY_FORMAT_VERSION = 1;
+
+// Migrations from each older version to the next one: MIGRATIONS[n] turns version n data into version n + 1
+const MIGRATIONS = {};
+
+// Best runs kept on the leaderboard
+export const LEADERBOARD_SIZE = 10;
+
+// Most recent runs kept in the history, newest first
+const HISTORY_SIZE = 30;
+
+export class RunHistory {
+    constructor(storageKey = 'neonRequiem.runHistory') {
+        this.storageKey = storageKey;
+        this.readOnly = false; // Set when the stored data is from a newer version we mustn't overwrite
+        this.data = this.load();
+    }
+    
+    /**
+     * Empty leaderboard and history for a new player
+     * @returns {Object} Default run history data
+     */
+    static createDefaultData() {
+        return {
+            leaderboard: [],
+            history: []
+        };
+    }
+    
+    /**
+     * Read the leaderboard and history from storage, migrating older versions
+     * @returns {Object} Run history data
+     */
+    load() {
+        try {
+            const raw = window.localStorage.getItem(this.storageKey);
+            if (!raw) return RunHistory.createDefaultData();
+            
+            const payload = JSON.parse(raw);
+            let version = payload && payload.version;
+            let data = payload && payload.data;
+            
+            if (typeof version !== 'number' || !data) {
+                console.warn("Ignoring unreadable run history");
+                return RunHistory.createDefaultData();
+            }
+            
+            // History from a newer build - show it but never write over it
+            if (version > RUN_HISTORY_FORMAT_VERSION) {
+                console.warn(`Run history is from a newer version (${version}), new runs won't be saved`);
+                this.readOnly = true;
+            }
+            
+            while (version < RUN_HISTORY_FORMAT_VERSION) {
+                if (!MIGRATIONS[version]) {
+                    console.warn(`No migration from run history version ${version}, starting fresh`);
+                    return RunHistory.createDefaultData();
+                }
+                data = MIGRATIONS[version](data);
+                version++;
+            }
+            
+            return RunHistory.sanitize(data);
+        } catch (error) {
+            console.warn("Could not load run history:", error);
+            return RunHistory.createDefaultData();
+        }
+    }
+    
+    /**
+     * Drop malformed entries and re-apply the size limits
+     * @param {Object} data - Stored run history data
+     * @returns {Object} Run history data safe to use
+     */
+    static sanitize(data) {
+        const isRun = run => run && typeof run.id === 'string' && Number.isFinite(run.score);
+        const leaderboard = Array.isArray(data.leaderboard) ? data.leaderboard.filter(isRun) : [];
+        const history = Array.isArray(data.history) ? data.history.filter(isRun) : [];
+        
+        return {
+            leaderboard: leaderboard.sort(RunHistory.compareRuns).slice(0, LEADERBOARD_SIZE),
+            history: history.slice(0, HISTORY_SIZE)
+        };
+    }
+    
+    /**
+     * Leaderboard order: higher score first, ties go to the faster run, then the earlier one
+     * @param {Object} a - Run record
+     * @param {Object} b - Run record
+     * @returns {number} Sort order
+     */
+    static compareRuns(a, b) {
+        return (b.score - a.score) || (a.timeSurvived - b.timeSurvived) || a.date.localeCompare(b.date);
+    }
+    
+    /**
+     * Write the leaderboard and history to storage
+     * @returns {boolean} True if the save succeeded
+     */
+    save() {
+        if (this.readOnly) return false;
+        
+        try {
+            const payload = {
+                version: RUN_HISTORY_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                data: this.data
+            };
+            window.localStorage.setItem(this.storageKey, JSON.stringify(payload));
+            return true;
+        } catch (error) {
+            // Storage can be full or disabled (private browsing)
+            console.warn("Could not save run history:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Add a finished run to the history and, if it scored high enough, the leaderboard
+     * @param {Object} stats - Run summary (score, roomsCleared, floor, timeSurvived, kills, damageTaken,
+     *                         timeSpentInRooms, weapon, seed, victory)
+     * @returns {Object} The stored run record, with its leaderboard rank (1-based, or null if it didn't place)
+     */
+    recordRun(stats) {
+        const date = new Date().toISOString();
+        const run = {
+            id: `${date}:${stats.seed}`,
+            date,
+            seed: String(stats.seed),
+            score: Math.floor(stats.score) || 0,
+            roomsCleared: stats.roomsCleared || 0,
+            floor: stats.floor || 1,
+            timeSurvived: Math.floor(stats.timeSurvived) || 0,
+            kills: stats.kills || 0,
+            damageTaken: Math.floor(stats.damageTaken) || 0,
+            timeSpentInRooms: Math.floor(stats.timeSpentInRooms) || 0,
+            weapon: stats.weapon || 'blaster',
+            victory: !!stats.victory
+        };
+        
+        this.data.history.unshift(run);
+        this.data.history = this.data.history.slice(0, HISTORY_SIZE);
+        
+        this.data.leaderboard.push(run);
+        this.data.leaderboard.sort(RunHistory.compareRuns);
+        this.data.leaderboard = this.data.leaderboard.slice(0, LEADERBOARD_SIZE);
+        
+        this.save();
+        
+        const rank = this.getRank(run.id);
+        console.log(`Run recorded: ${run.score} points${rank ? `, leaderboard rank ${rank}` : ''}`);
+        return { ...run, rank };
+    }
+    
+    /**
+     * @param {string} runId - Run record id
+     * @returns {number|null} 1-based leaderboard position, or null if the run isn't on it
+     */
+    getRank(runId) {
+        const index = this.data.leaderboard.findIndex(run => run.id === runId);
+        return index === -1 ? null : index + 1;
+    }
+    
+    /**
+     * @param {number} count - Number of entries
+     * @returns {Array} Best runs, highest score first
+     */
+    getTopRuns(count = LEADERBOARD_SIZE) {
+        return this.data.leaderboard.slice(0, count);
+    }
+    
+    /**
+     * @returns {Array} Recent runs, newest first
+     */
+    getRecentRuns() {
+        return this.data.history;
+    }
+    
+    /**
+     * Format a duration for display
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Minutes and seconds, e.g. "3:07"
+     */
+    static formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+}
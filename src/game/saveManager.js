@@ -0,0 +1,73 @@
+// saveManager.js - Persists an in-progress run to localStorage so it can be resumed later
+
+// Bump when the save layout changes; older saves are discarded instead of loading broken state
+export const SAVE_FORMAT_VERSION = 2;
+
+export class SaveManager {
+    constructor(storageKey = 'neonRequiem.savedRun') {
+        this.storageKey = storageKey;
+    }
+    
+    /**
+     * Write run data to storage
+     * @param {Object} data - JSON-safe run data from Game.createSaveData()
+     * @returns {boolean} True if the save succeeded
+     */
+    save(data) {
+        try {
+            const payload = {
+                version: SAVE_FORMAT_VERSION,
+                savedAt: new Date().toISOString(),
+                data: data
+            };
+            window.localStorage.setItem(this.storageKey, JSON.stringify(payload));
+            console.log(`Run saved (room ${data.currentRoomId}, score ${data.score})`);
+            return true;
+        } catch (error) {
+            // Storage can be full or disabled (private browsing)
+            console.warn("Could not save run:", error);
+            return false;
+        }
+    }
+    
+    /**
+     * Read the saved run, if there is a compatible one
+     * @returns {Object|null} Saved run data, or null if none
+     */
+    load() {
+        try {
+            const raw = window.localStorage.getItem(this.storageKey);
+            if (!raw) return null;
+            
+            const payload = JSON.parse(raw);
+            if (!payload || payload.version !== SAVE_FORMAT_VERSION || !payload.data) {
+                console.warn(`Discarding incompatible save (version ${payload && payload.version})`);
+                this.clear();
+                return null;
+            }
+            
+            return payload.data;
+        } catch (error) {
+            console.warn("Could not load saved run:", error);
+            return null;
+        }
+    }
+    
+    /**
+     * @returns {boolean} True if a saved run is available
+     */
+    hasSave() {
+        return this.load() !== null;
+    }
+    
+    /**
+     * Delete the saved run (e.g. after the player dies)
+     */
+    clear() {
+        try {
+            window.localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.warn("Could not clear saved run:", error);
+        }
+    }
+}
@@ -0,0 +1,367 @@
+// squadDirector.js - Room-level squad director: groups enemies into squads, hands out combat roles and reacts to losses
+import EnemyPerception, { ALERT_STATES } from './enemyPerception.js';
+import { pickArchetype } from './enemyArchetypes.js';
+
+// Roles an alerted squad member can be given (see Enemy.updateSquadRole)
+export const SQUAD_ROLES = {
+    RUSH: 'rush',       // Close in from its own side of the player
+    FLANK: 'flank',     // Circle around to the player's side (EnemyAI.flank)
+    HOLD: 'hold',       // Keep its distance and shoot
+    RETREAT: 'retreat', // Back off after the squad took heavy losses
+    REGROUP: 'regroup'  // Gather with the survivors before going back in
+};
+
+// Enemies this close to a squad's first member join it, up to the size limit
+const SQUAD_RADIUS = 250;
+const MAX_SQUAD_SIZE = 4;
+
+// Time (ms) between role and slot reassignments
+const ROLE_INTERVAL = 1000;
+
+// Gap (radians) kept between the directions enemies come at the player from, so they don't all funnel into one spot
+const SLOT_SPACING = 0.6;
+const SLOT_PASSES = 4;
+
+// A squad falls back once it's down to this fraction of its starting size
+const BREAK_RATIO = 0.5;
+
+// Time (ms) a broken squad retreats, and the longest it spends regrouping before going back in
+const RETREAT_TIME = 1500;
+const REGROUP_TIME = 2500;
+
+// Survivors count as regrouped once they're all this close to the rally point
+const REGROUP_RADIUS = 60;
+
+// Reinforcements come through a door once a room with at least REINFORCEMENT_MIN_ENEMIES enemies is down to
+// REINFORCEMENT_RATIO of them - once per room, from difficulty REINFORCEMENT_MIN_DIFFICULTY up
+const REINFORCEMENT_MIN_DIFFICULTY = 3;
+const REINFORCEMENT_MIN_ENEMIES = 3;
+const REINFORCEMENT_RATIO = 1 / 3;
+const MAX_REINFORCEMENTS = 3;
+
+// How far inside the door reinforcements appear
+const REINFORCEMENT_DOOR_OFFSET = 50;
+
+export default class SquadDirector {
+    /**
+     * @param {Object} room - The room whose enemies this director commands
+     */
+    constructor(room) {
+        this.room = room;
+        this.squads = [];
+        this.roleTimer = 0;
+        this.startingCount = null; // Enemies in the room the first time the director ran
+        this.reinforcementsCalled = false;
+    }
+    
+    /**
+     * @param {Object} enemy - An enemy in the room
+     * @returns {boolean} True if the enemy takes orders (bosses, their minions and ambushers fight on their own)
+     */
+    static isSquadEnemy(enemy) {
+        const type = enemy.archetype.behavior.type;
+        return enemy.active && !enemy.dying && !enemy.isMinion &&
+            (type === 'chase' || type === 'flank' || type === 'patrol');
+    }
+    
+    /**
+     * Update squads for one simulation step: track losses, move squads between engage/retreat/regroup,
+     * hand out roles and call reinforcements
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    update(deltaTime, player, effects = null) {
+        const living = this.room.enemies.filter(enemy => enemy.active && !enemy.dying);
+        if (this.startingCount === null) {
+            this.startingCount = living.length;
+        }
+        
+        // Drop the dead, and let enemies that appeared since (splits, reinforcements) join a squad
+        for (const squad of this.squads) {
+            squad.members = squad.members.filter(enemy => enemy.active && !enemy.dying);
+        }
+        this.squads = this.squads.filter(squad => squad.members.length > 0);
+        for (const enemy of living) {
+            if (!enemy.squad && SquadDirector.isSquadEnemy(enemy)) {
+                this.joinSquad(enemy);
+            }
+        }
+        
+        for (const squad of this.squads) {
+            this.updateSquadState(squad, deltaTime);
+        }
+        
+        this.roleTimer -= deltaTime;
+        if (this.roleTimer <= 0) {
+            this.roleTimer = ROLE_INTERVAL;
+            this.assignRoles(player);
+        }
+        
+        this.checkReinforcements(living, player, effects);
+    }
+    
+    /**
+     * Put an enemy in the nearest squad with room, or start a new squad
+     * @param {Object} enemy - Enemy without a squad
+     */
+    joinSquad(enemy) {
+        let best = null;
+        let bestDistance = SQUAD_RADIUS;
+        
+        for (const squad of this.squads) {
+            if (squad.members.length >= MAX_SQUAD_SIZE || squad.state !== 'engage') continue;
+            const leader = squad.members[0];
+            const distance = Math.hypot(leader.x - enemy.x, leader.y - enemy.y);
+            if (distance < bestDistance) {
+                best = squad;
+                bestDistance = distance;
+            }
+        }
+        
+        if (!best) {
+            best = { members: [], startSize: 0, state: 'engage', timer: 0, rally: null, broken: false };
+            this.squads.push(best);
+        }
+        
+        best.members.push(enemy);
+        best.startSize = Math.max(best.startSize, best.members.length);
+        enemy.squad = best;
+    }
+    
+    /**
+     * Break a squad that has lost too many members, then walk it through retreat and regroup
+     * @param {Object} squad - The squad
+     * @param {number} deltaTime - Time since last frame in milliseconds
+     */
+    updateSquadState(squad, deltaTime) {
+        squad.timer -= deltaTime;
+        
+        switch (squad.state) {
+            case 'engage':
+                // Only squads that have actually lost someone break, and only once
+                if (!squad.broken && squad.startSize > 1 && squad.members.length <= squad.startSize * BREAK_RATIO) {
+                    squad.broken = true;
+                    this.setSquadState(squad, 'retreat', RETREAT_TIME);
+                }
+                break;
+            
+            case 'retreat':
+                if (squad.timer <= 0) {
+                    squad.rally = SquadDirector.getCentroid(squad.members);
+                    this.setSquadState(squad, 'regroup', REGROUP_TIME);
+                }
+                break;
+            
+            case 'regroup': {
+                const gathered = squad.members.every(enemy =>
+                    Math.hypot(enemy.x - squad.rally.x, enemy.y - squad.rally.y) <= REGROUP_RADIUS);
+                if (gathered || squad.timer <= 0) {
+                    this.mergeSquad(squad);
+                    this.setSquadState(squad, 'engage', 0);
+                }
+                break;
+            }
+        }
+    }
+    
+    /**
+     * @param {Object} squad - The squad
+     * @param {string} state - 'engage', 'retreat' or 'regroup'
+     * @param {number} duration - Time (ms) the state lasts
+     */
+    setSquadState(squad, state, duration) {
+        squad.state = state;
+        squad.timer = duration;
+        
+        // Orders change straight away rather than at the next reassignment
+        const role = state === 'retreat' ? SQUAD_ROLES.RETREAT : state === 'regroup' ? SQUAD_ROLES.REGROUP : null;
+        for (const enemy of squad.members) {
+            enemy.squadRole = role;
+        }
+        if (state === 'engage') {
+            this.roleTimer = 0;
+        }
+    }
+    
+    /**
+     * Fold a regrouped squad's survivors into the nearest other squad with room for them
+     * @param {Object} squad - The regrouped squad
+     */
+    mergeSquad(squad) {
+        let best = null;
+        let bestDistance = Infinity;
+        
+        for (const other of this.squads) {
+            if (other === squad || other.state !== 'engage') continue;
+            if (other.members.length + squad.members.length > MAX_SQUAD_SIZE) continue;
+            const center = SquadDirector.getCentroid(other.members);
+            const distance = Math.hypot(center.x - squad.rally.x, center.y - squad.rally.y);
+            if (distance < bestDistance) {
+                best = other;
+                bestDistance = distance;
+            }
+        }
+        
+        if (!best) return;
+        
+        for (const enemy of squad.members) {
+            enemy.squad = best;
+            best.members.push(enemy);
+        }
+        best.startSize = Math.max(best.startSize, best.members.length);
+        squad.members = [];
+    }
+    
+    /**
+     * Give every engaged, alerted squad member a role and a direction to come at the player from
+     * @param {Object} player - The player object
+     */
+    assignRoles(player) {
+        const fighters = [];
+        
+        for (const squad of this.squads) {
+            if (squad.state !== 'engage' || squad.members.length === 0) continue;
+            
+            let melee = 0;
+            let flankSide = 1;
+            for (const enemy of squad.members) {
+                if (enemy.perception.state !== ALERT_STATES.ALERTED) {
+                    enemy.squadRole = null;
+                    continue;
+                }
+                
+                if (enemy.archetype.ranged) {
+                    enemy.squadRole = SQUAD_ROLES.HOLD;
+                } else if (enemy.archetype.behavior.type === 'flank' || (squad.members.length >= 3 && melee % 3 === 2)) {
+                    // Flankers flank; bigger squads send every third melee member around the side too
+                    enemy.squadRole = SQUAD_ROLES.FLANK;
+                } else {
+                    enemy.squadRole = SQUAD_ROLES.RUSH;
+                }
+                
+                if (!enemy.archetype.ranged) {
+                    melee++;
+                }
+                
+                // Flankers in a squad go around opposite sides
+                if (enemy.squadRole === SQUAD_ROLES.FLANK) {
+                    enemy.preferredSide = flankSide;
+                    flankSide = -flankSide;
+                } else {
+                    fighters.push(enemy);
+                }
+            }
+        }
+        
+        this.assignSlots(fighters, player);
+    }
+    
+    /**
+     * Spread out the directions enemies come at the player from. Each enemy keeps roughly its own side of
+     * the player, but neighbours closer than SLOT_SPACING are pushed apart so nobody funnels into the same gap
+     * @param {Array} fighters - Enemies rushing or holding range
+     * @param {Object} player - The player object
+     */
+    assignSlots(fighters, player) {
+        if (fighters.length === 0) return;
+        
+        for (const enemy of fighters) {
+            enemy.squadSlot = Math.atan2(enemy.y - player.y, enemy.x - player.x);
+        }
+        if (fighters.length === 1) return;
+        
+        fighters.sort((a, b) => a.squadSlot - b.squadSlot);
+        const spacing = Math.min(SLOT_SPACING, (Math.PI * 2) / fighters.length);
+        
+        // A few relaxation passes over each neighbouring pair, including the pair that wraps around
+        for (let pass = 0; pass < SLOT_PASSES; pass++) {
+            for (let i = 0; i < fighters.length; i++) {
+                const a = fighters[i];
+                const b = fighters[(i + 1) % fighters.length];
+                let gap = b.squadSlot - a.squadSlot;
+                if (i === fighters.length - 1) gap += Math.PI * 2;
+                
+                if (gap < spacing) {
+                    const push = (spacing - gap) / 2;
+                    a.squadSlot -= push;
+                    b.squadSlot += push;
+                }
+            }
+        }
+    }
+    
+    /**
+     * Send reinforcements through the door furthest from the player once the room's defenders are nearly gone
+     * @param {Array} living - Living enemies in the room
+     * @param {Object} player - The player object
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    checkReinforcements(living, player, effects) {
+        const room = this.room;
+        if (this.reinforcementsCalled || room.difficulty < REINFORCEMENT_MIN_DIFFICULTY) return;
+        if (this.startingCount < REINFORCEMENT_MIN_ENEMIES || living.length === 0) return;
+        if (living.length > this.startingCount * REINFORCEMENT_RATIO) return;
+        
+        // Rooms with waves still to come get their help from those instead
+        if (room.encounter && room.encounter.hasPendingWaves()) return;
+        
+        // Boss fights have their own summons
+        if (living.some(enemy => enemy.type === 'boss')) return;
+        
+        // Only a squad that's still fighting can call for help
+        if (!living.some(enemy => enemy.squad)) return;
+        
+        this.reinforcementsCalled = true;
+        
+        let door = room.doors[0];
+        let bestDistance = -1;
+        for (const candidate of room.doors) {
+            const distance = Math.hypot(candidate.x - player.x, candidate.y - player.y);
+            if (distance > bestDistance) {
+                door = candidate;
+                bestDistance = distance;
+            }
+        }
+        
+        // Step in from the door toward the middle of the room
+        const dx = room.width / 2 - door.x;
+        const dy = room.height / 2 - door.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        const x = door.x + (dx / length) * REINFORCEMENT_DOOR_OFFSET;
+        const y = door.y + (dy / length) * REINFORCEMENT_DOOR_OFFSET;
+        
+        const count = Math.min(MAX_REINFORCEMENTS, 1 + Math.floor(room.difficulty / 4));
+        for (let i = 0; i < count; i++) {
+            // Line them up across the doorway
+            const offset = (i - (count - 1) / 2) * 35;
+            const enemy = room.spawnEnemy(pickArchetype(room.difficulty, room.random),
+                x - (dy / length) * offset, y + (dx / length) * offset);
+            EnemyPerception.alert(enemy, player.x, player.y);
+            
+            if (effects) {
+                effects.createGlowEffect(enemy.x, enemy.y, 15, enemy.color, 0.8);
+            }
+        }
+        
+        if (typeof window.showNotification === 'function') {
+            window.showNotification('Reinforcements incoming!');
+        }
+        
+        console.log(`Squad director called ${count} reinforcements`);
+    }
+    
+    /**
+     * @param {Array} members - Enemies
+     * @returns {Object} Average position {x, y}
+     */
+    static getCentroid(members) {
+        let x = 0;
+        let y = 0;
+        for (const enemy of members) {
+            x += enemy.x;
+            y += enemy.y;
+        }
+        return { x: x / members.length, y: y / members.length };
+    }
+}
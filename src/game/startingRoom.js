@@ -1,6 +1,7 @@
 // startingRoom.js - Self-contained starting room with menu functionality
 import { Physics } from './physics.js';
 import { createVibePortal } from './vibePortal.js';
+import { getItemType, createItem } from './items.js';
 
 export class StartingRoom {
     constructor(game) {
@@ -43,8 +44,22 @@ export class StartingRoom {
             "Mouse: Aim & Shoot",
             "Shift / Space: Dash",
             "P: Pause Game",
+            "N: Enter Run Seed",
         ];
         
+        // Offer to resume a run saved with Save & Quit (or autosaved before closing the tab)
+        this.hasSavedRun = game.saveManager ? game.saveManager.hasSave() : false;
+        
+        // Upgrade terminal in the top-right corner for spending shards between runs
+        this.upgradeTerminal = {
+            x: this.width - this.wallThickness - 90,
+            y: this.wallThickness + 70,
+            width: 60,
+            height: 44,
+            interactionRange: 80,
+            playerNearby: false
+        };
+        
         // Create Vibeverse portal if portal parameter is in URL
         this.vibePortal = null;
         if (new URLSearchParams(window.location.search).get('portal')) {
@@ -157,6 +172,10 @@ export class StartingRoom {
             this.alchemistPortal.checkCollision(player);
         }
         
+        // Check if player is close enough to use the upgrade terminal
+        const terminal = this.upgradeTerminal;
+        terminal.playerNearby = Math.hypot(player.x - terminal.x, player.y - terminal.y) < terminal.interactionRange;
+        
         // Create subtle ambient particles if effects are available
         if (this.effects && typeof this.effects.createParticle === 'function') {
             if (Math.random() < 0.05) { // Occasional particle
@@ -470,14 +489,6 @@ export class StartingRoom {
      * Spawn items in the starting room, ensuring they're in open areas
      */
     spawnStartingItems() {
-        // Define item types similar to the procedural generator
-        const itemTypes = {
-            health: { color: '#ff0000', radius: 10, effect: 'restoreHealth' },
-            speedBoost: { color: '#00ffff', radius: 8, effect: 'increaseSpeed' },
-            shield: { color: '#ffff00', radius: 12, effect: 'addShield' },
-            ammo: { color: '#00ff00', radius: 8, effect: 'addAmmo' }
-        };
-        
         // Create one of each item type for demonstration
         const itemsToCreate = [
             { type: 'health', offsetX: -120, offsetY: -80 },
@@ -491,7 +502,7 @@ export class StartingRoom {
         const centerY = this.height / 2;
         
         for (const itemConfig of itemsToCreate) {
-            const itemInfo = itemTypes[itemConfig.type];
+            const itemInfo = getItemType(itemConfig.type);
             
             // Try to find a valid position
             const position = this.findSafeItemPosition(
@@ -502,12 +513,7 @@ export class StartingRoom {
             
             if (position) {
                 this.items.push({
-                    x: position.x,
-                    y: position.y,
-                    type: itemConfig.type,
-                    color: itemInfo.color,
-                    radius: itemInfo.radius,
-                    effect: itemInfo.effect,
+                    ...createItem(itemConfig.type, position.x, position.y),
                     active: true
                 });
             }
@@ -695,6 +701,12 @@ export class StartingRoom {
         // Add an arrow pointing to the door
         this.renderArrow(ctx, viewPosition);
         
+        // Draw the upgrade terminal
+        this.renderUpgradeTerminal(ctx, viewPosition);
+        
+        // Draw the high score board
+        this.renderHighScores(ctx, viewPosition);
+        
         // Draw Vibeverse portals
         if (this.vibePortal) {
             this.vibePortal.render(ctx);
@@ -744,6 +756,17 @@ export class StartingRoom {
             );
         });
         
+        // Saved run prompt, highlighted above the regular instructions
+        if (this.hasSavedRun) {
+            ctx.font = 'bold 20px Arial, sans-serif';
+            ctx.fillStyle = '#00FFFF';
+            ctx.fillText(
+                "C: Continue Saved Run",
+                viewPosition.x + this.width / 2,
+                viewPosition.y + this.height / 2 - 40
+            );
+        }
+        
         // Additional instruction with arrow pointing to door
         ctx.font = 'bold 22px Arial, sans-serif';
         ctx.fillStyle = this.unlockedDoorColor;
@@ -793,6 +816,111 @@ export class StartingRoom {
         ctx.shadowBlur = 0;
     }
     
+    /**
+     * Render the upgrade terminal with the current shard balance
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} viewPosition - View position
+     */
+    renderUpgradeTerminal(ctx, viewPosition) {
+        const terminal = this.upgradeTerminal;
+        const left = viewPosition.x + terminal.x - terminal.width / 2;
+        const top = viewPosition.y + terminal.y - terminal.height / 2;
+        const glow = terminal.playerNearby ? 20 : 8 + Math.sin(Date.now() / 400) * 4;
+        
+        ctx.save();
+        
+        // Console body
+        ctx.fillStyle = '#1a1030';
+        ctx.strokeStyle = '#33ff77';
+        ctx.lineWidth = 2;
+        ctx.shadowColor = '#33ff77';
+        ctx.shadowBlur = glow;
+        ctx.fillRect(left, top, terminal.width, terminal.height);
+        ctx.strokeRect(left, top, terminal.width, terminal.height);
+        
+        // Screen
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = 'rgba(51, 255, 119, 0.25)';
+        ctx.fillRect(left + 6, top + 6, terminal.width - 12, terminal.height - 16);
+        
+        // Label and balance
+        ctx.font = 'bold 12px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#33ff77';
+        ctx.fillText('UPGRADES', viewPosition.x + terminal.x, top - 8);
+        
+        const meta = this.game.metaProgression;
+        if (meta) {
+            ctx.font = '12px Arial, sans-serif';
+            ctx.fillStyle = '#00FFFF';
+            ctx.fillText(`◆ ${meta.data.currency}`, viewPosition.x + terminal.x, top + terminal.height / 2 + 2);
+        }
+        
+        // Interaction hint
+        if (terminal.playerNearby) {
+            ctx.font = 'bold 14px Arial, sans-serif';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText('Press U', viewPosition.x + terminal.x, top + terminal.height + 20);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the best local runs in the top-left corner
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} viewPosition - View position
+     */
+    renderHighScores(ctx, viewPosition) {
+        if (!this.game.runHistory) return;
+        
+        const runs = this.game.runHistory.getTopRuns(3);
+        const left = viewPosition.x + this.wallThickness + 20;
+        const top = viewPosition.y + this.wallThickness + 20;
+        const boardWidth = 170;
+        const boardHeight = 40 + Math.max(1, runs.length) * 20 + 22;
+        
+        ctx.save();
+        
+        // Board with a soft magenta glow
+        ctx.fillStyle = 'rgba(26, 16, 48, 0.8)';
+        ctx.strokeStyle = '#ff00ff';
+        ctx.lineWidth = 2;
+        ctx.shadowColor = '#ff00ff';
+        ctx.shadowBlur = 8;
+        ctx.fillRect(left, top, boardWidth, boardHeight);
+        ctx.strokeRect(left, top, boardWidth, boardHeight);
+        ctx.shadowBlur = 0;
+        
+        ctx.font = 'bold 14px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ff00ff';
+        ctx.fillText('HIGH SCORES', left + boardWidth / 2, top + 22);
+        
+        ctx.font = '13px "Courier New", monospace';
+        if (runs.length === 0) {
+            ctx.fillStyle = '#888888';
+            ctx.fillText('No runs yet', left + boardWidth / 2, top + 46);
+        }
+        runs.forEach((run, index) => {
+            const y = top + 46 + index * 20;
+            ctx.textAlign = 'left';
+            ctx.fillStyle = run.victory ? '#33ff77' : '#ffffff';
+            ctx.fillText(`${index + 1}. ${run.score.toLocaleString()}`, left + 12, y);
+            ctx.textAlign = 'right';
+            ctx.fillStyle = '#00FFFF';
+            ctx.fillText(run.victory ? 'WIN' : `F${run.floor}`, left + boardWidth - 12, y);
+        });
+        
+        // Hint for the full history
+        ctx.font = '12px Arial, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#cccccc';
+        ctx.fillText('H: Run History', left + boardWidth / 2, top + boardHeight - 10);
+        
+        ctx.restore();
+    }
+    
     /**
      * Render animated arrow pointing to door
      * @param {CanvasRenderingContext2D} ctx - Canvas context 
@@ -879,6 +1007,38 @@ export class StartingRoom {
             }
         }
         
+        // N opens the run seed prompt so a specific dungeon can be replayed
+        if (event.key === 'N' || event.key === 'n') {
+            if (this.game && typeof this.game.promptForSeed === 'function') {
+                this.game.promptForSeed();
+            }
+            return;
+        }
+        
+        // C resumes the saved run from where it was left
+        if ((event.key === 'C' || event.key === 'c') && this.hasSavedRun) {
+            if (this.game && typeof this.game.continueSavedRun === 'function') {
+                this.game.continueSavedRun();
+            }
+            return;
+        }
+        
+        // U opens the upgrade terminal when standing next to it
+        if ((event.key === 'U' || event.key === 'u') && this.upgradeTerminal.playerNearby) {
+            if (this.game && typeof this.game.openUpgradeTerminal === 'function') {
+                this.game.openUpgradeTerminal();
+            }
+            return;
+        }
+        
+        // H opens the leaderboard and run history
+        if (event.key === 'H' || event.key === 'h') {
+            if (this.game && typeof this.game.openRunHistory === 'function') {
+                this.game.openRunHistory();
+            }
+            return;
+        }
+        
         // Handle other keys as needed
         if (event.key === 'P' || event.key === 'p') {
             console.log('Pause key pressed in starting room');
@@ -0,0 +1,306 @@
+// statusEffects.js - Timed buffs and ailments on the player and enemies: durations, stacking, ticks and expiry
+import Elements from './elements.js';
+
+// What applying an effect that's already running does (items use the last two for untimed pickups):
+//   refresh - The timer starts over at the full duration
+//   extend  - The full duration is added to what's left, up to maxDuration
+//   stack   - Adds a stack, up to maxStacks, and restarts the timer; modifiers apply once per stack
+//   instant - No timer; the effect happens once
+export const STACKING_RULES = {
+    REFRESH: 'refresh',
+    EXTEND: 'extend',
+    STACK: 'stack',
+    INSTANT: 'instant'
+};
+
+// Every status effect. Add one by adding an entry here.
+//   name/symbol/color - How the HUD shows it on the player
+//   duration      - Default length in ms (simulation time); whoever applies it can pass their own
+//   stacking      - What applying it again does (see STACKING_RULES); whoever applies it can override it
+//   maxDuration   - Cap for extend stacking
+//   maxStacks     - Cap for stack stacking
+//   modifiers     - Multipliers on the owner's stats while it runs, read with StatusEffects.getModifier:
+//                   speed (player movement), fireRate (player trigger), actionTime (enemy time scale, 0 freezes)
+//   tickInterval  - Time in ms between onTick calls
+//   potency       - Strength of a tick effect (ailments get theirs from the hit that caused them)
+//   ailment       - Caused by elemental damage; drawn as a ring in its color around an afflicted enemy
+//   onApply/onTick/onExpire - Hooks called with (owner, effect, effects manager or null)
+export const STATUS_EFFECTS = {
+    speedBoost: {
+        name: 'Overdrive',
+        symbol: '⚡',
+        color: '#00ffff',
+        duration: 15000,
+        stacking: STACKING_RULES.EXTEND,
+        maxDuration: 30000,
+        modifiers: { speed: 1.25 }
+    },
+    fireRateBoost: {
+        name: 'Rapid Fire',
+        symbol: '≫',
+        color: '#00ff00',
+        duration: 15000,
+        stacking: STACKING_RULES.EXTEND,
+        maxDuration: 30000,
+        modifiers: { fireRate: 1.5 }
+    },
+    shield: {
+        name: 'Shield',
+        symbol: '◈',
+        color: '#ffff00',
+        duration: 15000,
+        stacking: STACKING_RULES.REFRESH,
+        onApply(owner) {
+            owner.shieldActive = true;
+            owner.isInvulnerable = true;
+        },
+        onExpire(owner) {
+            owner.shieldActive = false;
+            owner.isInvulnerable = false;
+        }
+    },
+    haste: {
+        // Kept topped up by a hastening elite while its allies stand in the aura (see EliteAffixes)
+        name: 'Haste',
+        symbol: '⇶',
+        color: '#ffee55',
+        duration: 250,
+        stacking: STACKING_RULES.REFRESH,
+        modifiers: { actionTime: 1.4 }
+    },
+    
+    // Ailments from elemental damage (see DAMAGE_TYPES)
+    burning: {
+        name: 'Burning',
+        symbol: '♨',
+        color: '#ff4400',
+        duration: 3000,
+        stacking: STACKING_RULES.REFRESH,
+        ailment: true,
+        tickInterval: 500,
+        onTick(owner, effect, effects) {
+            Elements.dealTickDamage(owner, effect.potency, 'fire', effects, effect.source);
+        }
+    },
+    chilled: {
+        name: 'Chilled',
+        symbol: '❄',
+        color: '#00ccff',
+        duration: 2500,
+        stacking: STACKING_RULES.STACK,
+        ailment: true,
+        maxStacks: 3, // A full stack freezes an enemy solid
+        modifiers: { speed: 0.85, actionTime: 0.8 }
+    },
+    frozen: {
+        name: 'Frozen',
+        symbol: '✱',
+        color: '#aaddff',
+        duration: 1500,
+        stacking: STACKING_RULES.REFRESH,
+        ailment: true,
+        modifiers: { actionTime: 0 },
+        onExpire(owner, effect, effects) {
+            // Shatter the ice
+            Elements.createParticles(owner, 'cryo', 12, effects);
+        }
+    },
+    poisoned: {
+        name: 'Poisoned',
+        symbol: '☣',
+        color: '#88ff00',
+        duration: 4000,
+        stacking: STACKING_RULES.STACK,
+        ailment: true,
+        maxStacks: 5,
+        tickInterval: 500,
+        onTick(owner, effect, effects) {
+            Elements.dealTickDamage(owner, effect.potency * effect.stacks, 'toxin', effects, effect.source);
+        }
+    }
+};
+
+export default class StatusEffects {
+    /**
+     * @param {Object} owner - The player or enemy the effects are on
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.active = {}; // Effect id -> {id, remaining, duration, stacks, potency, tickTimer, source}
+    }
+    
+    /**
+     * Start an effect, or stack it onto the running one
+     * @param {string} id - Effect key from STATUS_EFFECTS
+     * @param {Object} options - Optional overrides: duration, stacking, maxDuration, potency, source (player credited with tick damage)
+     * @param {Object} effects - Optional effects manager for visual effects
+     * @returns {Object|null} The running effect, or null for an unknown id
+     */
+    apply(id, options = {}, effects = null) {
+        const definition = STATUS_EFFECTS[id];
+        if (!definition) {
+            console.warn(`Unknown status effect: ${id}`);
+            return null;
+        }
+        
+        const duration = options.duration || definition.duration;
+        const stacking = options.stacking || definition.stacking;
+        const potency = options.potency || definition.potency || 0;
+        const source = options.source || null;
+        let effect = this.active[id];
+        
+        if (!effect) {
+            effect = { id, remaining: duration, duration, stacks: 1, potency, tickTimer: definition.tickInterval || 0, source };
+            this.active[id] = effect;
+            if (definition.onApply) {
+                definition.onApply(this.owner, effect, effects);
+            }
+            return effect;
+        }
+        
+        // The strongest application sets the tick strength, and the latest source gets credit for the ticks
+        effect.potency = Math.max(effect.potency, potency);
+        if (source) {
+            effect.source = source;
+        }
+        
+        if (stacking === STACKING_RULES.EXTEND) {
+            const maxDuration = options.maxDuration || definition.maxDuration || duration;
+            effect.remaining = Math.min(maxDuration, effect.remaining + duration);
+            effect.duration = Math.max(duration, effect.remaining);
+        } else {
+            if (stacking === STACKING_RULES.STACK) {
+                effect.stacks = Math.min(definition.maxStacks || Infinity, effect.stacks + 1);
+            }
+            effect.remaining = duration;
+            effect.duration = duration;
+        }
+        return effect;
+    }
+    
+    /**
+     * Count down every effect, run tick effects and end the ones that ran out
+     * @param {number} deltaTime - Simulation step in milliseconds
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    update(deltaTime, effects = null) {
+        for (const id of Object.keys(this.active)) {
+            const effect = this.active[id];
+            const definition = STATUS_EFFECTS[id];
+            effect.remaining -= deltaTime;
+            
+            if (definition.onTick && definition.tickInterval) {
+                effect.tickTimer -= deltaTime;
+                while (effect.tickTimer <= 0 && this.active[id]) {
+                    effect.tickTimer += definition.tickInterval;
+                    definition.onTick(this.owner, effect, effects);
+                }
+            }
+            
+            if (effect.remaining <= 0 && this.active[id]) {
+                this.remove(id, effects);
+            }
+        }
+    }
+    
+    /**
+     * End an effect early (or on time), running its expiry hook
+     * @param {string} id - Effect key
+     * @param {Object} effects - Optional effects manager for visual effects
+     */
+    remove(id, effects = null) {
+        const effect = this.active[id];
+        if (!effect) return;
+        
+        delete this.active[id];
+        const definition = STATUS_EFFECTS[id];
+        if (definition.onExpire) {
+            definition.onExpire(this.owner, effect, effects);
+        }
+    }
+    
+    /**
+     * End every effect
+     */
+    clear() {
+        Object.keys(this.active).forEach(id => this.remove(id));
+    }
+    
+    /**
+     * @param {string} id - Effect key
+     * @returns {boolean} True while the effect is running
+     */
+    has(id) {
+        return !!this.active[id];
+    }
+    
+    /**
+     * @param {string} id - Effect key
+     * @returns {boolean} True if the effect is running with as many stacks as it can hold
+     */
+    isAtMaxStacks(id) {
+        const effect = this.active[id];
+        return !!effect && effect.stacks >= (STATUS_EFFECTS[id].maxStacks || 1);
+    }
+    
+    /**
+     * @param {string} id - Effect key
+     * @returns {number} Time in ms left on the effect (0 if not running)
+     */
+    getRemaining(id) {
+        const effect = this.active[id];
+        return effect ? Math.max(0, effect.remaining) : 0;
+    }
+    
+    /**
+     * Combined multiplier the running effects put on a stat
+     * @param {string} stat - Modifier key, e.g. 'speed'
+     * @returns {number} Product of every running effect's modifier (1 if none)
+     */
+    getModifier(stat) {
+        let multiplier = 1;
+        for (const effect of Object.values(this.active)) {
+            const modifiers = STATUS_EFFECTS[effect.id].modifiers;
+            if (modifiers && modifiers[stat] !== undefined) {
+                multiplier *= Math.pow(modifiers[stat], effect.stacks);
+            }
+        }
+        return multiplier;
+    }
+    
+    /**
+     * Running effects with their definitions, for the HUD
+     * @returns {Array} Entries {id, remaining, duration, stacks, definition}
+     */
+    getActive() {
+        return Object.values(this.active).map(effect => ({ ...effect, definition: STATUS_EFFECTS[effect.id] }));
+    }
+    
+    /**
+     * @returns {Array} JSON-safe snapshot of the running effects
+     */
+    getSaveState() {
+        return Object.values(this.active).map(effect => ({
+            id: effect.id,
+            remaining: effect.remaining,
+            duration: effect.duration,
+            stacks: effect.stacks,
+            potency: effect.potency
+        }));
+    }
+    
+    /**
+     * Restart effects from a snapshot made by getSaveState
+     * @param {Array} state - Saved effects
+     */
+    applySaveState(state) {
+        this.clear();
+        for (const saved of state || []) {
+            const effect = this.apply(saved.id, { duration: saved.remaining, potency: saved.potency });
+            if (effect) {
+                effect.duration = saved.duration;
+                effect.stacks = saved.stacks || 1;
+            }
+        }
+    }
+}
@@ -17,7 +17,7 @@ export class VibePortal {
         this.destinationUrl = options.destinationUrl || 'https://portal.pieter.com';
         this.interactable = false; // When true, player is close enough to interact
         this.showInteractionHint = options.showInteractionHint !== undefined ? options.showInteractionHint : true;
-        this.interactionHint = 'Press ENTER to use portal';
+        this.interactionHint = options.interactionHint || 'Press ENTER to use portal';
         
         // Fade-out effect properties
         this.fading = false;
@@ -243,6 +243,16 @@ export function createVibePortal(type, x, y, options = {}) {
                 ...options
             });
             
+        case 'descent': // Cyan portal to the next dungeon floor (handled by the game, never navigates away)
+            return new VibePortal(x, y, options.size || 40, '#00ffff', {
+                label: 'DESCEND',
+                interactionHint: 'Press ENTER to descend',
+                particleCount: 140,
+                rotationSpeed: 1.2,
+                pulseSpeed: 2,
+                ...options
+            });
+            
         default: // Default purple portal
             return new VibePortal(x, y, options.size || 40, '#ff00ff', options);
     }
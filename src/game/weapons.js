@@ -0,0 +1,178 @@
+// weapons.js - Player weapon definitions and the projectiles each weapon fires
+
+// Stats for every weapon the player can hold. cooldown is ms between trigger pulls, speeds are pixels per second,
+// damageType is the DAMAGE_TYPES entry its projectiles carry (see elements.js).
+export const WEAPON_TYPES = {
+    blaster: {
+        name: 'Blaster',
+        color: '#ff00ff', // Neon magenta
+        symbol: '•',
+        cooldown: 500,
+        damage: 25,
+        damageType: 'kinetic',
+        speed: 400,
+        radius: 5
+    },
+    spread: {
+        name: 'Spread Shot',
+        color: '#ffaa00',
+        symbol: '⋔',
+        cooldown: 650,
+        damage: 12,
+        damageType: 'toxin',
+        speed: 380,
+        radius: 4,
+        pellets: 5,
+        spreadAngle: 0.5 // Total fan width in radians
+    },
+    laser: {
+        name: 'Piercing Laser',
+        color: '#00ff88',
+        symbol: '━',
+        cooldown: 300,
+        damage: 18,
+        damageType: 'shock',
+        speed: 900,
+        radius: 3,
+        piercing: true // Passes through enemies, hitting each one once
+    },
+    charged: {
+        name: 'Charge Cannon',
+        color: '#66aaff',
+        symbol: '◉',
+        cooldown: 300,
+        damage: 20, // At no charge
+        damageType: 'cryo',
+        maxChargeDamage: 100, // At full charge
+        speed: 450,
+        radius: 5,
+        maxChargeRadius: 12,
+        chargeTime: 1200 // Hold the trigger this long for a full charge, release to fire
+    },
+    burst: {
+        name: 'Burst Rifle',
+        color: '#ffff00',
+        symbol: '⁂',
+        cooldown: 700,
+        damage: 20,
+        damageType: 'kinetic',
+        speed: 550,
+        radius: 4,
+        burstCount: 3,
+        burstInterval: 70 // ms between rounds of one burst
+    },
+    homing: {
+        name: 'Homing Missiles',
+        color: '#ff3300',
+        symbol: '➤',
+        cooldown: 800,
+        damage: 35,
+        damageType: 'fire',
+        speed: 280,
+        radius: 6,
+        turnRate: 3.0, // Radians per second the missile can turn
+        homingRange: 400 // Only lock onto enemies this close
+    }
+};
+
+// Weapons that can drop as pickups (the blaster is the starting weapon)
+export const PICKUP_WEAPONS = ['spread', 'laser', 'charged', 'burst', 'homing'];
+
+/**
+ * Look up a weapon definition
+ * @param {string} type - Weapon type key
+ * @returns {Object} Weapon definition with its type, falling back to the blaster
+ */
+export function getWeapon(type) {
+    const key = WEAPON_TYPES[type] ? type : 'blaster';
+    return { type: key, ...WEAPON_TYPES[key] };
+}
+
+/**
+ * Create one projectile fired by a weapon
+ * @param {Object} weapon - Weapon definition from getWeapon()
+ * @param {number} x - Spawn X position
+ * @param {number} y - Spawn Y position
+ * @param {number} angle - Direction of travel in radians
+ * @param {number} power - Charge level from 0 to 1 (only used by charged weapons)
+ * @returns {Object} Projectile with an update(deltaTime, enemies) method
+ */
+export function createWeaponProjectile(weapon, x, y, angle, power = 1) {
+    let damage = weapon.damage;
+    let radius = weapon.radius;
+    
+    // Charged shots grow in damage and size with the charge level
+    if (weapon.chargeTime) {
+        damage += (weapon.maxChargeDamage - weapon.damage) * power;
+        radius += (weapon.maxChargeRadius - weapon.radius) * power;
+    }
+    
+    return {
+        x: x,
+        y: y,
+        prevX: x, // Store previous position for trail effect
+        prevY: y,
+        velocityX: Math.cos(angle) * weapon.speed,
+        velocityY: Math.sin(angle) * weapon.speed,
+        radius: radius,
+        active: true,
+        damage: damage,
+        damageType: weapon.damageType || 'kinetic',
+        color: weapon.color,
+        weaponType: weapon.type,
+        piercing: !!weapon.piercing,
+        hitEnemies: weapon.piercing ? new Set() : null,
+        homing: weapon.turnRate ? { turnRate: weapon.turnRate, range: weapon.homingRange } : null,
+        update: function(deltaTime, enemies = []) {
+            // Store previous position
+            this.prevX = this.x;
+            this.prevY = this.y;
+            
+            // Missiles steer toward the nearest enemy in range
+            if (this.homing) {
+                steerTowardNearestEnemy(this, enemies, deltaTime);
+            }
+            
+            // Update position
+            this.x += this.velocityX * (deltaTime / 1000);
+            this.y += this.velocityY * (deltaTime / 1000);
+        }
+    };
+}
+
+/**
+ * Turn a homing projectile toward the closest living enemy, limited by its turn rate
+ * @param {Object} projectile - Projectile with homing settings
+ * @param {Array} enemies - Enemies in the current room
+ * @param {number} deltaTime - Simulation step in milliseconds
+ */
+function steerTowardNearestEnemy(projectile, enemies, deltaTime) {
+    let target = null;
+    let closestDistance = projectile.homing.range;
+    
+    for (const enemy of enemies) {
+        if (!enemy.active || enemy.dying) continue;
+        
+        const distance = Math.hypot(enemy.x - projectile.x, enemy.y - projectile.y);
+        if (distance < closestDistance) {
+            closestDistance = distance;
+            target = enemy;
+        }
+    }
+    
+    if (!target) return;
+    
+    const speed = Math.hypot(projectile.velocityX, projectile.velocityY);
+    const currentAngle = Math.atan2(projectile.velocityY, projectile.velocityX);
+    const targetAngle = Math.atan2(target.y - projectile.y, target.x - projectile.x);
+    
+    // Shortest signed difference between the two angles
+    let difference = targetAngle - currentAngle;
+    difference = Math.atan2(Math.sin(difference), Math.cos(difference));
+    
+    const maxTurn = projectile.homing.turnRate * (deltaTime / 1000);
+    const newAngle = currentAngle + Math.max(-maxTurn, Math.min(maxTurn, difference));
+    
+    projectile.velocityX = Math.cos(newAngle) * speed;
+    projectile.velocityY = Math.sin(newAngle) * speed;
+}
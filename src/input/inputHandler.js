@@ -126,9 +126,9 @@ export default class InputHandler {
                 this.mousePosition.x = Math.max(0, Math.min(this.mousePosition.x, gameCanvas.width));
                 this.mousePosition.y = Math.max(0, Math.min(this.mousePosition.y, gameCanvas.height));
             } else {
-                // Regular mouse position tracking relative to canvas
-                this.mousePosition.x = e.clientX - rect.left;
-                this.mousePosition.y = e.clientY - rect.top;
+                // Regular mouse position tracking relative to canvas, scaled to canvas pixels in case it's stretched by CSS
+                this.mousePosition.x = (e.clientX - rect.left) * gameCanvas.width / rect.width;
+                this.mousePosition.y = (e.clientY - rect.top) * gameCanvas.height / rect.height;
             }
         });
         
@@ -0,0 +1,275 @@
+// inputRecorder.js - Records the per-tick input stream of a run and plays it back for replays
+
+// Bump when the recording layout changes so old files are rejected instead of desyncing
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Bit flags for the boolean controls packed into each frame
+const BUTTON_FLAGS = {
+    up: 1,
+    down: 2,
+    left: 4,
+    right: 8,
+    shoot: 16,
+    dash: 32
+};
+
+// Keys the simulation reacts to. Pause, debug and seed keys are handled live and never recorded.
+export const RECORDED_KEYS = ['Enter', 'p', 'P'];
+
+export default class InputRecorder {
+    constructor() {
+        // Recording of the current run
+        this.recording = null;
+        
+        // Playback state (null when not replaying)
+        this.playback = null;
+    }
+    
+    /**
+     * Start a fresh recording for a run
+     * @param {string} seed - Run seed the recording belongs to
+     * @param {number} tickDuration - Simulation step in milliseconds
+     * @param {Object} unlocks - Meta-progression upgrades the run started with
+     * @param {Object} startPosition - Player position {x, y} when recording started
+     */
+    startRecording(seed, tickDuration, unlocks = null, startPosition = null) {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            seed: seed,
+            tickDuration: tickDuration,
+            unlocks: unlocks,
+            startPosition: startPosition,
+            recordedAt: new Date().toISOString(),
+            ticks: 0,
+            // Run-length encoded frames: [repeatCount, buttons, mouseX, mouseY, keys?]
+            frames: []
+        };
+    }
+    
+    /**
+     * Stop recording without starting a new one (e.g. for a resumed run that has no first tick to replay from)
+     */
+    stopRecording() {
+        this.recording = null;
+    }
+    
+    /**
+     * Convert live input into the compact frame that gets recorded.
+     * The simulation always consumes the decoded frame, so live play and replays see identical input.
+     * @param {Object} inputState - Input state from InputHandler.getInputState(), mouse converted to world coordinates
+     * @returns {Array} Frame as [buttons, mouseX, mouseY, keys]
+     */
+    encodeFrame(inputState) {
+        let buttons = 0;
+        for (const [name, flag] of Object.entries(BUTTON_FLAGS)) {
+            if (inputState[name]) {
+                buttons |= flag;
+            }
+        }
+        
+        const keys = RECORDED_KEYS.filter(key => inputState.keys && inputState.keys[key]).join(',');
+        
+        return [buttons, Math.round(inputState.mouseX), Math.round(inputState.mouseY), keys];
+    }
+    
+    /**
+     * Expand a compact frame back into an input state for Game.update
+     * @param {Array} frame - Frame as [buttons, mouseX, mouseY, keys]
+     * @returns {Object} Input state with the same shape as InputHandler.getInputState()
+     */
+    decodeFrame(frame) {
+        const [buttons, mouseX, mouseY, keyList] = frame;
+        
+        const keys = {};
+        if (keyList) {
+            keyList.split(',').forEach(key => {
+                keys[key] = true;
+            });
+        }
+        
+        const inputState = {
+            mouseX: mouseX,
+            mouseY: mouseY,
+            pointerLocked: true,
+            F1: false,
+            F2: false,
+            F3: false,
+            F4: false,
+            F5: false,
+            keys: keys
+        };
+        
+        for (const [name, flag] of Object.entries(BUTTON_FLAGS)) {
+            inputState[name] = (buttons & flag) !== 0;
+        }
+        
+        return inputState;
+    }
+    
+    /**
+     * Append one simulation tick to the recording
+     * @param {Array} frame - Encoded frame for this tick
+     */
+    recordFrame(frame) {
+        if (!this.recording) return;
+        
+        const frames = this.recording.frames;
+        const last = frames[frames.length - 1];
+        
+        // Extend the previous run if the input didn't change
+        if (last && last[1] === frame[0] && last[2] === frame[1] && last[3] === frame[2] && (last[4] || '') === frame[3]) {
+            last[0]++;
+        } else {
+            const run = [1, frame[0], frame[1], frame[2]];
+            if (frame[3]) {
+                run.push(frame[3]);
+            }
+            frames.push(run);
+        }
+        
+        this.recording.ticks++;
+    }
+    
+    /**
+     * Begin feeding a recording back into the simulation
+     * @param {Object} recording - A recording produced by this class
+     */
+    startPlayback(recording) {
+        this.playback = {
+            recording: recording,
+            runIndex: 0,
+            runOffset: 0,
+            tick: 0
+        };
+    }
+    
+    /**
+     * Stop playback and return to live input
+     */
+    stopPlayback() {
+        this.playback = null;
+    }
+    
+    /**
+     * @returns {boolean} True while a recording is being played back
+     */
+    isPlaying() {
+        return this.playback !== null;
+    }
+    
+    /**
+     * @returns {boolean} True if the recording has frames left to play
+     */
+    hasNextFrame() {
+        return this.isPlaying() && this.playback.tick < this.playback.recording.ticks;
+    }
+    
+    /**
+     * Get the next recorded frame and advance playback by one tick
+     * @returns {Array|null} Frame as [buttons, mouseX, mouseY, keys], or null when the recording has ended
+     */
+    nextFrame() {
+        if (!this.hasNextFrame()) return null;
+        
+        const playback = this.playback;
+        const run = playback.recording.frames[playback.runIndex];
+        const frame = [run[1], run[2], run[3], run[4] || ''];
+        
+        // Move through the run-length encoded frames
+        playback.runOffset++;
+        if (playback.runOffset >= run[0]) {
+            playback.runIndex++;
+            playback.runOffset = 0;
+        }
+        playback.tick++;
+        
+        return frame;
+    }
+    
+    /**
+     * Serialize the current recording to compact JSON
+     * @returns {string} JSON text
+     */
+    exportRecording() {
+        return JSON.stringify(this.recording);
+    }
+    
+    /**
+     * Save the current recording as a JSON file via a browser download
+     * @param {string} filename - Name of the downloaded file
+     */
+    downloadRecording(filename) {
+        if (!this.recording) {
+            console.warn("No recording to export");
+            return;
+        }
+        
+        const blob = new Blob([this.exportRecording()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+        console.log(`Exported replay (${this.recording.ticks} ticks) as ${filename}`);
+    }
+    
+    /**
+     * Parse and validate recording JSON
+     * @param {string} json - JSON text from an exported replay
+     * @returns {Object} The recording
+     * @throws {Error} If the file isn't a replay this version can play
+     */
+    static parseRecording(json) {
+        const recording = JSON.parse(json);
+        
+        if (!recording || !Array.isArray(recording.frames) || typeof recording.seed !== 'string') {
+            throw new Error('Not a Neon Requiem replay file');
+        }
+        if (recording.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error(`Unsupported replay version ${recording.version} (expected ${REPLAY_FORMAT_VERSION})`);
+        }
+        
+        // Recount ticks from the frames rather than trusting the header
+        recording.ticks = recording.frames.reduce((total, run) => total + run[0], 0);
+        
+        return recording;
+    }
+    
+    /**
+     * Let the player pick a replay file from disk
+     * @returns {Promise<Object>} Resolves with the parsed recording
+     */
+    static promptForRecording() {
+        return new Promise((resolve, reject) => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            
+            input.addEventListener('change', () => {
+                const file = input.files && input.files[0];
+                if (!file) {
+                    reject(new Error('No file selected'));
+                    return;
+                }
+                
+                const reader = new FileReader();
+                reader.onload = () => {
+                    try {
+                        resolve(InputRecorder.parseRecording(reader.result));
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
+            
+            input.click();
+        });
+    }
+}
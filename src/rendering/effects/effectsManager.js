@@ -19,6 +19,7 @@ export class EffectsManager {
             electricity: ['#FFFF00', '#88FFFF', '#FFFFFF'], // Yellow/cyan for electric
             ice: ['#00CCFF', '#AADDFF', '#FFFFFF'],      // Light blue for ice
             fire: ['#FF4400', '#FFAA00', '#FFFF00'],     // Orange/red for fire
+            toxin: ['#88FF00', '#44FF44', '#CCFF88'],    // Acid green for poison
             wall: ['#888888', '#AAAAAA', '#FFFFFF']      // Gray for environment
         };
     }
@@ -318,9 +319,13 @@ export class EffectsManager {
         // Default colors based on projectile type
         let colors;
         let count = 2;
+        let minLifetime = 0.2;
+        let maxLifetime = 0.4;
+        let maxSize = 3;
         
         switch (projectileType) {
             case 'player':
+            case 'blaster':
                 colors = this.colorSchemes.player;
                 break;
             case 'enemy':
@@ -333,16 +338,42 @@ export class EffectsManager {
             case 'ice':
                 colors = this.colorSchemes.ice;
                 break;
+            // Player weapon trails
+            case 'spread':
+                colors = ['#FFAA00', '#FF8800', '#FFFFFF'];
+                count = 1; // Several pellets per shot already
+                break;
+            case 'laser':
+                colors = ['#00FF88', '#AAFFDD', '#FFFFFF'];
+                count = 3;
+                minLifetime = 0.1; // Thin, short-lived streak
+                maxLifetime = 0.2;
+                maxSize = 2;
+                break;
+            case 'charged':
+                colors = this.colorSchemes.electricity;
+                count = 4;
+                maxSize = 5;
+                break;
+            case 'burst':
+                colors = ['#FFFF00', '#FFDD44', '#FFFFFF'];
+                break;
+            case 'homing':
+                colors = this.colorSchemes.fire; // Smoky exhaust
+                count = 3;
+                minLifetime = 0.3;
+                maxLifetime = 0.6;
+                break;
             default:
                 colors = ['#AAAAAA', '#FFFFFF'];
         }
         
         this.particleSystem.createTrail(x, y, prevX, prevY, count, {
             color: colors,
-            minLifetime: 0.2,
-            maxLifetime: 0.4,
+            minLifetime: minLifetime,
+            maxLifetime: maxLifetime,
             minSize: 2,
-            maxSize: 3
+            maxSize: maxSize
         });
     }
     
@@ -429,6 +460,91 @@ export class EffectsManager {
         });
     }
     
+    /**
+     * Create a jagged arc of lightning jumping between two points
+     * @param {number} x1 - Start X position
+     * @param {number} y1 - Start Y position
+     * @param {number} x2 - End X position
+     * @param {number} y2 - End Y position
+     */
+    createLightningArc(x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        const segments = Math.max(3, Math.floor(length / 15));
+        
+        // Sparks along the line, knocked sideways so the arc zigzags
+        for (let i = 0; i <= segments; i++) {
+            const t = i / segments;
+            const jitter = (i === 0 || i === segments) ? 0 : (Math.random() - 0.5) * 16;
+            this.particleSystem.createParticleBurst(
+                x1 + dx * t - (dy / length) * jitter,
+                y1 + dy * t + (dx / length) * jitter,
+                2,
+                {
+                    color: this.colorSchemes.electricity,
+                    minSpeed: 5,
+                    maxSpeed: 25,
+                    minSize: 2,
+                    maxSize: 4,
+                    minLifetime: 0.1,
+                    maxLifetime: 0.25
+                }
+            );
+        }
+        
+        // Flash where it strikes
+        this.particleSystem.createGlowRing(
+            x2, y2,
+            {
+                initialRadius: 4,
+                expandToRadius: 20,
+                color: '#FFFF00',
+                lifetime: 0.25,
+                initialOpacity: 0.8,
+                fadeRate: 3
+            }
+        );
+    }
+    
+    /**
+     * Create a portal opening where an enemy is about to spawn
+     * @param {number} x - Portal center X position
+     * @param {number} y - Portal center Y position
+     * @param {string} color - Color of the enemy coming through
+     * @param {number} duration - Time until the enemy appears, in seconds
+     */
+    createSpawnPortalEffect(x, y, color, duration = 1.0) {
+        // Rings pulse out of the portal until the enemy steps through
+        const pulses = Math.max(1, Math.floor(duration / 0.4));
+        for (let i = 0; i < pulses; i++) {
+            setTimeout(() => {
+                this.particleSystem.createGlowRing(
+                    x, y,
+                    {
+                        initialRadius: 5,
+                        expandToRadius: 35,
+                        color: color,
+                        lifetime: 0.5,
+                        initialOpacity: 0.6,
+                        fadeRate: 1.5
+                    }
+                );
+            }, i * 400); // Stagger the pulses
+        }
+        
+        // Slow sparks hanging around the portal
+        this.particleSystem.createParticleBurst(x, y, 10, {
+            color: [color, '#FFFFFF'],
+            minSpeed: 5,
+            maxSpeed: 25,
+            minSize: 2,
+            maxSize: 4,
+            minLifetime: duration * 0.5,
+            maxLifetime: duration
+        });
+    }
+    
     /**
      * Create a room transition effect
      * @param {number} width - Room width
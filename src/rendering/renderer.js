@@ -168,12 +168,13 @@ export default class Renderer {
                 const indicatorSize = 5;
                 this.ctx.fillStyle = '#ffffff';
                 
-                if (enemy.type === 'fast') {
+                const marker = enemy.archetype ? enemy.archetype.marker : null;
+                if (marker === 'bolt') {
                     // Draw a lightning bolt-like symbol for fast enemies
                     this.ctx.fillRect(enemy.x - 2, enemy.y - 5, 1, 10);
                     this.ctx.fillRect(enemy.x, enemy.y - 5, 1, 10);
                     this.ctx.fillRect(enemy.x + 2, enemy.y - 5, 1, 10);
-                } else if (enemy.type === 'strong') {
+                } else if (marker === 'cross') {
                     // Draw a cross for strong enemies
                     this.ctx.fillRect(enemy.x - 5, enemy.y - 1, 10, 2);
                     this.ctx.fillRect(enemy.x - 1, enemy.y - 5, 2, 10);
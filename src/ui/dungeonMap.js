@@ -0,0 +1,302 @@
+/**
+ * Dungeon Map for Neon Requiem
+ * Draws the corner minimap and the full-screen map overlay from the dungeon layout,
+ * with fog of war over rooms the player hasn't reached yet
+ */
+export class DungeonMap {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.colors = {
+            background: 'rgba(0, 0, 0, 0.8)',
+            title: '#00FFFF',
+            visited: '#8800FF',
+            cleared: '#33FF77',
+            current: '#00FFFF',
+            unexplored: '#555555',
+            boss: '#FF3366',
+            door: '#AAAAAA'
+        };
+    }
+    
+    /**
+     * Toggle the full-screen map overlay
+     * @returns {boolean} True if the overlay is now open
+     */
+    toggle() {
+        this.isOpen = !this.isOpen;
+        return this.isOpen;
+    }
+    
+    /**
+     * Open the full-screen map overlay
+     */
+    open() {
+        this.isOpen = true;
+    }
+    
+    /**
+     * Close the full-screen map overlay
+     */
+    close() {
+        this.isOpen = false;
+    }
+    
+    /**
+     * Handle keyboard input while the overlay is open (M is handled by the game as a toggle)
+     * @param {Object} inputHandler - Game input handler
+     */
+    handleInput(inputHandler) {
+        if (!this.isOpen) return;
+        
+        if (inputHandler.keys['Escape'] || inputHandler.keys['Enter'] || inputHandler.keys[' ']) {
+            this.close();
+            inputHandler.clearKey('Escape');
+            inputHandler.clearKey('Enter');
+            inputHandler.clearKey(' ');
+        }
+    }
+    
+    /**
+     * Work out what the player knows about the current floor
+     * @returns {Object|null} Rooms to draw, doors between them and the grid size, or null outside the dungeon
+     */
+    getKnownLayout() {
+        const game = this.game;
+        const dungeon = game.dungeon;
+        if (!dungeon || game.gameState === 'starting') return null;
+        
+        // Rooms the player has been in, including the one they're standing in and the floor's entrance
+        const visited = new Set(game.visitedRooms || []);
+        visited.add(game.currentRoomId);
+        visited.add(dungeon.startRoomId);
+        
+        // Rooms seen through a door of a visited room are known, but stay fogged
+        const known = new Set(visited);
+        const doors = [];
+        for (const roomId of visited) {
+            const connections = dungeon.connections[roomId] || {};
+            for (const targetId of Object.values(connections)) {
+                known.add(targetId);
+                
+                // Each door once, from the lower room id
+                if (!visited.has(targetId) || roomId < targetId) {
+                    doors.push([roomId, targetId]);
+                }
+            }
+        }
+        
+        const rooms = [];
+        for (const roomId of known) {
+            const room = dungeon.rooms[roomId];
+            if (!room) continue;
+            
+            rooms.push({
+                id: roomId,
+                gridX: room.gridX,
+                gridY: room.gridY,
+                visited: visited.has(roomId),
+                cleared: game.clearedRooms ? game.clearedRooms.has(roomId) : false,
+                current: roomId === game.currentRoomId,
+                isBossRoom: !!room.isBossRoom,
+                isStartRoom: !!room.isStartRoom
+            });
+        }
+        
+        return {
+            rooms,
+            doors,
+            columns: dungeon.gridInfo ? dungeon.gridInfo.columns : 5,
+            rows: dungeon.gridInfo ? dungeon.gridInfo.rows : 5
+        };
+    }
+    
+    /**
+     * Draw the known rooms and doors into a grid area
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} layout - Layout from getKnownLayout()
+     * @param {number} x - Left edge of the map area
+     * @param {number} y - Top edge of the map area
+     * @param {number} cellSize - Size of one grid cell in pixels
+     * @param {boolean} showLabels - Draw room markers (start, boss) as text
+     */
+    renderLayout(ctx, layout, x, y, cellSize, showLabels) {
+        const roomSize = cellSize * 0.65;
+        const roomsById = {};
+        for (const room of layout.rooms) {
+            roomsById[room.id] = room;
+        }
+        
+        const centerOf = room => ({
+            x: x + (room.gridX + 0.5) * cellSize,
+            y: y + (room.gridY + 0.5) * cellSize
+        });
+        
+        // Known doors as corridors between room centers
+        ctx.strokeStyle = this.colors.door;
+        ctx.lineWidth = Math.max(1, cellSize * 0.08);
+        for (const [fromId, toId] of layout.doors) {
+            const from = roomsById[fromId];
+            const to = roomsById[toId];
+            if (!from || !to) continue;
+            
+            const a = centerOf(from);
+            const b = centerOf(to);
+            ctx.beginPath();
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+            ctx.stroke();
+        }
+        
+        // Rooms
+        for (const room of layout.rooms) {
+            const center = centerOf(room);
+            const left = center.x - roomSize / 2;
+            const top = center.y - roomSize / 2;
+            
+            // The boss room stands out once discovered, even under fog
+            let color = this.colors.unexplored;
+            if (room.isBossRoom) {
+                color = this.colors.boss;
+            } else if (room.cleared) {
+                color = this.colors.cleared;
+            } else if (room.visited) {
+                color = this.colors.visited;
+            }
+            
+            if (room.visited) {
+                ctx.fillStyle = color;
+                ctx.globalAlpha = 0.6;
+                ctx.fillRect(left, top, roomSize, roomSize);
+                ctx.globalAlpha = 1.0;
+            } else {
+                // Fog of war - unvisited rooms are just outlines
+                ctx.fillStyle = '#111111';
+                ctx.fillRect(left, top, roomSize, roomSize);
+            }
+            
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(left, top, roomSize, roomSize);
+            
+            // Highlight the player's room with a pulsing glow
+            if (room.current) {
+                const pulse = 0.6 + 0.4 * Math.sin(Date.now() / 200);
+                ctx.save();
+                ctx.strokeStyle = this.colors.current;
+                ctx.shadowColor = this.colors.current;
+                ctx.shadowBlur = 8 * pulse;
+                ctx.lineWidth = 2;
+                ctx.strokeRect(left - 2, top - 2, roomSize + 4, roomSize + 4);
+                ctx.restore();
+                
+                ctx.fillStyle = this.colors.current;
+                ctx.beginPath();
+                ctx.arc(center.x, center.y, Math.max(2, roomSize * 0.15), 0, Math.PI * 2);
+                ctx.fill();
+            }
+            
+            if (showLabels && (room.isBossRoom || room.isStartRoom)) {
+                ctx.font = `bold ${Math.round(roomSize * 0.3)}px "Courier New", monospace`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(room.isBossRoom ? 'BOSS' : 'START', center.x, center.y + roomSize * 0.3);
+            }
+        }
+    }
+    
+    /**
+     * Render the corner minimap
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} x - Left edge of the minimap
+     * @param {number} y - Top edge of the minimap
+     * @param {number} size - Width and height of the minimap
+     */
+    renderMinimap(ctx, x, y, size) {
+        const layout = this.getKnownLayout();
+        if (!layout) return;
+        
+        const cellSize = size / Math.max(layout.columns, layout.rows);
+        
+        ctx.save();
+        
+        // Panel background
+        ctx.fillStyle = 'rgba(10, 10, 30, 0.6)';
+        ctx.fillRect(x, y, size, size);
+        ctx.strokeStyle = this.colors.visited;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x, y, size, size);
+        
+        this.renderLayout(ctx, layout, x, y, cellSize, false);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the full-screen map overlay
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    render(ctx) {
+        if (!this.isOpen) return;
+        
+        const layout = this.getKnownLayout();
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        
+        ctx.save();
+        
+        // Darken the game behind the map
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Title
+        ctx.font = '24px "Press Start 2P", "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.title;
+        ctx.shadowColor = this.colors.title;
+        ctx.shadowBlur = 10;
+        ctx.fillText(layout ? `FLOOR ${this.game.floor} MAP` : 'MAP', width / 2, 60);
+        ctx.shadowBlur = 0;
+        
+        if (!layout) {
+            ctx.font = '16px "Courier New", monospace';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText('Enter the dungeon to start mapping it', width / 2, height / 2);
+        } else {
+            const mapSize = Math.min(width, height) - 200;
+            const cellSize = mapSize / Math.max(layout.columns, layout.rows);
+            this.renderLayout(ctx, layout, (width - mapSize) / 2, 90, cellSize, true);
+            
+            // Legend
+            const legend = [
+                ['Current', this.colors.current],
+                ['Visited', this.colors.visited],
+                ['Cleared', this.colors.cleared],
+                ['Unexplored', this.colors.unexplored],
+                ['Boss', this.colors.boss]
+            ];
+            ctx.font = '14px "Courier New", monospace';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            const legendSpacing = 120;
+            const legendX = (width - legend.length * legendSpacing) / 2;
+            legend.forEach(([label, color], index) => {
+                const itemX = legendX + index * legendSpacing;
+                ctx.fillStyle = color;
+                ctx.fillRect(itemX, height - 80, 12, 12);
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillText(label, itemX + 18, height - 74);
+            });
+        }
+        
+        // Close hint
+        ctx.font = '14px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('Press M or ESC to close', width / 2, height - 30);
+        
+        ctx.restore();
+    }
+}
@@ -7,7 +7,8 @@ export class PauseMenu {
         this.game = game;
         this.isPaused = false;
         this.selectedOption = 0;
-        this.options = ['Resume', 'Quit'];
+        this.options = ['Resume', 'Map', 'Relics', 'Save & Quit', 'Export Replay', 'Import Replay', 'Quit'];
+        this.showingRelics = false; // Relic inventory shown in place of the options
         this.colors = {
             background: 'rgba(0, 0, 0, 0.7)',
             title: '#FF00FF',
@@ -33,6 +34,7 @@ export class PauseMenu {
         if (this.isPaused) {
             this.selectedOption = 0;
             this.fadeLevel = 0;
+            this.showingRelics = false;
             
             // Pause background music if it exists
             if (this.game.audioManager && this.game.audioManager.backgroundMusic) {
@@ -57,6 +59,17 @@ export class PauseMenu {
     handleInput(inputHandler) {
         if (!this.isPaused) return;
         
+        // Any confirm or back key closes the relic inventory
+        if (this.showingRelics) {
+            for (const key of ['Enter', ' ', 'Backspace']) {
+                if (inputHandler.keys[key]) {
+                    this.showingRelics = false;
+                    inputHandler.clearKey(key);
+                }
+            }
+            return;
+        }
+        
         // Menu navigation with arrow keys
         if (inputHandler.keys['ArrowUp'] || inputHandler.keys['w']) {
             this.selectedOption = (this.selectedOption - 1 + this.options.length) % this.options.length;
@@ -87,6 +100,27 @@ export class PauseMenu {
             case 'Resume':
                 this.toggle(); // Unpause
                 break;
+            case 'Map':
+                // Full-screen dungeon map over the menu - closing it returns here
+                this.game.dungeonMap.open();
+                break;
+            case 'Relics':
+                // Relics carried this run and their synergies
+                this.showingRelics = true;
+                break;
+            case 'Save & Quit':
+                // Save the run so it can be continued from the starting room, then restart
+                this.toggle(); // Unpause before returning to start
+                this.game.saveAndQuit();
+                break;
+            case 'Export Replay':
+                // Download the input recording of the current run
+                this.game.exportReplay();
+                break;
+            case 'Import Replay':
+                // Opens a file picker - the game unpauses and starts playback once a file is loaded
+                this.game.importReplay();
+                break;
             case 'Quit':
                 // Simple implementation - just go back to starting room
                 if (this.game.gameState === 'playing') {
@@ -130,7 +164,7 @@ export class PauseMenu {
         
         // Calculate positions
         const menuWidth = width * 0.4;
-        const menuHeight = height * 0.5;
+        const menuHeight = height * 0.7; // Tall enough for every option
         const menuX = (width - menuWidth) / 2;
         const menuY = (height - menuHeight) / 2;
         
@@ -171,6 +205,12 @@ export class PauseMenu {
         ctx.fillText('PAUSED', width / 2, menuY + 50);
         ctx.shadowBlur = 0;
         
+        if (this.showingRelics) {
+            this.renderRelics(ctx, menuX, menuY, menuWidth, menuHeight);
+            ctx.restore();
+            return;
+        }
+        
         // Draw menu options
         ctx.font = '20px "Press Start 2P", "Courier New", monospace';
         
@@ -200,4 +240,61 @@ export class PauseMenu {
         
         ctx.restore();
     }
+    
+    /**
+     * Render the relic inventory inside the menu box
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {number} menuX - Menu box left edge
+     * @param {number} menuY - Menu box top edge
+     * @param {number} menuWidth - Menu box width
+     * @param {number} menuHeight - Menu box height
+     */
+    renderRelics(ctx, menuX, menuY, menuWidth, menuHeight) {
+        const { relics, synergies } = this.game.player.relics.getInventory();
+        const textX = menuX + 20;
+        const textWidth = menuWidth - 40;
+        const lineSpacing = 14;
+        let y = menuY + 90;
+        
+        ctx.textAlign = 'left';
+        
+        if (relics.length === 0) {
+            ctx.font = '12px "Press Start 2P", "Courier New", monospace';
+            ctx.fillStyle = this.colors.option;
+            ctx.fillText('No relics yet', textX, y);
+        }
+        
+        // One entry per relic: symbol and name in its color, the description underneath
+        relics.forEach(relic => {
+            ctx.font = '11px "Press Start 2P", "Courier New", monospace';
+            ctx.fillStyle = relic.color;
+            ctx.fillText(`${relic.symbol} ${relic.name}`, textX, y, textWidth);
+            ctx.font = '8px "Press Start 2P", "Courier New", monospace';
+            ctx.fillStyle = this.colors.option;
+            ctx.fillText(relic.description, textX + 20, y + lineSpacing, textWidth - 20);
+            y += lineSpacing * 2 + 2;
+        });
+        
+        // Active synergies, one line each
+        if (synergies.length > 0) {
+            y += 4;
+            ctx.font = '11px "Press Start 2P", "Courier New", monospace';
+            ctx.fillStyle = this.colors.title;
+            ctx.fillText('SYNERGIES', textX, y);
+            y += lineSpacing + 2;
+            
+            ctx.font = '8px "Press Start 2P", "Courier New", monospace';
+            ctx.fillStyle = this.colors.selectedOption;
+            synergies.forEach(synergy => {
+                ctx.fillText(`${synergy.name}: ${synergy.description}`, textX, y, textWidth);
+                y += lineSpacing + 2;
+            });
+        }
+        
+        // How to get back to the options
+        ctx.font = '10px "Press Start 2P", "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.optionHover;
+        ctx.fillText('Enter to return', menuX + menuWidth / 2, menuY + menuHeight - 15);
+    }
 }
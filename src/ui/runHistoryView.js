@@ -0,0 +1,247 @@
+/**
+ * Run History for Neon Requiem
+ * Overlay opened from the starting room that lists the local leaderboard and recent runs,
+ * with the full stats of the selected run
+ */
+import { RunHistory } from '../game/runHistory.js';
+import { WEAPON_TYPES } from '../game/weapons.js';
+
+export class RunHistoryView {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.tab = 'leaderboard'; // 'leaderboard' or 'history'
+        this.selectedRun = 0;
+        this.colors = {
+            background: 'rgba(0, 0, 0, 0.8)',
+            panel: 'rgba(10, 10, 30, 0.9)',
+            title: '#FF00FF',
+            tab: '#888888',
+            selectedTab: '#00FFFF',
+            row: '#FFFFFF',
+            selectedRow: '#00FFFF',
+            highlight: '#FFFF00',
+            victory: '#33FF77',
+            label: '#AAAAAA'
+        };
+    }
+    
+    /**
+     * Open the overlay on the leaderboard
+     */
+    open() {
+        this.isOpen = true;
+        this.tab = 'leaderboard';
+        this.selectedRun = 0;
+    }
+    
+    /**
+     * Close the overlay
+     */
+    close() {
+        this.isOpen = false;
+    }
+    
+    /**
+     * @returns {Array} Runs listed on the current tab
+     */
+    getRuns() {
+        const runHistory = this.game.runHistory;
+        return this.tab === 'leaderboard' ? runHistory.getTopRuns() : runHistory.getRecentRuns();
+    }
+    
+    /**
+     * Handle keyboard input for switching tabs and picking a run
+     * @param {Object} inputHandler - Game input handler
+     */
+    handleInput(inputHandler) {
+        if (!this.isOpen) return;
+        
+        const runCount = this.getRuns().length;
+        
+        if (inputHandler.keys['ArrowLeft'] || inputHandler.keys['ArrowRight'] || inputHandler.keys['a'] || inputHandler.keys['d']) {
+            this.tab = this.tab === 'leaderboard' ? 'history' : 'leaderboard';
+            this.selectedRun = 0;
+            inputHandler.clearKey('ArrowLeft');
+            inputHandler.clearKey('ArrowRight');
+            inputHandler.clearKey('a');
+            inputHandler.clearKey('d');
+        }
+        
+        if (runCount > 0 && (inputHandler.keys['ArrowUp'] || inputHandler.keys['w'])) {
+            this.selectedRun = (this.selectedRun - 1 + runCount) % runCount;
+            inputHandler.clearKey('ArrowUp');
+            inputHandler.clearKey('w');
+        }
+        
+        if (runCount > 0 && (inputHandler.keys['ArrowDown'] || inputHandler.keys['s'])) {
+            this.selectedRun = (this.selectedRun + 1) % runCount;
+            inputHandler.clearKey('ArrowDown');
+            inputHandler.clearKey('s');
+        }
+        
+        if (inputHandler.keys['Escape'] || inputHandler.keys['Enter'] || inputHandler.keys['h'] || inputHandler.keys['H']) {
+            this.close();
+            inputHandler.clearKey('Escape');
+            inputHandler.clearKey('Enter');
+            inputHandler.clearKey('h');
+            inputHandler.clearKey('H');
+        }
+    }
+    
+    /**
+     * Draw a compact score table. Also used by the death screen.
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Array} runs - Run records to list
+     * @param {number} centerX - Horizontal center of the table
+     * @param {number} top - Baseline of the first row
+     * @param {Object} options - rowHeight, firstNumber (of the first row), selectedIndex (drawn with a cursor),
+     *                          highlightId (the run that just ended)
+     */
+    renderTable(ctx, runs, centerX, top, options = {}) {
+        const rowHeight = options.rowHeight || 24;
+        const firstNumber = options.firstNumber || 1;
+        
+        ctx.save();
+        ctx.font = '14px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        
+        if (runs.length === 0) {
+            ctx.fillStyle = this.colors.label;
+            ctx.fillText('No runs yet', centerX, top);
+            ctx.restore();
+            return;
+        }
+        
+        runs.forEach((run, index) => {
+            const isSelected = index === options.selectedIndex;
+            const isHighlighted = run.id === options.highlightId;
+            const floorText = run.victory ? 'WIN' : `F${run.floor}`;
+            const date = new Date(run.date).toLocaleDateString();
+            const text = `${String(firstNumber + index).padStart(2)}. ${String(run.score.toLocaleString()).padStart(8)}  ${floorText.padEnd(3)}  ` +
+                `R${String(run.roomsCleared).padEnd(3)} ${RunHistory.formatTime(run.timeSurvived).padStart(6)}  ${date}`;
+            
+            if (isSelected) {
+                ctx.fillStyle = this.colors.selectedRow;
+                ctx.shadowColor = this.colors.selectedRow;
+                ctx.shadowBlur = 10;
+            } else {
+                ctx.fillStyle = isHighlighted ? this.colors.highlight : (run.victory ? this.colors.victory : this.colors.row);
+                ctx.shadowBlur = 0;
+            }
+            
+            ctx.fillText(isSelected || isHighlighted ? `> ${text} <` : text, centerX, top + index * rowHeight);
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the overlay
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    render(ctx) {
+        if (!this.isOpen) return;
+        
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        const panelWidth = width * 0.9;
+        const panelHeight = height * 0.9;
+        const panelX = (width - panelWidth) / 2;
+        const panelY = (height - panelHeight) / 2;
+        const runs = this.getRuns();
+        
+        ctx.save();
+        
+        // Dim the room behind the overlay
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Panel with neon border
+        ctx.fillStyle = this.colors.panel;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeStyle = this.colors.title;
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = this.colors.title;
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.shadowBlur = 0;
+        
+        // Title
+        ctx.textAlign = 'center';
+        ctx.font = '24px "Press Start 2P", "Courier New", monospace';
+        ctx.fillStyle = this.colors.title;
+        ctx.fillText('RUN HISTORY', width / 2, panelY + 40);
+        
+        // Tabs
+        ctx.font = 'bold 16px "Courier New", monospace';
+        ctx.fillStyle = this.tab === 'leaderboard' ? this.colors.selectedTab : this.colors.tab;
+        ctx.fillText('HIGH SCORES', width / 2 - 90, panelY + 72);
+        ctx.fillStyle = this.tab === 'history' ? this.colors.selectedTab : this.colors.tab;
+        ctx.fillText('RECENT RUNS', width / 2 + 90, panelY + 72);
+        
+        // Run list (the history tab can hold more runs than fit, so scroll it with the selection)
+        const visibleRows = 10;
+        const firstRow = Math.max(0, Math.min(this.selectedRun - visibleRows + 1, runs.length - visibleRows));
+        this.renderTable(ctx, runs.slice(firstRow, firstRow + visibleRows), width / 2, panelY + 110, {
+            rowHeight: 22,
+            firstNumber: firstRow + 1,
+            selectedIndex: this.selectedRun - firstRow
+        });
+        
+        // Details of the selected run
+        const run = runs[this.selectedRun];
+        if (run) {
+            this.renderRunDetails(ctx, run, width / 2, panelY + 350);
+        }
+        
+        // Controls hint
+        ctx.font = '12px "Courier New", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('A/D: Switch Tab   W/S: Select Run   ESC: Close', width / 2, panelY + panelHeight - 15);
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Render the full stats of one run in two columns
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     * @param {Object} run - Run record
+     * @param {number} centerX - Horizontal center of the details block
+     * @param {number} top - Baseline of the first line
+     */
+    renderRunDetails(ctx, run, centerX, top) {
+        const weapon = WEAPON_TYPES[run.weapon] ? WEAPON_TYPES[run.weapon].name : run.weapon;
+        const left = [
+            ['Result', run.victory ? 'Victory' : `Died on floor ${run.floor}`],
+            ['Score', run.score.toLocaleString()],
+            ['Rooms Cleared', run.roomsCleared],
+            ['Kills', run.kills]
+        ];
+        const right = [
+            ['Time Survived', RunHistory.formatTime(run.timeSurvived)],
+            ['Time In Rooms', RunHistory.formatTime(run.timeSpentInRooms)],
+            ['Damage Taken', run.damageTaken],
+            ['Weapon', weapon]
+        ];
+        
+        ctx.font = '14px "Courier New", monospace';
+        const drawColumn = (rows, x) => {
+            rows.forEach(([label, value], index) => {
+                ctx.textAlign = 'right';
+                ctx.fillStyle = this.colors.label;
+                ctx.fillText(`${label}:`, x, top + index * 22);
+                ctx.textAlign = 'left';
+                ctx.fillStyle = this.colors.row;
+                ctx.fillText(String(value), x + 10, top + index * 22);
+            });
+        };
+        drawColumn(left, centerX - 110);
+        drawColumn(right, centerX + 140);
+        
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.colors.label;
+        ctx.fillText(`Seed: ${run.seed}   ${new Date(run.date).toLocaleString()}`, centerX, top + left.length * 22 + 10);
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Upgrade Terminal for Neon Requiem
+ * Overlay opened from the starting room terminal for spending shards on permanent upgrades
+ */
+import { UPGRADES, MetaProgression } from '../game/metaProgression.js';
+import { WEAPON_TYPES } from '../game/weapons.js';
+
+export class UpgradeTerminal {
+    constructor(game) {
+        this.game = game;
+        this.isOpen = false;
+        this.selectedOption = 0;
+        this.confirmingReset = false; // Reset needs a second Enter to go through
+        this.message = ''; // Feedback line under the options
+        this.colors = {
+            background: 'rgba(0, 0, 0, 0.8)',
+            panel: 'rgba(10, 10, 30, 0.9)',
+            title: '#33FF77',
+            currency: '#00FFFF',
+            option: '#FFFFFF',
+            selectedOption: '#00FFFF',
+            unaffordable: '#666666',
+            maxed: '#FFFF00',
+            danger: '#FF3366'
+        };
+    }
+    
+    /**
+     * Open the terminal
+     */
+    open() {
+        this.isOpen = true;
+        this.selectedOption = 0;
+        this.confirmingReset = false;
+        this.message = '';
+    }
+    
+    /**
+     * Close the terminal
+     */
+    close() {
+        this.isOpen = false;
+        this.confirmingReset = false;
+    }
+    
+    /**
+     * Rows shown in the terminal: one per upgrade, then the starting weapon, reset and close
+     * @returns {Array} Option descriptors
+     */
+    getOptions() {
+        return [
+            ...Object.keys(UPGRADES).map(id => ({ kind: 'upgrade', id })),
+            { kind: 'weapon' },
+            { kind: 'reset' },
+            { kind: 'close' }
+        ];
+    }
+    
+    /**
+     * Handle keyboard input for terminal navigation
+     * @param {Object} inputHandler - Game input handler
+     */
+    handleInput(inputHandler) {
+        if (!this.isOpen) return;
+        
+        const optionCount = this.getOptions().length;
+        
+        if (inputHandler.keys['ArrowUp'] || inputHandler.keys['w']) {
+            this.selectedOption = (this.selectedOption - 1 + optionCount) % optionCount;
+            this.confirmingReset = false;
+            inputHandler.clearKey('ArrowUp');
+            inputHandler.clearKey('w');
+        }
+        
+        if (inputHandler.keys['ArrowDown'] || inputHandler.keys['s']) {
+            this.selectedOption = (this.selectedOption + 1) % optionCount;
+            this.confirmingReset = false;
+            inputHandler.clearKey('ArrowDown');
+            inputHandler.clearKey('s');
+        }
+        
+        if (inputHandler.keys['Enter'] || inputHandler.keys[' ']) {
+            this.selectOption(this.getOptions()[this.selectedOption]);
+            inputHandler.clearKey('Enter');
+            inputHandler.clearKey(' ');
+        }
+        
+        if (inputHandler.keys['Escape']) {
+            this.close();
+            inputHandler.clearKey('Escape');
+        }
+    }
+    
+    /**
+     * Execute the selected terminal option
+     * @param {Object} option - Option descriptor from getOptions()
+     */
+    selectOption(option) {
+        const meta = this.game.metaProgression;
+        
+        switch (option.kind) {
+            case 'upgrade': {
+                const cost = meta.getNextCost(option.id);
+                if (cost === null) {
+                    this.message = `${UPGRADES[option.id].name} is fully upgraded`;
+                } else if (meta.purchase(option.id)) {
+                    this.message = `${UPGRADES[option.id].name} upgraded to level ${meta.getLevel(option.id)}`;
+                    this.game.applyMetaProgression();
+                    if (window.audioManager) {
+                        window.audioManager.playItemCollectSound();
+                    }
+                } else {
+                    this.message = `Not enough shards (need ${cost})`;
+                }
+                break;
+            }
+            case 'weapon':
+                meta.cycleStartingWeapon();
+                this.message = `Starting weapon: ${WEAPON_TYPES[meta.data.startingWeapon].name}`;
+                this.game.applyMetaProgression();
+                break;
+            case 'reset':
+                if (!this.confirmingReset) {
+                    this.confirmingReset = true;
+                    this.message = 'Press ENTER again to erase all shards and upgrades';
+                } else {
+                    meta.reset();
+                    this.confirmingReset = false;
+                    this.message = 'Progress reset';
+                    this.game.applyMetaProgression();
+                }
+                break;
+            case 'close':
+                this.close();
+                break;
+        }
+    }
+    
+    /**
+     * Get the label and color for an option row
+     * @param {Object} option - Option descriptor from getOptions()
+     * @returns {Object} Label text and color
+     */
+    describeOption(option) {
+        const meta = this.game.metaProgression;
+        
+        switch (option.kind) {
+            case 'upgrade': {
+                const upgrade = UPGRADES[option.id];
+                const level = meta.getLevel(option.id);
+                const cost = meta.getNextCost(option.id);
+                const levelText = `${level}/${upgrade.costs.length}`;
+                
+                if (cost === null) {
+                    return { text: `${upgrade.name} [${levelText}] MAX`, color: this.colors.maxed };
+                }
+                return {
+                    text: `${upgrade.name} [${levelText}] - ${cost} shards`,
+                    color: meta.data.currency >= cost ? this.colors.option : this.colors.unaffordable
+                };
+            }
+            case 'weapon': {
+                const unlockedCount = MetaProgression.getUnlockedWeapons(meta.getLevel('startingWeapon')).length;
+                return {
+                    text: `Starting Weapon: ${WEAPON_TYPES[meta.data.startingWeapon].name} (${unlockedCount} unlocked)`,
+                    color: this.colors.option
+                };
+            }
+            case 'reset':
+                return {
+                    text: this.confirmingReset ? 'Reset Progress - CONFIRM?' : 'Reset Progress',
+                    color: this.colors.danger
+                };
+            default:
+                return { text: 'Close', color: this.colors.option };
+        }
+    }
+    
+    /**
+     * Render the terminal overlay
+     * @param {CanvasRenderingContext2D} ctx - Canvas rendering context
+     */
+    render(ctx) {
+        if (!this.isOpen) return;
+        
+        const meta = this.game.metaProgression;
+        const width = ctx.canvas.width;
+        const height = ctx.canvas.height;
+        
+        const panelWidth = width * 0.8;
+        const panelHeight = height * 0.8;
+        const panelX = (width - panelWidth) / 2;
+        const panelY = (height - panelHeight) / 2;
+        
+        ctx.save();
+        
+        // Dim the room behind the terminal
+        ctx.fillStyle = this.colors.background;
+        ctx.fillRect(0, 0, width, height);
+        
+        // Terminal panel with neon border
+        ctx.fillStyle = this.colors.panel;
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeStyle = this.colors.title;
+        ctx.lineWidth = 2;
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = this.colors.title;
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.shadowBlur = 0;
+        
+        // Title and balance
+        ctx.textAlign = 'center';
+        ctx.font = '24px "Press Start 2P", "Courier New", monospace';
+        ctx.fillStyle = this.colors.title;
+        ctx.fillText('UPGRADE TERMINAL', width / 2, panelY + 45);
+        
+        ctx.font = '18px "Courier New", monospace';
+        ctx.fillStyle = this.colors.currency;
+        ctx.fillText(`◆ ${meta.data.currency} shards`, width / 2, panelY + 80);
+        
+        // Options
+        const options = this.getOptions();
+        const optionStartY = panelY + 130;
+        const optionSpacing = 34;
+        
+        ctx.font = '16px "Courier New", monospace';
+        options.forEach((option, index) => {
+            const isSelected = index === this.selectedOption;
+            const { text, color } = this.describeOption(option);
+            
+            if (isSelected) {
+                ctx.fillStyle = this.colors.selectedOption;
+                ctx.shadowBlur = 10;
+                ctx.shadowColor = this.colors.selectedOption;
+            } else {
+                ctx.fillStyle = color;
+                ctx.shadowBlur = 0;
+            }
+            
+            ctx.fillText(isSelected ? `> ${text} <` : text, width / 2, optionStartY + index * optionSpacing);
+            ctx.shadowBlur = 0;
+        });
+        
+        // Description of the selected upgrade
+        const selected = options[this.selectedOption];
+        if (selected && selected.kind === 'upgrade') {
+            ctx.font = '14px "Courier New", monospace';
+            ctx.fillStyle = '#AAAAAA';
+            ctx.fillText(UPGRADES[selected.id].description, width / 2, optionStartY + options.length * optionSpacing + 10);
+        }
+        
+        // Feedback from the last action
+        if (this.message) {
+            ctx.font = '14px "Courier New", monospace';
+            ctx.fillStyle = this.confirmingReset ? this.colors.danger : this.colors.maxed;
+            ctx.fillText(this.message, width / 2, panelY + panelHeight - 50);
+        }
+        
+        // Controls hint
+        ctx.font = '12px "Courier New", monospace';
+        ctx.fillStyle = '#888888';
+        ctx.fillText('W/S: Select   ENTER: Buy   ESC: Close', width / 2, panelY + panelHeight - 20);
+        
+        ctx.restore();
+    }
+}